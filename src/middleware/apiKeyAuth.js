@@ -0,0 +1,69 @@
+const apiKeyStore = require('../services/apiKeyStore');
+const { asyncHandler, createError } = require('./errors');
+
+/**
+ * Read the API key from `x-api-key` or `Authorization: Bearer <key>`
+ * @param {object} req - Express request
+ * @returns {string|undefined}
+ */
+function extractApiKey(req) {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authorization = req.headers.authorization || '';
+  const [scheme, token] = authorization.split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+}
+
+/**
+ * Require a valid API key and attach the calling client to req.client
+ * req.client: { keyId, name, isAdmin }
+ */
+const requireApiKey = asyncHandler(async (req, res, next) => {
+  const client = await apiKeyStore.authenticate(extractApiKey(req));
+  if (!client) {
+    throw createError('A valid API key is required', 401, 'INVALID_API_KEY');
+  }
+
+  req.client = client;
+  next();
+});
+
+/**
+ * Require the authenticated client to hold an admin key
+ * Must run after requireApiKey.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.client || !req.client.isAdmin) {
+    return next(createError('Admin API key required', 403, 'ADMIN_REQUIRED'));
+  }
+  next();
+}
+
+/**
+ * Whether a client may access a resource owned by ownerKeyId
+ * @param {object} client - req.client
+ * @param {string} [ownerKeyId]
+ * @returns {boolean}
+ */
+function canAccess(client, ownerKeyId) {
+  return Boolean(client && (client.isAdmin || (ownerKeyId && ownerKeyId === client.keyId)));
+}
+
+/**
+ * MongoDB filter restricting queries to resources the client owns
+ * @param {object} client - req.client
+ * @returns {object} Empty filter for admins
+ */
+function ownerFilter(client) {
+  return client.isAdmin ? {} : { ownerKeyId: client.keyId };
+}
+
+module.exports = {
+  requireApiKey,
+  requireAdmin,
+  canAccess,
+  ownerFilter
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const nonceStore = require('../services/nonceStore');
+const { verifyCallbackHeaders, sha256Hex, getCallbackWindow } = require('../utils/callbackSignature');
+const { hashFile } = require('../utils/contentHash');
+const { asyncHandler, createError } = require('./errors');
+
+function discardUpload(req) {
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+}
+
+/**
+ * Authenticate an n8n callback from its headers
+ * Verifies the HMAC headers and rejects nonces that have been seen before. Runs
+ * before the body is received (ahead of multer), so a replayed request is
+ * refused before its upload is buffered. Follow with verifyCallbackContent.
+ */
+const authenticateCallback = asyncHandler(async (req, res, next) => {
+  const jobId = req.headers['x-job-id'];
+  const result = verifyCallbackHeaders(req.headers);
+
+  if (!result.valid) {
+    console.warn(`🚨 Rejected callback for job ${jobId}: ${result.reason}`);
+    throw createError('Invalid callback signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  if (result.legacy) {
+    console.warn(`⚠️  Job ${jobId}: callback authenticated with legacy x-callback-secret (compat mode)`);
+  } else {
+    const isNew = await nonceStore.remember(result.nonce, getCallbackWindow() * 2);
+    if (!isNew) {
+      console.warn(`🚨 Rejected replayed callback for job ${jobId} (nonce ${result.nonce})`);
+      throw createError('Callback has already been processed', 401, 'REPLAYED_CALLBACK');
+    }
+  }
+
+  req.callbackAuth = result;
+  next();
+});
+
+/**
+ * Check the digest declared in the signed headers against the uploaded CSV or raw JSON body
+ * Must run after authenticateCallback and body parsing (and multer for file callbacks).
+ */
+const verifyCallbackContent = asyncHandler(async (req, res, next) => {
+  const { legacy, contentSha256 } = req.callbackAuth;
+  if (legacy) {
+    return next();
+  }
+
+  const actualSha256 = req.file ? await hashFile(req.file.path) : sha256Hex(req.rawBody);
+  if (actualSha256 !== contentSha256) {
+    console.warn(`🚨 Rejected callback for job ${req.headers['x-job-id']}: content digest mismatch`);
+    discardUpload(req);
+    throw createError('Callback content does not match signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  next();
+});
+
+module.exports = {
+  authenticateCallback,
+  verifyCallbackContent
+};
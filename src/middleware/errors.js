@@ -28,7 +28,15 @@ function errorHandler(err, req, res, next) {
   let code = 'INTERNAL_ERROR';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.status && err.code) {
+    // Errors raised with createError() carry their own status, code and client-safe message
+    status = err.status;
+    message = err.message;
+    code = err.code;
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+  } else if (err.name === 'ValidationError') {
     status = 400;
     message = 'Validation failed';
     code = 'VALIDATION_ERROR';
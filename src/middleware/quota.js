@@ -0,0 +1,58 @@
+const quotaService = require('../services/quotaService');
+const { asyncHandler, createError } = require('./errors');
+
+/**
+ * Create the 413 error for a client over its storage quota
+ * @param {object} status - Result of quotaService.check
+ * @returns {Error}
+ */
+function quotaExceededError(status) {
+  if (!status.keyFound) {
+    return createError('API key is unknown or revoked', 413, 'QUOTA_EXCEEDED');
+  }
+
+  const { usage, limits } = status;
+  const parts = [];
+  if (limits.maxFiles !== null) {
+    parts.push(`${usage.files}/${limits.maxFiles} files`);
+  }
+  if (limits.maxBytes !== null) {
+    parts.push(`${usage.bytes}/${limits.maxBytes} bytes`);
+  }
+  return createError(`Storage quota exceeded (${parts.join(', ')})`, 413, 'QUOTA_EXCEEDED');
+}
+
+/**
+ * Throw a 413 unless a client has room for what an upload will store
+ * @param {object} client - req.client
+ * @param {number} files - Number of CSVs the upload's jobs will store
+ * @param {number} [bytes] - Size of the uploaded documents, which are archived with their CSVs
+ */
+async function assertQuota(client, files, bytes = 0) {
+  const status = await quotaService.check(client.keyId, { files, bytes });
+  if (status.exceeded) {
+    console.warn(
+      `📦 Upload rejected for ${client.keyId}: storage quota exceeded (${files} files, ${bytes} bytes)`
+    );
+    throw quotaExceededError(status);
+  }
+}
+
+/**
+ * Reject uploads from clients with no room left for another CSV
+ * Runs before the upload is read, so full clients don't transfer files for nothing.
+ * Upload routes check the actual file count and document sizes with assertQuota
+ * once they are known, counting two CSVs per document when a mapping template
+ * keeps the raw CSV too.
+ * Must run after requireApiKey.
+ */
+const requireQuota = asyncHandler(async (req, res, next) => {
+  await assertQuota(req.client, 1);
+  next();
+});
+
+module.exports = {
+  requireQuota,
+  assertQuota,
+  quotaExceededError
+};
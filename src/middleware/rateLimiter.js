@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const { ipKeyGenerator } = require('express-rate-limit');
+const { verifyCallbackHeaders } = require('../utils/callbackSignature');
 
 /**
  * Helper function to get environment variable with default
@@ -107,9 +108,28 @@ const deleteLimiter = rateLimit({
   }
 });
 
+/**
+ * Job action limiter - POST /api/jobs/:jobId/retry and /cancel
+ * Default: 60/hour per IP, counted apart from uploads
+ * Configurable via: RL_JOB_ACTION_MAX
+ */
+const jobActionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: getEnvVar('RL_JOB_ACTION_MAX', '60', parseInt) || 60,
+  message: {
+    error: 'Too many job actions. Please try again later.',
+    code: 'JOB_ACTION_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return ipKeyGenerator(req) + '-job-action';
+  }
+});
+
 /**
  * Callback limiter for n8n webhooks - POST /api/n8n/*
- * Default: 100/min per IP (skipped if CALLBACK_SECRET is valid)
+ * Default: 100/min per IP (skipped if the callback signature headers verify)
  */
 const callbackLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
@@ -123,10 +143,7 @@ const callbackLimiter = rateLimit({
   keyGenerator: (req) => {
     return ipKeyGenerator(req) + '-callback';
   },
-  skip: (req) => {
-    const callbackSecret = req.headers['x-callback-secret'];
-    return callbackSecret === process.env.CALLBACK_SECRET;
-  }
+  skip: (req) => verifyCallbackHeaders(req.headers).valid
 });
 
 module.exports = {
@@ -135,6 +152,7 @@ module.exports = {
   downloadLimiter,
   listLimiter,
   deleteLimiter,
+  jobActionLimiter,
   callbackLimiter
 };
 
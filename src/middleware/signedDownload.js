@@ -0,0 +1,28 @@
+const { verifyDownloadSignature } = require('../utils/signedUrls');
+const { createError } = require('./errors');
+
+const REJECTION_MESSAGES = {
+  MISSING_SIGNATURE: 'Download link is not signed',
+  LINK_EXPIRED: 'Download link has expired',
+  UNKNOWN_KEY: 'Download link signature is invalid',
+  INVALID_SIGNATURE: 'Download link signature is invalid'
+};
+
+/**
+ * Reject download requests whose signed link is missing, expired or tampered with
+ * Expects the file ID in req.params.fileId and expires/kid/sig in the query string.
+ */
+function requireSignedDownload(req, res, next) {
+  const { valid, reason } = verifyDownloadSignature(req.params.fileId, req.query);
+
+  if (!valid) {
+    console.warn(`🚨 Rejected download for file ${req.params.fileId}: ${reason}`);
+    return next(createError(REJECTION_MESSAGES[reason], 403, reason));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireSignedDownload
+};
@@ -4,9 +4,17 @@ const path = require('path');
 const fs = require('fs');
 const { isValidJobId } = require('../utils/ids');
 const jobStore = require('../services/jobStore');
-const mongoClient = require('../services/mongoClient');
+const storage = require('../services/storage');
+const sourceStore = require('../services/sourceStore');
+const quotaService = require('../services/quotaService');
 const { asyncHandler, createError } = require('../middleware/errors');
 const { callbackLimiter } = require('../middleware/rateLimiter');
+const { authenticateCallback, verifyCallbackContent } = require('../middleware/callbackAuth');
+const { quotaExceededError } = require('../middleware/quota');
+const { buildDownloadUrl } = require('../services/storage/storageDriver');
+const n8nClient = require('../services/n8nClient');
+const { validateCsv, storedProfile } = require('../utils/csvValidation');
+const { mapCsv } = require('../utils/csvMapping');
 
 const router = express.Router();
 
@@ -28,38 +36,139 @@ const upload = multer({
   }
 });
 
+/**
+ * Whether a callback belongs to an earlier attempt of a retried job
+ * n8n echoes the `attempt` form field back as `x-job-attempt`, which the
+ * signature covers. Without the header a callback can only be for the first
+ * attempt, so it is stale once the job has been retried.
+ */
+function isStaleAttempt(req, job) {
+  const attempt = req.headers['x-job-attempt'];
+  return Number(attempt || 1) !== (job.attempt || 1);
+}
+
+/**
+ * Reply for callbacks about a job that already finished
+ * Nothing is changed: a timed-out job stays failed until it is retried.
+ */
+function finishedJobResponse(jobId, job) {
+  console.warn(`⚠️  Ignoring callback for job ${jobId} - already ${job.errorCode === 'TIMEOUT' ? 'timed out' : job.status}`);
+  return {
+    ok: true,
+    jobId,
+    ignored: true,
+    status: job.status,
+    errorCode: job.errorCode,
+    message: job.status === 'cancelled' ? 'Job was cancelled, callback discarded' : 'Job already finished, callback ignored'
+  };
+}
+
+function staleAttemptResponse(jobId, req, job) {
+  console.warn(`⚠️  Ignoring callback for job ${jobId} from attempt ${req.headers['x-job-attempt'] || 1} (current: ${job.attempt})`);
+  return {
+    ok: true,
+    jobId,
+    ignored: true,
+    message: 'Callback belongs to a superseded attempt and was ignored'
+  };
+}
+
+/**
+ * Fail a job whose CSV did not pass validation and answer 422
+ */
+async function rejectCsv(res, jobId, csvPath, validation) {
+  fs.unlink(csvPath, () => {});
+  const summary = validation.errors.map(error => error.message).join('; ');
+  console.warn(`⚠️  CSV for job ${jobId} failed validation: ${summary}`);
+  await jobStore.failJob(jobId, `CSV validation failed: ${summary}`, 'CSV_VALIDATION_FAILED', {
+    validation: { valid: false, errors: validation.errors }
+  });
+  return res.status(422).json({
+    error: {
+      message: 'CSV failed validation',
+      code: 'CSV_VALIDATION_FAILED',
+      timestamp: new Date().toISOString()
+    },
+    jobId,
+    validation
+  });
+}
+
+/**
+ * Fail a job whose owner has no storage quota left for its CSV and answer 413
+ */
+async function rejectOverQuota(res, jobId, csvPath, status) {
+  fs.unlink(csvPath, () => {});
+  const error = quotaExceededError(status);
+  console.warn(`📦 CSV for job ${jobId} not stored: ${error.message}`);
+  await jobStore.failJob(jobId, error.message, 'QUOTA_EXCEEDED');
+  return res.status(413).json({
+    error: {
+      message: error.message,
+      code: 'QUOTA_EXCEEDED',
+      timestamp: new Date().toISOString()
+    },
+    jobId
+  });
+}
+
 /**
  * POST /api/n8n/callback - Receive CSV from n8n workflow
+ * All /api/n8n POST routes require an HMAC-signed request (see CALLBACK_AUTH.md)
  */
-router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(async (req, res) => {
-  const callbackSecret = req.headers['x-callback-secret'];
+const csvUpload = upload.single('csv');
+
+router.post('/callback', callbackLimiter, authenticateCallback, csvUpload, verifyCallbackContent, asyncHandler(async (req, res) => {
   const jobId = req.headers['x-job-id'];
 
   console.log(`📞 n8n callback received for job: ${jobId}`);
 
-  // Validate callback secret
-  if (!callbackSecret || callbackSecret !== process.env.CALLBACK_SECRET) {
-    console.warn(`🚨 Invalid callback secret for job: ${jobId} - Expected: ${process.env.CALLBACK_SECRET}, Got: ${callbackSecret}`);
-    // TEMPORARY: Comment out for debugging
-    // throw createError('Invalid callback secret', 401, 'INVALID_SECRET');
-  }
-
   // Validate job ID
   if (!jobId || !isValidJobId(jobId)) {
     throw createError('Invalid or missing job ID in headers', 400, 'INVALID_JOB_ID');
   }
 
   // Check if job exists
-  const job = jobStore.getJob(jobId);
+  const job = await jobStore.getJob(jobId);
   if (!job) {
     console.warn(`⚠️  Callback for unknown job: ${jobId}`);
     throw createError('Job not found', 404, 'JOB_NOT_FOUND');
   }
 
+  if (isStaleAttempt(req, job)) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    return res.json(staleAttemptResponse(jobId, req, job));
+  }
+
+  // Results for cancelled jobs are acknowledged but never stored
+  if (job.status === 'cancelled') {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    return res.json(finishedJobResponse(jobId, job));
+  }
+
+  // Late results are rejected rather than stored, so n8n marks the execution as failed
+  if (job.status !== 'processing') {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    console.warn(`⚠️  Rejecting late result for job ${jobId} (status: ${job.status}, code: ${job.errorCode})`);
+    if (job.errorCode === 'TIMEOUT') {
+      throw createError('Job timed out before the result arrived', 409, 'JOB_TIMED_OUT');
+    }
+    if (job.status === 'queued') {
+      throw createError('Job is waiting in the queue and has not been dispatched', 409, 'JOB_NOT_DISPATCHED');
+    }
+    throw createError(`Job already finished (status: ${job.status})`, 409, 'JOB_ALREADY_FINISHED');
+  }
+
   // Check if CSV file was uploaded
   if (!req.file) {
     console.error(`❌ No CSV file in callback for job: ${jobId}`);
-    jobStore.failJob(jobId, 'No CSV file received from n8n');
+    await jobStore.failJob(jobId, 'No CSV file received from n8n');
     throw createError('No CSV file uploaded', 400, 'NO_CSV_FILE');
   }
 
@@ -69,18 +178,85 @@ router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(asy
   try {
     // Read CSV file
     const csvData = fs.readFileSync(csvPath);
+
+    // Reject empty, truncated or malformed CSVs instead of marking the job done.
+    // With a mapping template, required columns are checked after mapping.
+    const template = job.mappingTemplate;
+    const validation = validateCsv(csvData, template ? { requiredColumns: [] } : {});
+    if (!validation.valid) {
+      return rejectCsv(res, jobId, csvPath, validation);
+    }
+
+    // Normalize columns with the template chosen at upload
+    let mapped = null;
+    if (template) {
+      mapped = mapCsv(csvData, template, { delimiter: validation.profile.delimiter });
+      const mappedValidation = validateCsv(mapped.csv);
+      if (!mappedValidation.valid) {
+        return rejectCsv(res, jobId, csvPath, mappedValidation);
+      }
+      mapped.profile = mappedValidation.profile;
+      console.log(`🗺️  Applied mapping template "${template.name}" to CSV for job ${jobId}`);
+    }
+
+    // Check the owner's storage quota, counting the raw copy kept with a template
+    if (job.ownerKeyId) {
+      const quota = await quotaService.check(job.ownerKeyId, {
+        files: mapped ? 2 : 1,
+        bytes: csvData.length + (mapped ? mapped.csv.length : 0)
+      });
+      if (quota.exceeded) {
+        return rejectOverQuota(res, jobId, csvPath, quota);
+      }
+    }
     
-    // Generate filename for MongoDB storage
+    // Generate filename for storage
     const filename = originalname || `${job.filenamePdf.replace('.pdf', '.csv')}`;
+    const metadata = { ownerKeyId: job.ownerKeyId, sourceFileId: job.sourceFileId };
     
-    // Store CSV in MongoDB
-    const fileId = await mongoClient.storeCSV(jobId, csvData, filename);
+    // Store CSV in the configured storage backend
+    // Only the CSV itself carries the upload's hashes, so duplicates reuse it (not the raw copy)
+    const fileId = await storage.store(jobId, mapped ? mapped.csv : csvData, filename, {
+      ...metadata,
+      ...(job.contentHash && { contentHash: job.contentHash, optionsHash: job.optionsHash }),
+      csvProfile: storedProfile(mapped ? mapped.profile : validation.profile),
+      ...(mapped && { template: { templateId: template.templateId, name: template.name } })
+    });
+
+    // Keep the CSV as n8n returned it for reference
+    const storedIds = [fileId];
+    const details = {};
+    if (mapped) {
+      const rawFilename = `${path.parse(filename).name}.raw.csv`;
+      details.rawFileId = await storage.store(jobId, csvData, rawFilename, {
+        ...metadata,
+        variant: 'raw',
+        mappedFileId: fileId,
+        csvProfile: storedProfile(validation.profile)
+      });
+      details.mapping = mapped.report;
+      storedIds.push(details.rawFileId);
+    }
 
     // Generate download URL
-    const downloadUrl = await mongoClient.generateDownloadUrl(jobId);
+    const downloadUrl = buildDownloadUrl(fileId);
+
+    // Mark job as completed with storage details
+    const completedJob = await jobStore.completeJob(jobId, fileId, downloadUrl, details);
+    if (!completedJob) {
+      // Cancelled or timed out while the CSV was being stored - don't keep it
+      await Promise.all(storedIds.map(id => storage.delete(id).catch((error) => {
+        console.warn(`⚠️  Failed to remove discarded CSV ${id}: ${error.message}`);
+      })));
+      fs.unlink(csvPath, () => {});
+      const current = await jobStore.getJob(jobId);
+      return res.json(finishedJobResponse(jobId, current || job));
+    }
 
-    // Mark job as completed with MongoDB details
-    const completedJob = jobStore.completeJob(jobId, fileId, downloadUrl);
+    // Keep the original document permanently, next to the CSV
+    sourceStore.archive(jobId, { csvFileId: fileId, ownerKeyId: job.ownerKeyId }).catch((error) => {
+      console.warn(`⚠️  Failed to archive source for job ${jobId}: ${error.message}`);
+    });
 
     // Clean up temporary file
     try {
@@ -89,10 +265,10 @@ router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(asy
       console.warn(`⚠️  Failed to cleanup temp CSV file: ${cleanupError.message}`);
     }
 
-    console.log(`✅ Job completed: ${jobId} - CSV stored in MongoDB: ${fileId}`);
+    console.log(`✅ Job completed: ${jobId} - CSV stored (${storage.name}): ${fileId}`);
     
     // Log execution completion if available
-    if (completedJob && completedJob.executionId) {
+    if (completedJob.executionId) {
       console.log(`🎯 n8n execution ${completedJob.executionId} completed successfully for job ${jobId}`);
     }
 
@@ -103,7 +279,7 @@ router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(asy
       fileId,
       downloadUrl,
       status: 'completed',
-      execution: completedJob && completedJob.executionId ? {
+      execution: completedJob.executionId ? {
         id: completedJob.executionId,
         status: 'completed',
         message: 'Workflow execution completed successfully'
@@ -119,7 +295,7 @@ router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(asy
     }
 
     // Mark job as failed
-    jobStore.failJob(jobId, `CSV processing failed: ${error.message}`);
+    await jobStore.failJob(jobId, `CSV processing failed: ${error.message}`);
     
     console.error(`❌ Failed to process CSV for job ${jobId}: ${error.message}`);
     throw error;
@@ -129,42 +305,44 @@ router.post('/callback', callbackLimiter, upload.single('csv'), asyncHandler(asy
 /**
  * POST /api/n8n/status - Update job status from n8n workflow
  */
-router.post('/status', callbackLimiter, asyncHandler(async (req, res) => {
-  const callbackSecret = req.headers['x-callback-secret'];
+router.post('/status', callbackLimiter, authenticateCallback, verifyCallbackContent, asyncHandler(async (req, res) => {
   const jobId = req.headers['x-job-id'];
   const { executionId, executionStatus, workflowId, timestamp, message, fileProcessed } = req.body;
 
   console.log(`📊 n8n status update received for job: ${jobId}`);
 
-  // Validate callback secret
-  if (!callbackSecret || callbackSecret !== process.env.CALLBACK_SECRET) {
-    console.warn(`🚨 Invalid callback secret for status update: ${jobId} - Expected: ${process.env.CALLBACK_SECRET}, Got: ${callbackSecret}`);
-    // TEMPORARY: Comment out for debugging
-    // throw createError('Invalid callback secret', 401, 'INVALID_SECRET');
-  }
-
   // Validate job ID
   if (!jobId || !isValidJobId(jobId)) {
     throw createError('Invalid or missing job ID in headers', 400, 'INVALID_JOB_ID');
   }
 
   // Check if job exists
-  const job = jobStore.getJob(jobId);
+  const job = await jobStore.getJob(jobId);
   if (!job) {
     console.warn(`⚠️  Status update for unknown job: ${jobId}`);
     // Still return success to avoid n8n retries
     return res.json({ ok: true, message: 'Job not found, but status acknowledged' });
   }
 
+  if (isStaleAttempt(req, job)) {
+    return res.json(staleAttemptResponse(jobId, req, job));
+  }
+
+  // A timed-out or cancelled job stays that way; execution updates no longer apply
+  if (job.errorCode === 'TIMEOUT' || job.status === 'cancelled') {
+    return res.json(finishedJobResponse(jobId, job));
+  }
+
   try {
     // Update job with execution completion details
     if (job.executionId) {
-      jobStore.updateExecutionDetails(jobId, {
+      await jobStore.updateExecutionDetails(jobId, {
         executionId: job.executionId,
         executionStatus: 'completed',
         executionMessage: message || 'Workflow completed successfully',
         webhookUrl: job.webhookUrl,
-        executionMode: job.executionMode
+        executionMode: job.executionMode,
+        workflowId
       });
     }
 
@@ -188,37 +366,38 @@ router.post('/status', callbackLimiter, asyncHandler(async (req, res) => {
 /**
  * POST /api/n8n/error - Receive error notifications from n8n (optional)
  */
-router.post('/error', callbackLimiter, asyncHandler(async (req, res) => {
-  const callbackSecret = req.headers['x-callback-secret'];
+router.post('/error', callbackLimiter, authenticateCallback, verifyCallbackContent, asyncHandler(async (req, res) => {
   const jobId = req.headers['x-job-id'];
   const { error, details } = req.body;
 
   console.log(`🚨 n8n error callback for job: ${jobId}`);
 
-  // Validate callback secret
-  if (!callbackSecret || callbackSecret !== process.env.CALLBACK_SECRET) {
-    console.warn(`🚨 Invalid callback secret for error callback: ${jobId}`);
-    throw createError('Invalid callback secret', 401, 'INVALID_SECRET');
-  }
-
   // Validate job ID
   if (!jobId || !isValidJobId(jobId)) {
     throw createError('Invalid or missing job ID in headers', 400, 'INVALID_JOB_ID');
   }
 
   // Check if job exists
-  const job = jobStore.getJob(jobId);
+  const job = await jobStore.getJob(jobId);
   if (!job) {
     console.warn(`⚠️  Error callback for unknown job: ${jobId}`);
     // Still return success to avoid n8n retries
     return res.json({ ok: true, message: 'Job not found, but error acknowledged' });
   }
 
+  if (isStaleAttempt(req, job)) {
+    return res.json(staleAttemptResponse(jobId, req, job));
+  }
+
+  if (job.status !== 'processing') {
+    return res.json(finishedJobResponse(jobId, job));
+  }
+
   // Mark job as failed with error details
   const errorMessage = error || 'n8n workflow failed';
   const fullError = details ? `${errorMessage}: ${JSON.stringify(details)}` : errorMessage;
   
-  jobStore.failJob(jobId, fullError);
+  await jobStore.failJob(jobId, fullError);
 
   console.error(`❌ n8n reported error for job ${jobId}: ${fullError}`);
 
@@ -231,11 +410,13 @@ router.post('/error', callbackLimiter, asyncHandler(async (req, res) => {
 
 /**
  * GET /api/n8n/health - Health check endpoint for n8n
+ * Also reports the circuit breaker guarding uploads forwarded to n8n.
  */
 router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'pdf2csv-callback',
+    forwarding: n8nClient.getCircuitState(),
     timestamp: new Date().toISOString()
   });
 });
@@ -1,45 +1,117 @@
 const express = require('express');
-const mongoClient = require('../services/mongoClient');
+const multer = require('multer');
+const archiver = require('archiver');
+const storage = require('../services/storage');
+const sourceStore = require('../services/sourceStore');
+const jobStore = require('../services/jobStore');
+const revisionStore = require('../services/revisionStore');
+const quotaService = require('../services/quotaService');
 const { asyncHandler, createError } = require('../middleware/errors');
-const { downloadLimiter, listLimiter, deleteLimiter } = require('../middleware/rateLimiter');
+const {
+  uploadLimiter, downloadLimiter, listLimiter, deleteLimiter
+} = require('../middleware/rateLimiter');
+const { requireQuota, quotaExceededError } = require('../middleware/quota');
+const { requireSignedDownload } = require('../middleware/signedDownload');
+const {
+  requireApiKey, requireAdmin, canAccess, ownerFilter
+} = require('../middleware/apiKeyAuth');
+const { signDownloadPath } = require('../utils/signedUrls');
+const { readCsvPage } = require('../utils/csv');
+const { FORMATS, resolveFormat, formatFilename, convertCsv } = require('../utils/csvFormats');
+const { SORT_FIELDS, decodeCursor } = require('../utils/fileQuery');
+const { isValidFileId, isValidBatchId } = require('../utils/ids');
+const { uniqueFilename } = require('../utils/filenames');
+const { appendEntries } = require('../utils/zipArchive');
+const { validateCsv, storedProfile } = require('../utils/csvValidation');
+const { diffCsv } = require('../utils/csvDiff');
+const { getExpiry, expiryAfter } = require('../utils/retention');
 
 const router = express.Router();
 
+const PREVIEW_DEFAULT_ROWS = 50;
+const PREVIEW_MAX_ROWS = 500;
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+const ARCHIVE_MAX_FILES = parseInt(process.env.ARCHIVE_MAX_FILES, 10) || 500;
+const REVISION_MAX_BYTES = 50 * 1024 * 1024;
+
+// Corrected CSVs uploaded as new revisions, kept in memory until stored
+const revisionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: REVISION_MAX_BYTES,
+    files: 1
+  }
+});
+
 /**
- * GET /api/files/download/:fileId - Download CSV file from MongoDB
+ * GET /api/files/download/:fileId - Download CSV file from storage
+ * Requires a signed, unexpired link (?expires=&kid=&sig=)
+ * `?format=` (csv, tsv, json, ndjson, xlsx) or the Accept header picks a
+ * format the CSV is converted to while streaming; anything else gets 406.
+ * Serves the file's latest revision, or the one given as `?revision=`.
  */
-router.get('/download/:fileId', downloadLimiter, asyncHandler(async (req, res) => {
+router.get('/download/:fileId', downloadLimiter, requireSignedDownload, asyncHandler(async (req, res) => {
   const { fileId } = req.params;
   
   if (!fileId) {
     throw createError('File ID is required', 400, 'MISSING_FILE_ID');
   }
 
+  const format = resolveFormat(req);
+  if (!format) {
+    throw createError(
+      `Unsupported format, use one of: ${Object.keys(FORMATS).join(', ')}`,
+      406,
+      'UNSUPPORTED_FORMAT'
+    );
+  }
+
+  const revision = parseRevisionParam(req.query.revision);
+  const revisionFileId = await revisionStore.resolveRevision(fileId, revision);
+  if (!revisionFileId) {
+    throw createError(`Revision ${revision} not found`, 404, 'REVISION_NOT_FOUND');
+  }
+
   try {
-    // Get file stream from MongoDB
-    const { stream, filename, contentType, size } = await mongoClient.getCSVStream(fileId);
+    // Get file stream from storage
+    const {
+      stream, filename, contentType, size, metadata
+    } = await storage.getStream(revisionFileId);
     
-    console.log(`📥 Serving MongoDB file download: ${filename} (${(size / 1024).toFixed(2)}KB)`);
+    console.log(`📥 Serving ${storage.name} file download: ${filename} (${(size / 1024).toFixed(2)}KB, ${format})`);
+
+    // Stored CSVs are served as-is; other formats are converted on the fly
+    const profile = metadata && metadata.csvProfile;
+    const output = format === 'csv'
+      ? stream
+      : convertCsv(stream, format, { delimiter: profile && profile.delimiter });
 
     // Set response headers
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', size);
-    res.setHeader('Cache-Control', 'private, max-age=3600'); // Cache for 1 hour
+    res.setHeader('Content-Type', format === 'csv' ? contentType : FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${formatFilename(filename, format)}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Length', size);
+    }
+    // A specific revision never changes; the latest may be replaced by a correction
+    res.setHeader('Cache-Control', revision ? 'private, max-age=3600' : 'private, no-cache');
+    res.setHeader('Vary', 'Accept');
 
     // Handle stream errors
-    stream.on('error', (error) => {
-      console.error(`❌ MongoDB stream error: ${error.message}`);
+    output.on('error', (error) => {
+      console.error(`❌ Storage stream error: ${error.message}`);
       if (!res.headersSent) {
         res.status(500).json({ error: 'File read error' });
+      } else {
+        res.destroy(error);
       }
     });
 
-    // Pipe the MongoDB stream to response
-    stream.pipe(res);
+    // Pipe the storage stream to response
+    output.pipe(res);
 
   } catch (error) {
-    console.error(`❌ Failed to serve file from MongoDB: ${error.message}`);
+    console.error(`❌ Failed to serve file from storage: ${error.message}`);
     if (error.message.includes('not found')) {
       throw createError('File not found', 404, 'FILE_NOT_FOUND');
     }
@@ -48,81 +120,645 @@ router.get('/download/:fileId', downloadLimiter, asyncHandler(async (req, res) =
 }));
 
 /**
- * GET /api/files - List all files from MongoDB
+ * GET /api/files - List the caller's files (all files for admin keys)
+ *
+ * Query parameters (all optional):
+ *   limit             - page size, default 50, at most 200
+ *   cursor            - `nextCursor` from the previous page
+ *   filename          - case-insensitive substring of the filename
+ *   jobId             - files of one job
+ *   from, to          - upload date range (ISO 8601), `from` inclusive, `to` exclusive
+ *   minSize, maxSize  - size range in bytes, inclusive
+ *   sort, order       - uploadDate (default), filename or size; desc (default) or asc
+ * Totals cover every file matching the filters, not just the page.
  */
-router.get('/', listLimiter, asyncHandler(async (req, res) => {
+router.get('/', requireApiKey, listLimiter, asyncHandler(async (req, res) => {
+  const startTime = Date.now();
+  const { filter, sort, limit, after } = parseListQuery(req);
+
+  let page;
   try {
-    const startTime = Date.now();
-    const stats = await mongoClient.getStats();
-    
-    // Format files for frontend consumption with optimized processing
-    const files = stats.files
-      .map(file => ({
-        id: file.id,
-        filename: file.filename,
-        size: file.size,
-        uploadDate: file.uploadDate,
-        jobId: file.jobId,
-        downloadUrl: `/api/files/download/${file.id}`,
-        formattedSize: formatFileSize(file.size),
-        formattedDate: new Date(file.uploadDate).toLocaleString()
+    page = await storage.query({ filter, sort, limit, after });
+  } catch (error) {
+    console.error(`❌ Failed to list files: ${error.message}`);
+    throw createError('Failed to retrieve files', 500, 'FILES_LIST_ERROR');
+  }
+  const sources = await findSources(page.files);
+
+  // Format files for frontend consumption
+  const files = page.files.map(file => ({
+    id: file.id,
+    filename: file.filename,
+    size: file.size,
+    uploadDate: file.uploadDate,
+    jobId: file.jobId,
+    downloadUrl: signDownloadPath(file.id),
+    formattedSize: formatFileSize(file.size),
+    formattedDate: new Date(file.uploadDate).toLocaleString(),
+    ...formatRetention(file),
+    source: formatSource(file.jobId, sources.get(file.jobId))
+  }));
+
+  const processingTime = Date.now() - startTime;
+  console.log(`📁 Files API response time: ${processingTime}ms (${files.length}/${page.totalFiles} files)`);
+
+  // Set cache headers for better performance
+  res.setHeader('Cache-Control', 'private, max-age=60'); // Cache for 1 minute
+  res.setHeader('X-Response-Time', `${processingTime}ms`);
+
+  res.json({
+    files,
+    limit,
+    hasMore: Boolean(page.nextCursor),
+    nextCursor: page.nextCursor,
+    totalFiles: page.totalFiles,
+    totalSize: page.totalSize,
+    formattedTotalSize: formatFileSize(page.totalSize),
+    responseTime: processingTime
+  });
+}));
+
+/**
+ * Parse and validate the listing query of GET /api/files
+ * Non-admin callers are always restricted to their own files.
+ * @returns {{filter: object, sort: object, limit: number, after?: object}}
+ */
+function parseListQuery(req) {
+  const { cursor, sort: sortField = 'uploadDate', order = 'desc' } = req.query;
+
+  const limit = parseIntParam(req.query.limit, LIST_DEFAULT_LIMIT);
+  if (limit === null || limit < 1 || limit > LIST_MAX_LIMIT) {
+    const message = `limit must be an integer from 1 to ${LIST_MAX_LIMIT}`;
+    throw createError(message, 400, 'INVALID_PAGINATION');
+  }
+
+  if (!SORT_FIELDS.includes(sortField) || !['asc', 'desc'].includes(order)) {
+    const message = `sort must be one of ${SORT_FIELDS.join(', ')} and order asc or desc`;
+    throw createError(message, 400, 'INVALID_SORT');
+  }
+  const sort = { field: sortField, order };
+  const filter = parseFileFilter(req.query, req.client);
+
+  let after;
+  if (cursor !== undefined && cursor !== '') {
+    after = decodeCursor(cursor, sort);
+    if (!after) {
+      throw createError('cursor is invalid or belongs to a different sort', 400, 'INVALID_CURSOR');
+    }
+  }
+
+  return { filter, sort, limit, after };
+}
+
+/**
+ * Parse file filters (filename, jobId, from, to, minSize, maxSize)
+ * Non-admin callers are always restricted to their own files.
+ * @param {object} params - Query string or request body values
+ * @param {object} client - req.client
+ * @returns {object} Filter for storage.query
+ */
+function parseFileFilter(params, client) {
+  const { filename, jobId, from, to } = params;
+  // Revisions are reached through the file they revise
+  const filter = {
+    ...(client.isAdmin ? {} : { ownerKeyId: client.keyId }),
+    hideRevisions: true
+  };
+  if (typeof filename === 'string' && filename !== '') {
+    filter.filename = filename;
+  }
+  if (typeof jobId === 'string' && jobId !== '') {
+    filter.jobId = jobId;
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined || value === '') {
+      continue;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+      throw createError(`${name} must be an ISO 8601 date`, 400, 'INVALID_FILTER');
+    }
+    filter[name] = date;
+  }
+
+  for (const name of ['minSize', 'maxSize']) {
+    const size = parseIntParam(params[name], undefined);
+    if (size === null) {
+      throw createError(`${name} must be a non-negative integer`, 400, 'INVALID_FILTER');
+    }
+    if (size !== undefined) {
+      filter[name] = size;
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Build the storage filter for POST /api/files/archive
+ * Exactly one of `fileIds` or `filter` selects the files.
+ * @returns {Promise<object>}
+ */
+async function parseArchiveSelection(req) {
+  const { fileIds, filter: filterParams } = req.body || {};
+
+  if ((fileIds === undefined) === (filterParams === undefined)) {
+    throw createError('Provide either fileIds or filter', 400, 'MISSING_SELECTION');
+  }
+
+  if (fileIds !== undefined) {
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > ARCHIVE_MAX_FILES) {
+      const message = `fileIds must list 1 to ${ARCHIVE_MAX_FILES} file IDs`;
+      throw createError(message, 400, 'INVALID_FILE_IDS');
+    }
+    if (!fileIds.every(isValidFileId)) {
+      throw createError('fileIds contains an invalid file ID', 400, 'INVALID_FILE_IDS');
+    }
+    return { ...parseFileFilter({}, req.client), ids: [...new Set(fileIds)] };
+  }
+
+  if (!filterParams || typeof filterParams !== 'object') {
+    throw createError('filter must be an object', 400, 'INVALID_FILTER');
+  }
+  const filter = parseFileFilter(filterParams, req.client);
+
+  // Files carry their job ID, so a batch becomes the list of its jobs
+  const { batchId } = filterParams;
+  if (batchId !== undefined) {
+    if (!isValidBatchId(batchId)) {
+      throw createError('Invalid batch ID format', 400, 'INVALID_BATCH_ID');
+    }
+    const jobs = await jobStore.getJobsByBatch(batchId);
+    if (jobs.length === 0 || !jobs.every(([, job]) => canAccess(req.client, job.ownerKeyId))) {
+      throw createError('Batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+    filter.jobIds = jobs.map(([jobId]) => jobId);
+    if (filter.jobId !== undefined) {
+      filter.jobIds = filter.jobIds.filter(jobId => jobId === filter.jobId);
+      delete filter.jobId;
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * POST /api/files/archive - Download many CSVs as one ZIP
+ *
+ * Body: { fileIds: [...] } or
+ *       { filter: { filename, jobId, batchId, from, to, minSize, maxSize } },
+ * plus `manifest: true` to add a manifest.json listing each entry's file,
+ * job and source document. At most ARCHIVE_MAX_FILES files per archive;
+ * unknown or foreign file IDs answer 404 before anything is streamed. Files
+ * are opened one at a time as the archive is written.
+ */
+router.post('/archive', requireApiKey, downloadLimiter, asyncHandler(async (req, res) => {
+  const filter = await parseArchiveSelection(req);
+  const includeManifest = (req.body || {}).manifest === true;
+
+  const { files, totalFiles } = await storage.query({
+    filter,
+    sort: { field: 'uploadDate', order: 'asc' },
+    limit: ARCHIVE_MAX_FILES
+  });
+
+  if (filter.ids && files.length < filter.ids.length) {
+    const found = new Set(files.map(file => file.id));
+    const missing = filter.ids.filter(fileId => !found.has(fileId));
+    throw createError(`File(s) not found: ${missing.join(', ')}`, 404, 'FILE_NOT_FOUND');
+  }
+  if (files.length === 0) {
+    throw createError('No files match the filter', 404, 'FILE_NOT_FOUND');
+  }
+  if (totalFiles > ARCHIVE_MAX_FILES) {
+    const message = `${totalFiles} files match; narrow the filter to at most ${ARCHIVE_MAX_FILES}`;
+    throw createError(message, 400, 'TOO_MANY_FILES');
+  }
+
+  // Keep the caller's order when files were picked by ID
+  if (filter.ids) {
+    const order = new Map(filter.ids.map((fileId, index) => [fileId, index]));
+    files.sort((a, b) => order.get(a.id) - order.get(b.id));
+  }
+
+  const archiveName = `files-${new Date().toISOString().slice(0, 10)}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error(`❌ File archive error: ${error.message}`);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  const usedNames = new Set(includeManifest ? ['manifest.json'] : []);
+  const entries = [];
+  const completed = await appendEntries(archive, res, files, async (file) => {
+    try {
+      const latestId = await revisionStore.resolveRevision(file.id);
+      const { stream, filename, size } = await storage.getStream(latestId);
+      const name = uniqueFilename(filename, usedNames);
+      entries.push({ name, fileId: file.id, filename, jobId: file.jobId, size });
+      return { stream, name };
+    } catch (error) {
+      // Deleted since the lookup - the response has started, so leave it out
+      console.warn(`⚠️  Archive: skipping file ${file.id}: ${error.message}`);
+      return null;
+    }
+  });
+  if (!completed) {
+    console.warn(`⚠️  File archive aborted after ${entries.length} of ${files.length} files`);
+    return;
+  }
+
+  if (includeManifest) {
+    const sources = await findSources(files);
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      files: entries.map(entry => ({
+        ...entry,
+        sourceName: sources.has(entry.jobId) ? sources.get(entry.jobId).metadata.originalName : null
       }))
-      .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate)); // Sort by upload date (newest first)
+    };
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  }
 
-    const processingTime = Date.now() - startTime;
-    console.log(`📁 Files API response time: ${processingTime}ms (${files.length} files)`);
+  await archive.finalize();
+  console.log(`📦 Served file archive: ${files.length} files${includeManifest ? ' with manifest' : ''}`);
+}));
 
-    // Set cache headers for better performance
-    res.setHeader('Cache-Control', 'private, max-age=60'); // Cache for 1 minute
-    res.setHeader('X-Response-Time', `${processingTime}ms`);
+/**
+ * Parse a non-negative integer query parameter
+ * @returns {number|null} Null if present but not a valid integer
+ */
+function parseIntParam(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
 
-    res.json({
-      files,
-      totalFiles: stats.totalFiles,
-      totalSize: stats.totalSize,
-      formattedTotalSize: formatFileSize(stats.totalSize),
-      responseTime: processingTime
+/**
+ * Parse the `revision` query parameter
+ * @returns {number|undefined} Undefined for the latest revision
+ */
+function parseRevisionParam(value) {
+  const revision = parseIntParam(value, undefined);
+  if (revision === null || revision === 0) {
+    throw createError('revision must be a positive integer', 400, 'INVALID_REVISION');
+  }
+  return revision;
+}
+
+/**
+ * Open the latest revision of a stored CSV, enforcing ownership
+ * @returns {Promise<{stream, filename, contentType, size, metadata}>}
+ */
+async function openOwnedFile(req, fileId) {
+  let file;
+  try {
+    file = await storage.getStream(await revisionStore.resolveRevision(fileId));
+  } catch (error) {
+    console.error(`❌ Failed to open file ${fileId}: ${error.message}`);
+    if (error.message.includes('not found')) {
+      throw createError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+    throw createError('Failed to read file', 500, 'FILE_SERVE_ERROR');
+  }
+
+  if (!canAccess(req.client, file.metadata.ownerKeyId)) {
+    file.stream.destroy();
+    throw createError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+  return file;
+}
+
+/**
+ * GET /api/files/:fileId/preview - A page of parsed CSV rows as JSON
+ * Query: offset (rows to skip, default 0), limit (default 50, max 500).
+ * The file is streamed and only the requested page is kept in memory.
+ */
+router.get('/:fileId/preview', requireApiKey, downloadLimiter, asyncHandler(async (req, res) => {
+  const { fileId } = req.params;
+  const offset = parseIntParam(req.query.offset, 0);
+  const limit = parseIntParam(req.query.limit, PREVIEW_DEFAULT_ROWS);
+
+  if (offset === null || limit === null || limit < 1 || limit > PREVIEW_MAX_ROWS) {
+    throw createError(
+      `offset must be a non-negative integer and limit between 1 and ${PREVIEW_MAX_ROWS}`,
+      400,
+      'INVALID_PAGINATION'
+    );
+  }
+
+  const file = await openOwnedFile(req, fileId);
+  const profile = file.metadata.csvProfile;
+
+  const page = await readCsvPage(file.stream, {
+    offset,
+    limit,
+    delimiter: profile && profile.delimiter,
+    totalRows: profile ? profile.rowCount : undefined
+  });
+
+  res.setHeader('Cache-Control', 'private, max-age=60');
+  res.json({
+    fileId,
+    filename: file.filename,
+    headers: page.headers,
+    offset,
+    limit,
+    totalRows: page.totalRows,
+    hasMore: offset + page.rows.length < page.totalRows,
+    rows: page.rows
+  });
+}));
+
+/**
+ * Look up a stored file's FileInfo, enforcing ownership
+ * @returns {Promise<object>} FileInfo
+ */
+async function findOwnedFile(req, fileId) {
+  let page;
+  try {
+    page = await storage.query({
+      filter: { ...ownerFilter(req.client), ids: [fileId], hideRevisions: true },
+      sort: { field: 'uploadDate', order: 'desc' },
+      limit: 1
     });
   } catch (error) {
-    console.error(`❌ Failed to list files: ${error.message}`);
-    throw createError('Failed to retrieve files', 500, 'FILES_LIST_ERROR');
+    console.error(`❌ Failed to look up file ${fileId}: ${error.message}`);
+    throw createError('Failed to retrieve file', 500, 'FILE_LOOKUP_ERROR');
+  }
+
+  if (page.files.length === 0) {
+    throw createError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+  return page.files[0];
+}
+
+/**
+ * Retention fields of a file as returned by the API
+ */
+function formatRetention(file) {
+  const expiresAt = getExpiry(file);
+  return {
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    legalHold: Boolean(file.metadata && file.metadata.legalHold)
+  };
+}
+
+/**
+ * Apply metadata changes to a file and answer with its retention
+ */
+async function updateRetention(res, file, changes) {
+  const updated = await storage.updateMetadata(file.id, changes);
+  if (!updated) {
+    throw createError('File not found', 404, 'FILE_NOT_FOUND');
+  }
+
+  const metadata = { ...file.metadata, ...changes };
+  res.json({ fileId: file.id, ...formatRetention({ ...file, metadata }) });
+}
+
+/**
+ * PUT /api/files/:fileId/retention - Override the retention period of one file
+ * Body: { retentionDays } - days after upload, or null to keep the file forever
+ */
+router.put('/:fileId/retention', requireApiKey, deleteLimiter, asyncHandler(async (req, res) => {
+  const { retentionDays } = req.body || {};
+  if (retentionDays !== null && !(Number.isInteger(retentionDays) && retentionDays > 0)) {
+    throw createError('retentionDays must be a positive integer or null', 400, 'INVALID_RETENTION');
+  }
+
+  const file = await findOwnedFile(req, req.params.fileId);
+  const expiresAt = retentionDays === null ? null : expiryAfter(file.uploadDate, retentionDays);
+
+  const period = retentionDays === null ? 'forever' : `${retentionDays} days`;
+  console.log(`🗓️  Retention of ${file.id} set to ${period}`);
+  await updateRetention(res, file, { expiresAt });
+}));
+
+/**
+ * DELETE /api/files/:fileId/retention - Go back to the global retention period
+ */
+router.delete('/:fileId/retention', requireApiKey, deleteLimiter, asyncHandler(async (req, res) => {
+  const file = await findOwnedFile(req, req.params.fileId);
+
+  console.log(`🗓️  Retention of ${file.id} reset to the default`);
+  await updateRetention(res, file, { expiresAt: undefined });
+}));
+
+/**
+ * Raw copies kept next to a mapped CSV (see routes/callback)
+ * @param {string} fileId - ID of the mapped CSV
+ * @returns {Promise<Array>} FileInfo list
+ */
+async function findRawCopies(fileId) {
+  const page = await storage.query({
+    filter: { mappedFileId: fileId },
+    sort: { field: 'uploadDate', order: 'asc' },
+    limit: LIST_MAX_LIMIT
+  });
+  return page.files;
+}
+
+/**
+ * PUT /api/files/:fileId/legal-hold - Place or lift a legal hold (admin keys)
+ * Body: { legalHold: boolean }. Held files never expire and cannot be deleted.
+ * The hold also covers the file's raw copy and archived source.
+ */
+router.put('/:fileId/legal-hold', requireApiKey, requireAdmin, asyncHandler(async (req, res) => {
+  const { legalHold } = req.body || {};
+  if (typeof legalHold !== 'boolean') {
+    throw createError('legalHold must be true or false', 400, 'INVALID_LEGAL_HOLD');
+  }
+
+  const file = await findOwnedFile(req, req.params.fileId);
+  await sourceStore.setLegalHold(file.id, legalHold);
+  const rawCopies = await findRawCopies(file.id);
+  await Promise.all(rawCopies.map(raw => storage.updateMetadata(raw.id, { legalHold: legalHold || undefined })));
+
+  console.log(`⚖️  Legal hold ${legalHold ? 'placed on' : 'lifted from'} ${file.id}`);
+  await updateRetention(res, file, { legalHold: legalHold || undefined });
+}));
+
+/**
+ * A revision as returned by the API, with a signed link to download it
+ */
+function formatRevision(fileId, revision) {
+  return {
+    revision: revision.revision,
+    filename: revision.filename,
+    size: revision.size,
+    uploadDate: revision.uploadDate,
+    uploadedBy: revision.uploadedBy,
+    comment: revision.comment,
+    downloadUrl: `${signDownloadPath(fileId)}&revision=${revision.revision}`
+  };
+}
+
+/**
+ * Read a whole stream into a buffer
+ */
+async function readBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * PUT /api/files/:fileId - Upload a corrected CSV as a new revision
+ * Multipart form: `file` (the CSV) and an optional `comment`.
+ * Earlier revisions are kept; downloads serve the new one from now on.
+ */
+const revisionFile = revisionUpload.single('file');
+
+router.put('/:fileId', requireApiKey, uploadLimiter, requireQuota, revisionFile, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw createError('No CSV file uploaded', 400, 'NO_FILE');
+  }
+  const { comment } = req.body || {};
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > 500)) {
+    throw createError('comment must be a string of at most 500 characters', 400, 'INVALID_COMMENT');
+  }
+
+  const file = await findOwnedFile(req, req.params.fileId);
+  const csv = req.file.buffer;
+
+  // Raw copies never had to contain the required columns
+  const isRaw = file.metadata && file.metadata.variant === 'raw';
+  const validation = validateCsv(csv, isRaw ? { requiredColumns: [] } : {});
+  if (!validation.valid) {
+    return res.status(422).json({
+      error: {
+        message: 'CSV failed validation',
+        code: 'CSV_VALIDATION_FAILED',
+        timestamp: new Date().toISOString()
+      },
+      fileId: file.id,
+      validation
+    });
+  }
+
+  const ownerKeyId = file.ownerKeyId || req.client.keyId;
+  const quota = await quotaService.check(ownerKeyId, { bytes: csv.length });
+  if (quota.exceeded) {
+    throw quotaExceededError(quota);
+  }
+
+  const revision = await revisionStore.addRevision(file, csv, {
+    uploadedBy: req.client.keyId,
+    comment: comment && comment.trim(),
+    csvProfile: storedProfile(validation.profile)
+  });
+  if (!revision) {
+    const message = `File already has ${revisionStore.MAX_REVISIONS} revisions`;
+    throw createError(message, 409, 'TOO_MANY_REVISIONS');
+  }
+
+  res.status(201).json({ fileId: file.id, ...formatRevision(file.id, revision) });
+}));
+
+/**
+ * GET /api/files/:fileId/revisions - Every revision of a file, oldest first
+ * Revision 1 is the CSV as originally stored.
+ */
+router.get('/:fileId/revisions', requireApiKey, listLimiter, asyncHandler(async (req, res) => {
+  const file = await findOwnedFile(req, req.params.fileId);
+  const revisions = await revisionStore.listRevisions(file);
+
+  res.json({
+    fileId: file.id,
+    latest: revisions[revisions.length - 1].revision,
+    revisions: revisions.map(revision => formatRevision(file.id, revision))
+  });
+}));
+
+/**
+ * GET /api/files/:fileId/diff?from=&to= - Row and cell diff between two revisions
+ * `to` defaults to the latest revision and `from` to the one before it.
+ */
+router.get('/:fileId/diff', requireApiKey, downloadLimiter, asyncHandler(async (req, res) => {
+  const file = await findOwnedFile(req, req.params.fileId);
+  const revisions = await revisionStore.listRevisions(file);
+
+  const to = parseRevisionParam(req.query.to) || revisions[revisions.length - 1].revision;
+  const from = parseRevisionParam(req.query.from) || Math.max(to - 1, 1);
+  const [fromRevision, toRevision] = [from, to].map((number) => {
+    const match = revisions.find(revision => revision.revision === number);
+    if (!match) {
+      throw createError(`Revision ${number} not found`, 404, 'REVISION_NOT_FOUND');
+    }
+    return match;
+  });
+
+  const [fromFile, toFile] = await Promise.all([fromRevision, toRevision].map(async (revision) => {
+    const { stream, metadata } = await storage.getStream(revision.fileId);
+    const profile = metadata && metadata.csvProfile;
+    return { csv: await readBuffer(stream), delimiter: profile && profile.delimiter };
+  }));
+
+  let diff;
+  try {
+    diff = diffCsv(fromFile.csv, toFile.csv, {
+      fromDelimiter: fromFile.delimiter,
+      toDelimiter: toFile.delimiter
+    });
+  } catch (error) {
+    throw createError(`Cannot compare revisions: ${error.message}`, 422, 'DIFF_FAILED');
   }
+
+  res.json({
+    fileId: file.id,
+    from: formatRevision(file.id, fromRevision),
+    to: formatRevision(file.id, toRevision),
+    ...diff
+  });
 }));
 
 /**
- * GET /api/files/stats - Get MongoDB storage statistics (development only)
+ * GET /api/files/stats - Get storage statistics (development only, admin keys)
  */
 if (process.env.NODE_ENV !== 'production') {
-  router.get('/stats', asyncHandler(async (req, res) => {
-    const stats = await mongoClient.getStats();
+  router.get('/stats', requireApiKey, requireAdmin, asyncHandler(async (req, res) => {
+    const stats = await storage.getStats();
     res.json({
       storage: stats,
-      type: 'mongodb-gridfs'
+      type: storage.name
     });
   }));
 }
 
 /**
- * DELETE /api/files/:fileId - Delete a file from MongoDB
+ * DELETE /api/files/:fileId - Delete a file, all its revisions, its raw copy and its
+ * archived source
+ * Files on legal hold are refused with 409 LEGAL_HOLD.
  */
-router.delete('/:fileId', deleteLimiter, asyncHandler(async (req, res) => {
+router.delete('/:fileId', requireApiKey, deleteLimiter, asyncHandler(async (req, res) => {
   const { fileId } = req.params;
   
   if (!fileId) {
     throw createError('File ID is required', 400, 'MISSING_FILE_ID');
   }
 
+  // Find the file first to get metadata
+  const file = await findOwnedFile(req, fileId);
+  if (file.metadata && file.metadata.legalHold) {
+    throw createError('File is on legal hold and cannot be deleted', 409, 'LEGAL_HOLD');
+  }
+
   try {
-    // Find the file first to get metadata
-    const stats = await mongoClient.getStats();
-    const file = stats.files.find(f => f.id === fileId);
-    
-    if (!file) {
-      throw createError('File not found', 404, 'FILE_NOT_FOUND');
+    // Revisions and raw copies first, so a failure never leaves them behind a deleted file
+    await revisionStore.deleteRevisions(fileId);
+    for (const raw of await findRawCopies(fileId)) {
+      await storage.delete(raw.id);
     }
-
-    // Delete from MongoDB using jobId (since deleteCSV uses jobId)
-    const deleted = await mongoClient.deleteCSV(file.jobId);
+    const deleted = await storage.delete(fileId);
     
     if (!deleted) {
       throw createError('Failed to delete file', 500, 'DELETE_FAILED');
@@ -130,6 +766,11 @@ router.delete('/:fileId', deleteLimiter, asyncHandler(async (req, res) => {
 
     console.log(`🗑️  File deleted: ${file.filename} (ID: ${fileId})`);
 
+    // The CSV is already gone, so a failure here doesn't fail the request
+    await sourceStore.removeForCsvFiles([fileId]).catch((error) => {
+      console.warn(`⚠️  Failed to remove source document of ${fileId}: ${error.message}`);
+    });
+
     res.json({
       success: true,
       message: 'File deleted successfully',
@@ -158,14 +799,49 @@ function formatFileSize(bytes) {
 }
 
 /**
- * GET /api/files/health - MongoDB health check
+ * Look up the archived source documents for a set of files
+ * A failed lookup only drops the source column, not the whole listing.
+ */
+async function findSources(files) {
+  const jobIds = [...new Set(files.map(file => file.jobId).filter(Boolean))];
+  if (jobIds.length === 0) {
+    return new Map();
+  }
+
+  try {
+    return await sourceStore.findByJobIds(jobIds);
+  } catch (error) {
+    console.warn(`⚠️  Failed to look up source documents: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Helper function to format the source document shown next to a CSV
+ */
+function formatSource(jobId, file) {
+  if (!file) {
+    return null;
+  }
+  return {
+    id: file._id.toString(),
+    filename: file.metadata.originalName,
+    contentType: file.metadata.contentType,
+    size: file.length,
+    formattedSize: formatFileSize(file.length),
+    url: `/api/jobs/${jobId}/source`
+  };
+}
+
+/**
+ * GET /api/files/health - Storage backend health check
  */
 router.get('/health', asyncHandler(async (req, res) => {
-  const isHealthy = await mongoClient.healthCheck();
+  const isHealthy = await storage.healthCheck();
   
   res.status(isHealthy ? 200 : 503).json({
     status: isHealthy ? 'healthy' : 'unhealthy',
-    service: 'mongodb-storage',
+    service: `${storage.name}-storage`,
     timestamp: new Date().toISOString()
   });
 }));
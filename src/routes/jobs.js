@@ -2,147 +2,590 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { generateJobId, isValidJobId } = require('../utils/ids');
+const archiver = require('archiver');
+const {
+  isValidJobId, generateJobId, generateBatchId, isValidBatchId, isValidDeliveryId
+} = require('../utils/ids');
+const { uniqueFilename } = require('../utils/filenames');
+const { appendEntries } = require('../utils/zipArchive');
 const jobStore = require('../services/jobStore');
-const n8nClient = require('../services/n8nClient');
-const mongoClient = require('../services/mongoClient');
+const storage = require('../services/storage');
+const { startJob, retryJob, cancelJob } = require('../services/jobRunner');
+const jobQueue = require('../services/jobQueue');
+const { extractInvoices } = require('../services/zipExtractor');
+const jobEvents = require('../services/jobEvents');
+const sourceStore = require('../services/sourceStore');
+const templateStore = require('../services/templateStore');
+const revisionStore = require('../services/revisionStore');
+const webhookNotifier = require('../services/webhookNotifier');
 const { asyncHandler, createError } = require('../middleware/errors');
-const { uploadLimiter, statusLimiter } = require('../middleware/rateLimiter');
+const {
+  uploadLimiter, statusLimiter, downloadLimiter, jobActionLimiter
+} = require('../middleware/rateLimiter');
+const { requireApiKey, canAccess, ownerFilter } = require('../middleware/apiKeyAuth');
+const { requireQuota, assertQuota } = require('../middleware/quota');
+const { buildDownloadUrl } = require('../services/storage/storageDriver');
+const { getDownloadUrlTtl } = require('../utils/signedUrls');
+const { isValidNotifyUrl, generateNotifySecret } = require('../utils/webhookSignature');
+const { hashFile, hashJobOptions } = require('../utils/contentHash');
 
 const router = express.Router();
 
+const TMP_DIR = path.join(__dirname, '../../tmp');
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 50;
+const ZIP_MAX_UPLOAD_BYTES = parseInt(process.env.ZIP_MAX_UPLOAD_BYTES, 10) || 100 * 1024 * 1024;
+const SSE_HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) || 15;
+const TERMINAL_STATUSES = ['done', 'error', 'cancelled'];
+
+/**
+ * Accept PDF files and JPEG/JPG image files only
+ */
+function invoiceFileFilter(req, file, cb) {
+  const allowedMimeTypes = [
+    'application/pdf',
+    'image/jpeg',
+    'image/jpg'
+  ];
+
+  if (!allowedMimeTypes.includes(file.mimetype)) {
+    return cb(createError('Only PDF and image files (JPEG, JPG) are allowed', 400, 'INVALID_FILE_TYPE'));
+  }
+  cb(null, true);
+}
+
 // Configure multer for file uploads (PDF and JPEG/JPG images only)
 const upload = multer({
-  dest: path.join(__dirname, '../../tmp'),
+  dest: TMP_DIR,
   limits: {
     fileSize: 20 * 1024 * 1024, // 20MB limit
     files: 1
   },
+  fileFilter: invoiceFileFilter
+});
+
+// Configure multer for batch uploads (up to BATCH_MAX_FILES invoices per request)
+const batchUpload = multer({
+  dest: TMP_DIR,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit per file
+    files: BATCH_MAX_FILES
+  },
+  fileFilter: invoiceFileFilter
+});
+
+// Configure multer for ZIP archive uploads
+const zipUpload = multer({
+  dest: TMP_DIR,
+  limits: {
+    fileSize: ZIP_MAX_UPLOAD_BYTES,
+    files: 1
+  },
   fileFilter: (req, file, cb) => {
-    // Accept PDF files and JPEG/JPG image files only
-    const allowedMimeTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/jpg'
-    ];
-    
-    if (!allowedMimeTypes.includes(file.mimetype)) {
-      return cb(createError('Only PDF and image files (JPEG, JPG) are allowed', 400, 'INVALID_FILE_TYPE'));
+    const zipMimeTypes = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+    const isZipName = path.extname(file.originalname).toLowerCase() === '.zip';
+
+    if (!zipMimeTypes.includes(file.mimetype) && !(file.mimetype === 'application/octet-stream' && isZipName)) {
+      return cb(createError('Only ZIP archives are allowed', 400, 'INVALID_FILE_TYPE'));
     }
     cb(null, true);
   }
 });
 
 /**
- * POST /api/jobs - Upload PDF or image invoice and start conversion
+ * Read the optional `priority` form field
+ * @returns {string|null} The priority, or null if it is not a known lane
+ */
+function parsePriority(req) {
+  const { priority = 'normal' } = req.body || {};
+  return Object.prototype.hasOwnProperty.call(jobStore.PRIORITY_LANES, priority) ? priority : null;
+}
+
+function invalidPriorityError() {
+  const lanes = Object.keys(jobStore.PRIORITY_LANES).join(', ');
+  return createError(`priority must be one of: ${lanes}`, 400, 'INVALID_PRIORITY');
+}
+
+/**
+ * Read the optional `template` form field (template ID or name)
+ * Jobs store a copy, so later edits to the template don't affect them.
+ * @returns {Promise<object|undefined>} Template copy for the job, if one was chosen
+ */
+async function resolveTemplate(req) {
+  const { template } = req.body || {};
+  if (template === undefined || template === '') {
+    return undefined;
+  }
+
+  const found = typeof template === 'string'
+    ? await templateStore.findTemplate(req.client.keyId, template)
+    : null;
+  if (!found || !canAccess(req.client, found.ownerKeyId)) {
+    throw createError('Mapping template not found', 400, 'TEMPLATE_NOT_FOUND');
+  }
+
+  const { templateId, name, columns, keepUnmapped } = found;
+  return { templateId, name, columns, keepUnmapped };
+}
+
+/**
+ * resolveTemplate, removing the uploaded files if the template is invalid
+ */
+async function resolveTemplateOrDiscard(req, filePaths) {
+  try {
+    return await resolveTemplate(req);
+  } catch (error) {
+    filePaths.forEach(filePath => fs.unlink(filePath, () => {}));
+    throw error;
+  }
+}
+
+/**
+ * Check that the client has room for a CSV per uploaded document (two with a
+ * mapping template, which keeps the raw CSV too) and for the documents
+ * themselves, which are archived; removes the files if not
+ * @param {object} req
+ * @param {Array<{path: string, size: number}>} files - Uploaded or extracted documents
+ * @param {object} [mappingTemplate]
+ */
+async function assertQuotaOrDiscard(req, files, mappingTemplate) {
+  const bytes = files.reduce((total, file) => total + file.size, 0);
+  try {
+    await assertQuota(req.client, files.length * (mappingTemplate ? 2 : 1), bytes);
+  } catch (error) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    throw error;
+  }
+}
+
+/**
+ * Whether the upload asks to be converted even if it duplicates an earlier one
+ */
+function isForced(req) {
+  const force = (req.body && req.body.force) || req.query.force;
+  return force === true || force === 'true';
+}
+
+/**
+ * Find the CSV of an earlier conversion of the same document with the same options
+ * Only the uploader's own files are considered.
+ * @returns {Promise<object|null>} FileInfo of the newest match
+ */
+async function findConvertedDuplicate({ ownerKeyId, contentHash, optionsHash }) {
+  try {
+    const { files } = await storage.query({
+      filter: {
+        ownerKeyId, contentHash, optionsHash, hideRevisions: true
+      },
+      sort: { field: 'uploadDate', order: 'desc' },
+      limit: 1
+    });
+    return files[0] || null;
+  } catch (error) {
+    // Converting again is always safe
+    console.warn(`⚠️  Duplicate lookup failed, converting anyway: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * POST /api/jobs - Upload PDF or image invoice and queue it for conversion
+ * Optional form fields `notifyUrl` and `notifySecret` register a completion
+ * webhook; if no secret is given one is generated and returned once.
+ * Optional `priority` (high, normal, low) picks the queue lane.
+ * Optional `template` (ID or name) applies a column-mapping template to the CSV.
+ * Clients at their storage quota are refused with 413 QUOTA_EXCEEDED, as are
+ * uploads with a template when there is no room for the raw CSV as well.
+ * If the same document was already converted with the same options, the new
+ * job is done at once and reuses that CSV (200); `force=true` converts again.
  */
-router.post('/', uploadLimiter, upload.single('file'), asyncHandler(async (req, res) => {
+router.post('/', requireApiKey, uploadLimiter, requireQuota, upload.single('file'), asyncHandler(async (req, res) => {
   if (!req.file) {
     throw createError('No file uploaded', 400, 'NO_FILE');
   }
 
   const { originalname, path: filePath, size, mimetype } = req.file;
+  const { notifyUrl, notifySecret } = req.body;
+  const fields = { ownerKeyId: req.client.keyId };
+
+  const priority = parsePriority(req);
+  if (!priority) {
+    fs.unlink(filePath, () => {});
+    throw invalidPriorityError();
+  }
+
+  if (notifyUrl !== undefined && notifyUrl !== '') {
+    if (!isValidNotifyUrl(notifyUrl)) {
+      fs.unlink(filePath, () => {});
+      throw createError('notifyUrl must be an absolute https URL on a public host', 400, 'INVALID_NOTIFY_URL');
+    }
+    if (notifySecret !== undefined && (typeof notifySecret !== 'string' || notifySecret.length < 16)) {
+      fs.unlink(filePath, () => {});
+      throw createError('notifySecret must be at least 16 characters', 400, 'INVALID_NOTIFY_SECRET');
+    }
+    fields.notifyUrl = notifyUrl;
+    fields.notifySecret = notifySecret || generateNotifySecret();
+  }
+
+  const mappingTemplate = await resolveTemplateOrDiscard(req, [filePath]);
+  await assertQuotaOrDiscard(req, [req.file], mappingTemplate);
+  if (mappingTemplate) {
+    fields.mappingTemplate = mappingTemplate;
+  }
   
   const fileType = mimetype.startsWith('image/') ? 'image' : 'PDF';
   console.log(`📄 Received ${fileType} upload: ${originalname} (${(size / 1024 / 1024).toFixed(2)}MB)`);
 
-  // Generate unique job ID outside try block so it's accessible in catch
-  const jobId = generateJobId();
-
   try {
-    
-    // Create job record
-    jobStore.createJob(jobId, originalname);
-    
-    // Forward to n8n webhook
-    const n8nResponse = await n8nClient.forwardToN8n({
+    fields.contentHash = await hashFile(filePath);
+  } catch (error) {
+    fs.unlink(filePath, () => {});
+    throw error;
+  }
+  fields.optionsHash = hashJobOptions(fields);
+
+  const duplicate = isForced(req) ? null : await findConvertedDuplicate(fields);
+  let response;
+
+  if (duplicate) {
+    fs.unlink(filePath, () => {});
+    const jobId = generateJobId();
+    const sourceFileId = duplicate.metadata && duplicate.metadata.sourceFileId;
+    const job = await jobStore.createCompletedJob(jobId, originalname, {
+      ...fields,
+      ...(sourceFileId && { sourceFileId }),
+      r2Key: duplicate.id,
+      presignedUrl: buildDownloadUrl(duplicate.id),
+      dedupedFrom: { jobId: duplicate.jobId, fileId: duplicate.id }
+    });
+    console.log(`♻️  Job ${jobId} reuses the CSV of job ${duplicate.jobId} for ${originalname}`);
+
+    response = {
+      jobId,
+      status: job.status,
+      message: 'Identical document already converted, reusing its CSV',
+      filename: originalname,
+      deduplicated: true,
+      dedupedFrom: { jobId: duplicate.jobId },
+      downloadUrl: job.presignedUrl,
+      statusUrl: `/api/jobs/${jobId}/status`
+    };
+  } else {
+    const { jobId, filename, job } = await startJob({
       filePath,
       originalName: originalname,
-      jobId,
-      mimetype
+      mimetype,
+      fields,
+      priority
     });
+    jobQueue.kick();
 
-    // Update job with n8n execution details if available
-    if (n8nResponse.executionId) {
-      jobStore.updateExecutionDetails(jobId, {
-        executionId: n8nResponse.executionId,
-        executionStatus: n8nResponse.executionStatus,
-        executionMessage: n8nResponse.message,
-        webhookUrl: n8nResponse.webhookUrl,
-        executionMode: n8nResponse.executionMode
-      });
-      console.log(`📊 n8n execution tracking: ${n8nResponse.executionId} for job ${jobId}`);
+    response = {
+      jobId,
+      status: job.status,
+      message: 'PDF uploaded and queued for processing',
+      filename,
+      priority,
+      queuePosition: await jobStore.getQueuePosition(job),
+      statusUrl: `/api/jobs/${jobId}/status`
+    };
+  }
+
+  if (fields.notifyUrl) {
+    response.notify = { url: fields.notifyUrl };
+    // A generated secret is only ever shown here
+    if (!notifySecret) {
+      response.notify.secret = fields.notifySecret;
     }
+  }
+
+  res.status(duplicate ? 200 : 202).json(response);
+}));
+
+/**
+ * POST /api/jobs/batch - Upload many invoices at once, one job per file
+ * The whole upload is refused with 413 QUOTA_EXCEEDED unless every file fits the quota.
+ */
+const batchFiles = batchUpload.array('files', BATCH_MAX_FILES);
+
+router.post('/batch', requireApiKey, uploadLimiter, requireQuota, batchFiles, asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw createError('No files uploaded', 400, 'NO_FILE');
+  }
+
+  const priority = parsePriority(req);
+  if (!priority) {
+    req.files.forEach(file => fs.unlink(file.path, () => {}));
+    throw invalidPriorityError();
+  }
+
+  const mappingTemplate = await resolveTemplateOrDiscard(req, req.files.map(file => file.path));
+  await assertQuotaOrDiscard(req, req.files, mappingTemplate);
+
+  const batchId = generateBatchId();
+  console.log(`📦 Received batch ${batchId}: ${req.files.length} files`);
 
-    // Clean up temporary file after forwarding
+  // The dispatch queue forwards them with bounded concurrency
+  const jobs = [];
+  for (const file of req.files) {
     try {
-      fs.unlinkSync(filePath);
-    } catch (cleanupError) {
-      console.warn(`⚠️  Failed to cleanup temp file: ${cleanupError.message}`);
+      const { jobId, filename } = await startJob({
+        filePath: file.path,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        fields: {
+          ownerKeyId: req.client.keyId,
+          batchId,
+          ...(mappingTemplate && { mappingTemplate })
+        },
+        priority
+      });
+      jobs.push({ jobId, filename, status: 'queued' });
+    } catch (error) {
+      console.error(`❌ Batch ${batchId}: failed to start ${file.originalname}: ${error.message}`);
+      jobs.push({
+        jobId: error.jobId,
+        filename: file.originalname,
+        status: 'error',
+        error: error.message
+      });
     }
+  }
 
-    console.log(`✅ Job created: ${jobId} for ${originalname}`);
+  jobQueue.kick();
 
-    // Return enhanced response with execution details
-    const response = {
-      jobId,
-      message: 'PDF uploaded and processing started',
-      filename: originalname
-    };
+  res.status(202).json({
+    batchId,
+    message: `${jobs.length} files uploaded and queued for processing`,
+    statusUrl: `/api/jobs/batches/${batchId}`,
+    jobs
+  });
+}));
 
-    // Include execution details if available
-    if (n8nResponse.executionId) {
-      response.execution = {
-        id: n8nResponse.executionId,
-        status: n8nResponse.executionStatus,
-        message: n8nResponse.message,
-        mode: n8nResponse.executionMode
-      };
-    }
+/**
+ * POST /api/jobs/zip - Upload a ZIP of invoices, one job per PDF/JPEG entry
+ * Jobs are grouped under a batch ID, so GET /api/jobs/batches/:batchId tracks them.
+ * The whole archive is refused with 413 QUOTA_EXCEEDED unless every entry fits the quota.
+ */
+router.post('/zip', requireApiKey, uploadLimiter, requireQuota, zipUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw createError('No file uploaded', 400, 'NO_FILE');
+  }
 
-    res.status(201).json(response);
+  const { originalname, path: zipPath, size } = req.file;
+
+  const priority = parsePriority(req);
+  if (!priority) {
+    fs.unlink(zipPath, () => {});
+    throw invalidPriorityError();
+  }
 
+  const mappingTemplate = await resolveTemplateOrDiscard(req, [zipPath]);
+
+  console.log(`🗜️  Received ZIP upload: ${originalname} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+
+  let extracted;
+  try {
+    extracted = await extractInvoices(zipPath, TMP_DIR);
   } catch (error) {
-    // Clean up temporary file on error
+    console.error(`❌ Failed to read ZIP ${originalname}: ${error.message}`);
+    // Failing to write the extracted files (e.g. a full disk) isn't the archive's fault
+    if (error.syscall) {
+      throw error;
+    }
+    throw createError('Invalid or corrupt ZIP archive', 400, 'INVALID_ZIP');
+  } finally {
+    fs.unlink(zipPath, () => {});
+  }
+
+  const { files, skipped } = extracted;
+  if (files.length === 0) {
+    return res.status(422).json({
+      error: {
+        message: 'ZIP archive contains no supported PDF or JPEG files',
+        code: 'NO_SUPPORTED_ENTRIES',
+        timestamp: new Date().toISOString()
+      },
+      skipped
+    });
+  }
+
+  await assertQuotaOrDiscard(req, files, mappingTemplate);
+
+  const batchId = generateBatchId();
+  const jobs = [];
+  for (const file of files) {
     try {
-      fs.unlinkSync(filePath);
-    } catch (cleanupError) {
-      console.warn(`⚠️  Failed to cleanup temp file after error: ${cleanupError.message}`);
+      const { jobId } = await startJob({
+        filePath: file.path,
+        originalName: file.originalName,
+        mimetype: file.mimetype,
+        fields: {
+          ownerKeyId: req.client.keyId,
+          batchId,
+          sourceArchive: originalname,
+          ...(mappingTemplate && { mappingTemplate })
+        },
+        priority
+      });
+      jobs.push({ jobId, filename: file.originalName, status: 'queued' });
+    } catch (error) {
+      console.error(`❌ ZIP ${originalname}: failed to start ${file.originalName}: ${error.message}`);
+      jobs.push({
+        jobId: error.jobId,
+        filename: file.originalName,
+        status: 'error',
+        error: error.message
+      });
     }
+  }
+
+  console.log(`✅ ZIP ${originalname}: ${jobs.length} jobs created, ${skipped.length} entries skipped`);
+
+  jobQueue.kick();
+
+  res.status(202).json({
+    batchId,
+    message: `${jobs.length} files extracted and queued for processing`,
+    statusUrl: `/api/jobs/batches/${batchId}`,
+    jobIds: jobs.map(job => job.jobId).filter(Boolean),
+    jobs,
+    skipped
+  });
+}));
+
+/**
+ * Load a batch's jobs, enforcing ownership
+ * @returns {Promise<Array>} [jobId, job] pairs
+ */
+async function getOwnedBatch(req) {
+  const { batchId } = req.params;
+
+  if (!isValidBatchId(batchId)) {
+    throw createError('Invalid batch ID format', 400, 'INVALID_BATCH_ID');
+  }
 
-    // Update job status to error
-    if (jobId) {
-      jobStore.failJob(jobId, error.message);
+  const jobs = await jobStore.getJobsByBatch(batchId);
+  if (jobs.length === 0 || !jobs.every(([, job]) => canAccess(req.client, job.ownerKeyId))) {
+    throw createError('Batch not found', 404, 'BATCH_NOT_FOUND');
+  }
+
+  return jobs;
+}
+
+/**
+ * GET /api/jobs/batches/:batchId - Aggregated status of a batch
+ */
+router.get('/batches/:batchId', requireApiKey, statusLimiter, asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+  const jobs = await getOwnedBatch(req);
+
+  const totals = { total: jobs.length, queued: 0, processing: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const [, job] of jobs) {
+    if (job.status === 'done') {
+      totals.done++;
+    } else if (job.status === 'error') {
+      totals.failed++;
+    } else if (job.status === 'cancelled') {
+      totals.cancelled++;
+    } else if (job.status === 'queued') {
+      totals.queued++;
+    } else {
+      totals.processing++;
     }
+  }
 
-    throw error;
+  const complete = totals.queued === 0 && totals.processing === 0;
+  const response = {
+    batchId,
+    status: complete ? 'complete' : 'processing',
+    complete,
+    totals,
+    jobs: jobs.map(([jobId, job]) => ({
+      jobId,
+      filename: job.filenamePdf,
+      status: job.status,
+      downloadUrl: job.status === 'done' && job.r2Key ? buildDownloadUrl(job.r2Key) : undefined,
+      error: job.status === 'error' ? job.error : undefined,
+      updatedAt: job.updatedAt
+    }))
+  };
+
+  // Offer a single ZIP of every converted CSV once nothing is in flight
+  if (complete && totals.done > 0) {
+    response.downloadUrl = `/api/jobs/batches/${batchId}/download`;
   }
+
+  res.json(response);
 }));
 
 /**
- * GET /api/jobs/:jobId/status - Get job status
+ * GET /api/jobs/batches/:batchId/download - ZIP of all CSVs in a finished batch
  */
-router.get('/:jobId/status', statusLimiter, asyncHandler(async (req, res) => {
-  const { jobId } = req.params;
+router.get('/batches/:batchId/download', requireApiKey, downloadLimiter, asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+  const jobs = await getOwnedBatch(req);
 
-  if (!isValidJobId(jobId)) {
-    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  if (jobs.some(([, job]) => !TERMINAL_STATUSES.includes(job.status))) {
+    throw createError('Batch is still processing', 409, 'BATCH_NOT_READY');
   }
 
-  const job = jobStore.getJob(jobId);
-  if (!job) {
-    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  const doneJobs = jobs.filter(([, job]) => job.status === 'done' && job.r2Key);
+  if (doneJobs.length === 0) {
+    throw createError('No converted files in this batch', 404, 'BATCH_EMPTY');
   }
 
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${batchId}.zip"`);
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error(`❌ Batch ${batchId} archive error: ${error.message}`);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  const usedNames = new Set();
+  const completed = await appendEntries(archive, res, doneJobs, async ([jobId, job]) => {
+    try {
+      const latestId = await revisionStore.resolveRevision(job.r2Key);
+      const { stream, filename } = await storage.getStream(latestId);
+      return { stream, name: uniqueFilename(filename, usedNames) };
+    } catch (error) {
+      console.warn(`⚠️  Batch ${batchId}: skipping CSV for job ${jobId}: ${error.message}`);
+      return null;
+    }
+  });
+  if (!completed) {
+    console.warn(`⚠️  Batch ${batchId} download aborted`);
+    return;
+  }
+
+  await archive.finalize();
+  console.log(`📦 Served batch download: ${batchId} (${doneJobs.length} files)`);
+}));
+
+/**
+ * Build the public status payload for a job, shared by the status endpoint and event stream
+ * @param {string} jobId
+ * @param {object} job
+ * @returns {object}
+ */
+function formatJobStatus(jobId, job) {
   const response = {
     jobId,
     status: job.status,
     ready: job.status === 'done',
     filename: job.filenamePdf,
+    attempt: job.attempt || 1,
     createdAt: job.createdAt,
     updatedAt: job.updatedAt
   };
 
+  // Errors from earlier attempts of a retried job
+  if (job.errorHistory && job.errorHistory.length > 0) {
+    response.errorHistory = job.errorHistory;
+  }
+
   // Add execution details if available
   if (job.executionId) {
     response.execution = {
@@ -154,14 +597,267 @@ router.get('/:jobId/status', statusLimiter, asyncHandler(async (req, res) => {
     };
   }
 
-  // Include download URL if job is completed
-  if (job.status === 'done' && job.presignedUrl) {
-    response.downloadUrl = job.presignedUrl;
+  // Include a freshly signed download URL if job is completed
+  if (job.status === 'done' && job.r2Key) {
+    response.downloadUrl = buildDownloadUrl(job.r2Key);
+  }
+
+  // Original upload, archived with the job
+  if (job.sourceFileId) {
+    response.sourceUrl = `/api/jobs/${jobId}/source`;
+  }
+
+  // Upload matched an earlier conversion whose CSV this job reuses
+  if (job.dedupedFrom) {
+    response.dedupedFrom = { jobId: job.dedupedFrom.jobId };
+  }
+
+  // Column-mapping template and, once done, the unmapped CSV as n8n returned it
+  if (job.mappingTemplate) {
+    response.template = { id: job.mappingTemplate.templateId, name: job.mappingTemplate.name };
+    if (job.mapping) {
+      response.mapping = job.mapping;
+    }
+    if (job.status === 'done' && job.rawFileId) {
+      response.rawDownloadUrl = buildDownloadUrl(job.rawFileId);
+    }
+  }
+
+  if (job.status === 'queued') {
+    response.priority = job.priority || 'normal';
+    response.queuedAt = job.queuedAt;
+  }
+
+  // Processing deadline, after which the watchdog fails the job with TIMEOUT
+  if (job.status === 'processing' && job.deadlineAt) {
+    response.deadlineAt = job.deadlineAt;
+    response.timeRemainingSeconds = Math.max(0, Math.round((new Date(job.deadlineAt) - Date.now()) / 1000));
+  }
+
+  if (job.status === 'cancelled') {
+    response.cancelledAt = job.cancelledAt;
   }
 
   // Include error details if job failed
   if (job.status === 'error' && job.error) {
     response.error = job.error;
+    if (job.errorCode) {
+      response.errorCode = job.errorCode;
+    }
+    // Why the CSV returned by n8n was rejected
+    if (job.validation) {
+      response.validation = job.validation;
+    }
+  }
+
+  // Completion webhook delivery log
+  if (job.notifyUrl) {
+    response.notify = {
+      url: job.notifyUrl,
+      deliveries: job.webhookDeliveries || []
+    };
+  }
+
+  return response;
+}
+
+/**
+ * GET /api/jobs/:jobId/status - Get job status
+ */
+router.get('/:jobId/status', requireApiKey, statusLimiter, asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const response = formatJobStatus(jobId, job);
+  if (job.status === 'queued') {
+    response.queuePosition = await jobStore.getQueuePosition(job);
+  }
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/jobs/:jobId/events - Stream status changes as Server-Sent Events
+ *
+ * Sends a `status` event (same body as GET /status) on connect and on every
+ * change: processing, n8n execution updates, completion with a download URL
+ * and failure with the error. The stream closes after the terminal event.
+ * Heartbeat comments keep proxies from timing out the connection; each
+ * heartbeat also re-reads the job to pick up updates made by other instances.
+ */
+router.get('/:jobId/events', requireApiKey, statusLimiter, asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let lastState = null;
+  let closed = false;
+  let heartbeat = null;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (current) => {
+    if (closed) {
+      return;
+    }
+    // Skip writes that don't change what the client sees, e.g. a refreshed presignedUrl
+    const { status, executionId, executionStatus, error } = current;
+    const state = JSON.stringify([status, executionId, executionStatus, error]);
+    if (state !== lastState) {
+      lastState = state;
+      res.write(`event: status\ndata: ${JSON.stringify(formatJobStatus(jobId, current))}\n\n`);
+    }
+    if (TERMINAL_STATUSES.includes(current.status)) {
+      close();
+    }
+  };
+
+  req.on('close', close);
+  unsubscribe = jobEvents.subscribe(jobId, send);
+  heartbeat = setInterval(async () => {
+    res.write(': heartbeat\n\n');
+    try {
+      const latest = await jobStore.getJob(jobId);
+      if (!latest) {
+        return close();
+      }
+      send(latest);
+    } catch (error) {
+      console.warn(`⚠️  Event stream refresh failed for job ${jobId}: ${error.message}`);
+    }
+  }, SSE_HEARTBEAT_SECONDS * 1000);
+
+  send(job);
+}));
+
+/**
+ * GET /api/jobs/:jobId/source - Download the original uploaded PDF or image
+ */
+router.get('/:jobId/source', requireApiKey, downloadLimiter, asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  // Deduplicated jobs share the source of the job that converted the document
+  const source = await sourceStore.openStream(job.dedupedFrom ? job.dedupedFrom.jobId : jobId);
+  if (!source) {
+    throw createError('Source document not available', 404, 'SOURCE_NOT_FOUND');
+  }
+
+  console.log(`📥 Serving source document: ${source.filename} (Job: ${jobId})`);
+
+  res.setHeader('Content-Type', source.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${source.filename}"`);
+  res.setHeader('Content-Length', source.size);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  source.stream.on('error', (error) => {
+    console.error(`❌ Source stream error for job ${jobId}: ${error.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'File read error' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  source.stream.pipe(res);
+}));
+
+/**
+ * POST /api/jobs/:jobId/retry - Queue a failed job's document for another attempt
+ * Keeps the job ID; the attempt counter goes up and the previous error is kept in errorHistory.
+ */
+router.post('/:jobId/retry', requireApiKey, jobActionLimiter, asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const { attempt, job: retried } = await retryJob(jobId, job);
+  jobQueue.kick();
+
+  res.status(202).json({
+    jobId,
+    status: retried.status,
+    attempt,
+    message: 'Job queued for another attempt',
+    queuePosition: await jobStore.getQueuePosition(retried),
+    statusUrl: `/api/jobs/${jobId}/status`
+  });
+}));
+
+/**
+ * POST /api/jobs/:jobId/cancel - Cancel a queued or processing job
+ * A running n8n execution is stopped on a best-effort basis; its callbacks are discarded.
+ */
+router.post('/:jobId/cancel', requireApiKey, jobActionLimiter, asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  const { job: cancelled, execution } = await cancelJob(jobId, job, req.client.keyId);
+
+  const response = {
+    jobId,
+    status: cancelled.status,
+    cancelledAt: cancelled.cancelledAt,
+    message: 'Job cancelled'
+  };
+  if (execution) {
+    response.execution = execution;
   }
 
   res.json(response);
@@ -170,15 +866,15 @@ router.get('/:jobId/status', statusLimiter, asyncHandler(async (req, res) => {
 /**
  * GET /api/jobs/:jobId/download-url - Get presigned download URL
  */
-router.get('/:jobId/download-url', asyncHandler(async (req, res) => {
+router.get('/:jobId/download-url', requireApiKey, asyncHandler(async (req, res) => {
   const { jobId } = req.params;
 
   if (!isValidJobId(jobId)) {
     throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
   }
 
-  const job = jobStore.getJob(jobId);
-  if (!job) {
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
     throw createError('Job not found', 404, 'JOB_NOT_FOUND');
   }
 
@@ -191,16 +887,16 @@ router.get('/:jobId/download-url', asyncHandler(async (req, res) => {
   }
 
   try {
-    // Generate fresh download URL from MongoDB
-    const downloadUrl = await mongoClient.generateDownloadUrl(jobId);
+    // Sign a fresh URL for the job's CSV; deduplicated jobs point at another job's file
+    const downloadUrl = buildDownloadUrl(job.r2Key);
 
     // Update job with new download URL
-    jobStore.updateJob(jobId, { presignedUrl: downloadUrl });
+    await jobStore.updateJob(jobId, { presignedUrl: downloadUrl });
 
     res.json({
       url: downloadUrl,
       filename: job.filenamePdf.replace(/\.pdf$/i, '.csv'),
-      expiresInSeconds: 3600 // Local storage doesn't expire, but kept for compatibility
+      expiresInSeconds: getDownloadUrlTtl()
     });
 
   } catch (error) {
@@ -212,15 +908,15 @@ router.get('/:jobId/download-url', asyncHandler(async (req, res) => {
 /**
  * GET /api/jobs/:jobId/execution - Get n8n execution details
  */
-router.get('/:jobId/execution', asyncHandler(async (req, res) => {
+router.get('/:jobId/execution', requireApiKey, asyncHandler(async (req, res) => {
   const { jobId } = req.params;
 
   if (!isValidJobId(jobId)) {
     throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
   }
 
-  const job = jobStore.getJob(jobId);
-  if (!job) {
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
     throw createError('Job not found', 404, 'JOB_NOT_FOUND');
   }
 
@@ -244,13 +940,46 @@ router.get('/:jobId/execution', asyncHandler(async (req, res) => {
 }));
 
 /**
- * GET /api/jobs - List all jobs (for debugging)
+ * POST /api/jobs/:jobId/deliveries/:deliveryId/replay - Re-send a completion webhook
+ * Makes a single attempt with the job's current state and a freshly signed payload.
+ */
+router.post('/:jobId/deliveries/:deliveryId/replay', requireApiKey, asyncHandler(async (req, res) => {
+  const { jobId, deliveryId } = req.params;
+
+  if (!isValidJobId(jobId)) {
+    throw createError('Invalid job ID format', 400, 'INVALID_JOB_ID');
+  }
+
+  const job = await jobStore.getJob(jobId);
+  if (!job || !canAccess(req.client, job.ownerKeyId)) {
+    throw createError('Job not found', 404, 'JOB_NOT_FOUND');
+  }
+
+  if (!job.notifyUrl) {
+    throw createError('Job has no notifyUrl', 400, 'NO_NOTIFY_URL');
+  }
+
+  const delivery = isValidDeliveryId(deliveryId) ? await webhookNotifier.replay(jobId, job, deliveryId) : null;
+  if (!delivery) {
+    throw createError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+  }
+
+  res.json({
+    jobId,
+    delivered: delivery.ok,
+    delivery
+  });
+}));
+
+/**
+ * GET /api/jobs - List the caller's jobs (all jobs for admin keys, for debugging)
  * Only available in development
  */
 if (process.env.NODE_ENV !== 'production') {
-  router.get('/', asyncHandler(async (req, res) => {
-    const allJobs = jobStore.getAllJobs();
-    const stats = jobStore.getStats();
+  router.get('/', requireApiKey, asyncHandler(async (req, res) => {
+    const filter = ownerFilter(req.client);
+    const allJobs = await jobStore.getAllJobs(filter);
+    const stats = await jobStore.getStats(filter);
     
     // Enhanced stats with execution info
     const executionStats = {
@@ -260,10 +989,11 @@ if (process.env.NODE_ENV !== 'production') {
     
     res.json({
       stats: { ...stats, execution: executionStats },
-      jobs: allJobs.map(([jobId, job]) => ({
-        jobId,
-        ...job
-      }))
+      jobs: allJobs.map(([jobId, job]) => {
+        const publicJob = { jobId, ...job };
+        delete publicJob.notifySecret;
+        return publicJob;
+      })
     });
   }));
 }
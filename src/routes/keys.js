@@ -0,0 +1,100 @@
+const express = require('express');
+const apiKeyStore = require('../services/apiKeyStore');
+const { asyncHandler, createError } = require('../middleware/errors');
+const { requireApiKey, requireAdmin } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+// All key management requires an admin key
+router.use(requireApiKey, requireAdmin);
+
+/**
+ * Validate a storage quota from a request body
+ * Each limit is a non-negative integer, null for unlimited, or omitted for the default.
+ * @returns {object|undefined} Undefined if no limits were given
+ */
+function parseQuota(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw createError('quota must be an object', 400, 'INVALID_QUOTA');
+  }
+
+  const quota = {};
+  ['maxBytes', 'maxFiles'].forEach((name) => {
+    const value = input[name];
+    if (value === undefined) {
+      return;
+    }
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw createError(`${name} must be a non-negative integer or null`, 400, 'INVALID_QUOTA');
+    }
+    quota[name] = value;
+  });
+  return Object.keys(quota).length > 0 ? quota : undefined;
+}
+
+/**
+ * POST /api/keys - Issue an API key for a client application
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, role = 'client' } = req.body || {};
+  const quota = parseQuota((req.body || {}).quota);
+
+  if (!name || typeof name !== 'string') {
+    throw createError('Key name is required', 400, 'MISSING_KEY_NAME');
+  }
+  if (!['client', 'admin'].includes(role)) {
+    throw createError('Role must be "client" or "admin"', 400, 'INVALID_ROLE');
+  }
+
+  const key = await apiKeyStore.createKey({ name: name.trim(), role, quota });
+
+  res.status(201).json({
+    ...key,
+    message: 'Store this key now - it cannot be retrieved again'
+  });
+}));
+
+/**
+ * GET /api/keys - List issued API keys (hashes are never returned)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const keys = await apiKeyStore.listKeys();
+  res.json({ keys });
+}));
+
+/**
+ * PUT /api/keys/:keyId/quota - Replace a key's storage quota
+ * Body: { maxBytes, maxFiles }; omitted limits fall back to QUOTA_MAX_BYTES / QUOTA_MAX_FILES.
+ */
+router.put('/:keyId/quota', asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+  const quota = parseQuota(req.body || {});
+
+  const updated = await apiKeyStore.setQuota(keyId, quota || null);
+  if (!updated) {
+    throw createError('API key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  console.log(`📦 Storage quota of ${keyId} set to ${JSON.stringify(quota || 'defaults')}`);
+  res.json({ keyId, quota: quota || null });
+}));
+
+/**
+ * DELETE /api/keys/:keyId - Revoke an API key
+ */
+router.delete('/:keyId', asyncHandler(async (req, res) => {
+  const { keyId } = req.params;
+
+  const revoked = await apiKeyStore.revokeKey(keyId);
+  if (!revoked) {
+    throw createError('API key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  console.log(`🔒 API key revoked: ${keyId}`);
+  res.json({ success: true, keyId });
+}));
+
+module.exports = router;
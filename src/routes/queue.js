@@ -0,0 +1,35 @@
+const express = require('express');
+const jobQueue = require('../services/jobQueue');
+const { asyncHandler } = require('../middleware/errors');
+const { requireApiKey, requireAdmin } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+// Queue control requires an admin key
+router.use(requireApiKey, requireAdmin);
+
+/**
+ * GET /api/queue - Dispatch queue state: paused flag, concurrency and lane sizes
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await jobQueue.getStatus());
+}));
+
+/**
+ * POST /api/queue/pause - Stop dispatching queued jobs to n8n
+ * Jobs already forwarded keep processing; uploads are still accepted and queued.
+ */
+router.post('/pause', asyncHandler(async (req, res) => {
+  await jobQueue.pause(req.client.keyId);
+  res.json(await jobQueue.getStatus());
+}));
+
+/**
+ * POST /api/queue/resume - Resume dispatching queued jobs
+ */
+router.post('/resume', asyncHandler(async (req, res) => {
+  await jobQueue.resume();
+  res.json(await jobQueue.getStatus());
+}));
+
+module.exports = router;
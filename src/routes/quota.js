@@ -0,0 +1,35 @@
+const express = require('express');
+const quotaService = require('../services/quotaService');
+const { asyncHandler, createError } = require('../middleware/errors');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+/**
+ * GET /api/quota - Storage usage against the caller's quota
+ * Admin keys may pass `keyId` to see another client's quota.
+ * `uploadsAllowed` is false once the client has no room for another CSV.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const keyId = req.query.keyId || req.client.keyId;
+  if (keyId !== req.client.keyId && !req.client.isAdmin) {
+    throw createError('Admin API key required', 403, 'ADMIN_REQUIRED');
+  }
+
+  const { keyFound, usage, limits, remaining, exceeded } = await quotaService.check(keyId);
+  if (!keyFound) {
+    throw createError('API key not found', 404, 'KEY_NOT_FOUND');
+  }
+
+  res.json({
+    keyId,
+    usage,
+    limits,
+    remaining,
+    uploadsAllowed: !exceeded
+  });
+}));
+
+module.exports = router;
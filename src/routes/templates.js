@@ -0,0 +1,107 @@
+const express = require('express');
+const templateStore = require('../services/templateStore');
+const { normalizeTemplate } = require('../utils/csvMapping');
+const { asyncHandler, createError } = require('../middleware/errors');
+const { requireApiKey, canAccess, ownerFilter } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+router.use(requireApiKey);
+
+/**
+ * Validate a template from the request body
+ * @returns {object} Normalized template
+ */
+function parseTemplate(req) {
+  const { template, errors } = normalizeTemplate(req.body);
+  if (!template) {
+    throw createError(`Invalid template: ${errors.join('; ')}`, 400, 'INVALID_TEMPLATE');
+  }
+  return template;
+}
+
+function isDuplicateName(error) {
+  return error.code === 11000;
+}
+
+function duplicateNameError(name) {
+  return createError(`A template named "${name}" already exists`, 409, 'TEMPLATE_EXISTS');
+}
+
+/**
+ * Load a template, enforcing ownership
+ * @returns {Promise<object>}
+ */
+async function getOwnedTemplate(req) {
+  const template = await templateStore.getTemplate(req.params.templateId);
+  if (!template || !canAccess(req.client, template.ownerKeyId)) {
+    throw createError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+  }
+  return template;
+}
+
+/**
+ * POST /api/templates - Create a column-mapping template
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const template = parseTemplate(req);
+
+  try {
+    res.status(201).json(await templateStore.createTemplate(req.client.keyId, template));
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      throw duplicateNameError(template.name);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * GET /api/templates - List the caller's templates (all templates for admins)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const templates = await templateStore.listTemplates(ownerFilter(req.client));
+  res.json({ templates });
+}));
+
+/**
+ * GET /api/templates/:templateId - Get one template
+ */
+router.get('/:templateId', asyncHandler(async (req, res) => {
+  res.json(await getOwnedTemplate(req));
+}));
+
+/**
+ * PUT /api/templates/:templateId - Replace a template's definition
+ * Jobs already uploaded keep the version they were queued with.
+ */
+router.put('/:templateId', asyncHandler(async (req, res) => {
+  const { templateId } = await getOwnedTemplate(req);
+  const template = parseTemplate(req);
+
+  try {
+    const updated = await templateStore.updateTemplate(templateId, template);
+    if (!updated) {
+      throw createError('Template not found', 404, 'TEMPLATE_NOT_FOUND');
+    }
+    res.json(updated);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      throw duplicateNameError(template.name);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * DELETE /api/templates/:templateId - Delete a template
+ */
+router.delete('/:templateId', asyncHandler(async (req, res) => {
+  const { templateId } = await getOwnedTemplate(req);
+
+  await templateStore.deleteTemplate(templateId);
+  console.log(`🗑️  Mapping template deleted: ${templateId}`);
+  res.json({ success: true, templateId });
+}));
+
+module.exports = router;
@@ -5,6 +5,14 @@ const path = require('path');
 const jobsRouter = require('./routes/jobs');
 const callbackRouter = require('./routes/callback');
 const filesRouter = require('./routes/files');
+const keysRouter = require('./routes/keys');
+const queueRouter = require('./routes/queue');
+const templatesRouter = require('./routes/templates');
+const quotaRouter = require('./routes/quota');
+const webhookNotifier = require('./services/webhookNotifier');
+const jobWatchdog = require('./services/jobWatchdog');
+const retentionSweeper = require('./services/retentionSweeper');
+const jobQueue = require('./services/jobQueue');
 const { errorHandler } = require('./middleware/errors');
 
 // Load environment variables
@@ -33,8 +41,12 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body so signed n8n callbacks can be verified against it
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -45,6 +57,10 @@ app.get('/health', (req, res) => {
 app.use('/api/jobs', jobsRouter);
 app.use('/api/n8n', callbackRouter);
 app.use('/api/files', filesRouter);
+app.use('/api/keys', keysRouter);
+app.use('/api/queue', queueRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/quota', quotaRouter);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -61,6 +77,18 @@ app.listen(PORT, () => {
   console.log(`🔗 n8n webhook: ${process.env.N8N_WEBHOOK_URL || 'NOT_CONFIGURED'}`);
 });
 
+// Send completion webhooks for jobs submitted with a notifyUrl
+webhookNotifier.start();
+
+// Fail jobs that n8n never reports back on
+jobWatchdog.start();
+
+// Delete stored CSVs past their retention period
+retentionSweeper.start();
+
+// Forward queued jobs to n8n, picking up any queued before a restart
+jobQueue.start();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const mongoClient = require('./mongoClient');
+
+/**
+ * MongoDB-backed API key store
+ *
+ * Keys look like `p2c_<keyId>_<secret>`. Only the SHA-256 hash of the full key is
+ * stored; the plaintext is returned once when the key is created.
+ *
+ * Key document: {
+ *   _id: keyId,
+ *   name: string,
+ *   role: 'client' | 'admin',
+ *   keyHash: string,
+ *   quota?: { maxBytes?: number|null, maxFiles?: number|null },  // see quotaService
+ *   createdAt: Date,
+ *   revokedAt?: Date
+ * }
+ */
+
+const KEY_PATTERN = /^p2c_([A-Za-z0-9_-]{12})_([A-Za-z0-9_-]{32})$/;
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class ApiKeyStore {
+  constructor() {
+    this.collection = null;
+    this.collectionName = 'apiKeys';
+  }
+
+  /**
+   * Get the API keys collection
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+    this.collection = mongoClient.db.collection(this.collectionName);
+    return this.collection;
+  }
+
+  /**
+   * Issue a new API key
+   * @param {object} params
+   * @param {string} params.name - Client application name
+   * @param {'client'|'admin'} [params.role]
+   * @param {object} [params.quota] - Storage limits overriding the defaults
+   * @returns {Promise<{keyId: string, name: string, role: string, apiKey: string, createdAt: Date}>}
+   *   apiKey is the plaintext key and is never stored
+   */
+  async createKey({ name, role = 'client', quota }) {
+    const collection = await this.getCollection();
+    const keyId = nanoid(12);
+    const apiKey = `p2c_${keyId}_${nanoid(32)}`;
+    const createdAt = new Date();
+
+    await collection.insertOne({
+      _id: keyId,
+      name,
+      role,
+      keyHash: hashKey(apiKey),
+      ...(quota && { quota }),
+      createdAt
+    });
+
+    console.log(`🔑 API key issued: ${keyId} (${name}, ${role})`);
+    return { keyId, name, role, ...(quota && { quota }), apiKey, createdAt };
+  }
+
+  /**
+   * Resolve a presented API key to its client
+   * The ADMIN_API_KEY environment variable is accepted as a bootstrap admin key.
+   * @param {string} rawKey
+   * @returns {Promise<{keyId: string, name: string, isAdmin: boolean}|null>} Client or null if invalid
+   */
+  async authenticate(rawKey) {
+    if (!rawKey || typeof rawKey !== 'string') {
+      return null;
+    }
+
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && safeEqual(hashKey(rawKey), hashKey(adminKey))) {
+      return { keyId: 'admin', name: 'bootstrap-admin', isAdmin: true };
+    }
+
+    const match = KEY_PATTERN.exec(rawKey);
+    if (!match) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    const record = await collection.findOne({ _id: match[1], revokedAt: { $exists: false } });
+    if (!record || !safeEqual(record.keyHash, hashKey(rawKey))) {
+      return null;
+    }
+
+    return { keyId: record._id, name: record.name, isAdmin: record.role === 'admin' };
+  }
+
+  /**
+   * Get an active key without its hash
+   * @param {string} keyId
+   * @returns {Promise<object|null>}
+   */
+  async getKey(keyId) {
+    const collection = await this.getCollection();
+    const record = await collection.findOne(
+      { _id: keyId, revokedAt: { $exists: false } },
+      { projection: { keyHash: 0 } }
+    );
+    if (!record) {
+      return null;
+    }
+    const { _id, ...key } = record;
+    return { keyId: _id, ...key };
+  }
+
+  /**
+   * Replace a key's storage quota
+   * @param {string} keyId
+   * @param {object|null} quota - Null goes back to the defaults
+   * @returns {Promise<boolean>} True if an active key was updated
+   */
+  async setQuota(keyId, quota) {
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { _id: keyId, revokedAt: { $exists: false } },
+      quota ? { $set: { quota } } : { $unset: { quota: '' } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * List issued keys without their hashes
+   * @returns {Promise<Array>}
+   */
+  async listKeys() {
+    const collection = await this.getCollection();
+    const keys = await collection.find({}, { projection: { keyHash: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return keys.map(({ _id, ...key }) => ({ keyId: _id, ...key }));
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} keyId
+   * @returns {Promise<boolean>} True if an active key was revoked
+   */
+  async revokeKey(keyId) {
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { _id: keyId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+}
+
+// Singleton instance
+const apiKeyStore = new ApiKeyStore();
+
+module.exports = apiKeyStore;
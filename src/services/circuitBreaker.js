@@ -0,0 +1,113 @@
+/**
+ * Minimal circuit breaker for calls to an external service
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - after `failureThreshold` consecutive failures, requests are
+ *             refused until `resetTimeoutMs` has passed
+ * half_open - after the timeout one trial request is let through; success
+ *             closes the circuit, failure opens it again
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Used in logs
+   * @param {number} options.failureThreshold
+   * @param {number} options.resetTimeoutMs
+   */
+  constructor({ name, failureThreshold, resetTimeoutMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be made now
+   * Moves an open circuit to half_open once the reset timeout has passed.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      console.log(`🟡 Circuit ${this.name} half-open, allowing a trial request`);
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether requests are currently being refused, without claiming the half-open trial
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.state === 'open' && Date.now() - this.openedAt < this.resetTimeoutMs;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuit ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @param {Error} error
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = { message: error.message, at: new Date() };
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`🔴 Circuit ${this.name} opened after ${this.failures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Seconds until an open circuit lets a trial request through
+   * @returns {number}
+   */
+  getRetryAfterSeconds() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  /**
+   * Current state for health reporting
+   * @returns {{state: string, failures: number, failureThreshold: number, openedAt: Date|null,
+   *   retryAfterSeconds: number, lastFailure: object|null}}
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAfterSeconds: this.getRetryAfterSeconds(),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+// Event name for terminal transitions; a symbol can't collide with a jobId
+const FINISHED = Symbol('finished');
+
+/**
+ * In-process pub/sub for job updates
+ *
+ * The job store publishes every successful write here so open SSE streams can
+ * push the change immediately, and announces terminal transitions (done/error/cancelled)
+ * once, on the instance that made them, for outbound webhooks. Updates written
+ * by another instance are not seen, so stream subscribers should also re-read
+ * the job periodically.
+ */
+class JobEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so don't warn at the default limit of 10
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish the latest state of a job
+   * @param {string} jobId
+   * @param {object} job
+   */
+  publish(jobId, job) {
+    this.emitter.emit(jobId, job);
+  }
+
+  /**
+   * Listen for updates to one job
+   * @param {string} jobId
+   * @param {(job: object) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  /**
+   * Announce that a job reached a terminal state
+   * @param {string} jobId
+   * @param {object} job
+   */
+  publishFinished(jobId, job) {
+    this.emitter.emit(FINISHED, jobId, job);
+  }
+
+  /**
+   * Listen for terminal transitions of any job
+   * @param {(jobId: string, job: object) => void} listener
+   * @returns {() => void} Unsubscribe function
+   */
+  onFinished(listener) {
+    this.emitter.on(FINISHED, listener);
+    return () => this.emitter.off(FINISHED, listener);
+  }
+
+  /**
+   * Number of active subscribers for a job
+   * @param {string} jobId
+   * @returns {number}
+   */
+  listenerCount(jobId) {
+    return this.emitter.listenerCount(jobId);
+  }
+}
+
+// Singleton instance
+const jobEvents = new JobEvents();
+
+module.exports = jobEvents;
@@ -0,0 +1,208 @@
+const mongoClient = require('./mongoClient');
+const jobStore = require('./jobStore');
+const jobEvents = require('./jobEvents');
+const n8nClient = require('./n8nClient');
+const { dispatchJob } = require('./jobRunner');
+
+/**
+ * Dispatch queue towards n8n
+ *
+ * Uploads are stored as `queued` jobs (see jobStore.enqueueJob), so the queue
+ * lives in MongoDB and survives restarts. Whenever a job is queued or finishes,
+ * and every QUEUE_POLL_MS, the worker pool claims queued jobs - high lane first,
+ * then oldest - until QUEUE_CONCURRENCY jobs are in processing, and forwards
+ * them. Claims are atomic, so every instance may run the pool; with several
+ * instances the limit can briefly be overshot by one job per instance.
+ *
+ * Pausing is stored in the `queueControl` collection and applies to every
+ * instance. Jobs already forwarded keep processing; queued jobs wait.
+ */
+class JobQueue {
+  constructor() {
+    this.collection = null;
+    this.collectionName = 'queueControl';
+    this.timer = null;
+    this.unsubscribe = null;
+    this.pumping = false;
+    this.pumpAgain = false;
+  }
+
+  getConfig() {
+    return {
+      concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+      pollMs: parseInt(process.env.QUEUE_POLL_MS, 10) || 5000
+    };
+  }
+
+  /**
+   * Get the queue control collection
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+    this.collection = mongoClient.db.collection(this.collectionName);
+    return this.collection;
+  }
+
+  /**
+   * Start dispatching queued jobs, including any left over from a restart
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.kick(), this.getConfig().pollMs);
+    // Don't keep the process alive just for polling
+    this.timer.unref();
+    // A finished job frees a processing slot
+    this.unsubscribe = jobEvents.onFinished(() => this.kick());
+    this.kick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Dispatch whatever fits now, without waiting for the result
+   */
+  kick() {
+    this.pump();
+  }
+
+  /**
+   * Claim and forward queued jobs until the concurrency limit is reached
+   * Calls made while a run is in progress schedule one more run after it.
+   * @returns {Promise<number>} Number of jobs dispatched
+   */
+  async pump() {
+    if (this.pumping) {
+      this.pumpAgain = true;
+      return 0;
+    }
+    this.pumping = true;
+
+    let dispatched = 0;
+    try {
+      do {
+        this.pumpAgain = false;
+        dispatched += await this.dispatchAvailable();
+      } while (this.pumpAgain);
+    } catch (error) {
+      console.error(`❌ Queue dispatch failed: ${error.message}`);
+    } finally {
+      this.pumping = false;
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Fill the free processing slots once
+   * @returns {Promise<number>} Number of jobs dispatched
+   */
+  async dispatchAvailable() {
+    // Queued jobs wait while paused or while n8n is known to be down
+    if (await this.isPaused() || n8nClient.breaker.isOpen()) {
+      return 0;
+    }
+
+    const processing = await jobStore.countJobs({ status: 'processing' });
+    const claimed = [];
+    for (let free = this.getConfig().concurrency - processing; free > 0; free--) {
+      const next = await jobStore.claimNextJob();
+      if (!next) {
+        break;
+      }
+      claimed.push(next);
+    }
+
+    await Promise.all(claimed.map(async ([jobId, job]) => {
+      console.log(`🚚 Dispatching job ${jobId} (attempt ${job.attempt}, ${job.priority || 'normal'} priority)`);
+      try {
+        await dispatchJob(jobId, job);
+      } catch (error) {
+        console.error(`❌ Failed to dispatch job ${jobId}: ${error.message}`);
+      }
+    }));
+
+    return claimed.length;
+  }
+
+  /**
+   * Whether dispatching is paused
+   * @returns {Promise<boolean>}
+   */
+  async isPaused() {
+    const collection = await this.getCollection();
+    const control = await collection.findOne({ _id: 'dispatch' });
+    return Boolean(control && control.paused);
+  }
+
+  /**
+   * Pause dispatching on every instance
+   * @param {string} [pausedBy] - keyId of the admin who paused
+   * @returns {Promise<void>}
+   */
+  async pause(pausedBy) {
+    const collection = await this.getCollection();
+    await collection.updateOne(
+      { _id: 'dispatch' },
+      { $set: { paused: true, pausedAt: new Date(), pausedBy } },
+      { upsert: true }
+    );
+    console.log(`⏸️  Job dispatching paused${pausedBy ? ` by ${pausedBy}` : ''}`);
+  }
+
+  /**
+   * Resume dispatching and start on the backlog straight away
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    const collection = await this.getCollection();
+    await collection.updateOne(
+      { _id: 'dispatch' },
+      { $set: { paused: false }, $unset: { pausedAt: '', pausedBy: '' } },
+      { upsert: true }
+    );
+    console.log('▶️  Job dispatching resumed');
+    this.kick();
+  }
+
+  /**
+   * Queue state for the admin endpoints
+   * @returns {Promise<object>}
+   */
+  async getStatus() {
+    const collection = await this.getCollection();
+    const control = await collection.findOne({ _id: 'dispatch' }) || {};
+    const [queued, processing] = await Promise.all([
+      jobStore.getQueueStats(),
+      jobStore.countJobs({ status: 'processing' })
+    ]);
+
+    return {
+      paused: Boolean(control.paused),
+      pausedAt: control.pausedAt,
+      pausedBy: control.pausedBy,
+      concurrency: this.getConfig().concurrency,
+      processing,
+      queued,
+      forwarding: n8nClient.getCircuitState()
+    };
+  }
+}
+
+// Singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { generateJobId } = require('../utils/ids');
+const jobStore = require('./jobStore');
+const sourceStore = require('./sourceStore');
+const n8nClient = require('./n8nClient');
+const { createError } = require('../middleware/errors');
+
+const TMP_DIR = path.join(__dirname, '../../tmp');
+
+/**
+ * Forward a job's document to n8n and record the execution details
+ * @param {string} jobId
+ * @param {object} params
+ * @param {string} params.filePath
+ * @param {string} params.originalName
+ * @param {string} params.mimetype
+ * @param {number} params.attempt
+ * @returns {Promise<{jobId: string, filename: string, execution?: object}>}
+ */
+async function forwardJob(jobId, { filePath, originalName, mimetype, attempt }) {
+  const n8nResponse = await n8nClient.forwardToN8n({
+    filePath,
+    originalName,
+    jobId,
+    mimetype,
+    attempt
+  });
+
+  const result = { jobId, filename: originalName };
+
+  // Update job with n8n execution details if available
+  if (n8nResponse.executionId) {
+    const updated = await jobStore.updateExecutionDetails(jobId, {
+      executionId: n8nResponse.executionId,
+      executionStatus: n8nResponse.executionStatus,
+      executionMessage: n8nResponse.message,
+      webhookUrl: n8nResponse.webhookUrl,
+      executionMode: n8nResponse.executionMode,
+      workflowId: n8nResponse.workflowId
+    });
+    console.log(`📊 n8n execution tracking: ${n8nResponse.executionId} for job ${jobId}`);
+
+    // Cancelled while it was being forwarded
+    if (updated && updated.status === 'cancelled') {
+      await n8nClient.stopExecution(n8nResponse.executionId);
+    }
+
+    result.execution = {
+      id: n8nResponse.executionId,
+      status: n8nResponse.executionStatus,
+      message: n8nResponse.message,
+      mode: n8nResponse.executionMode
+    };
+  }
+
+  return result;
+}
+
+function removeTempFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (cleanupError) {
+    console.warn(`⚠️  Failed to cleanup temp file: ${cleanupError.message}`);
+  }
+}
+
+/**
+ * Queue an uploaded file as a new job
+ *
+ * The upload is archived in the source store first - the dispatch queue forwards
+ * that copy to n8n, and it is kept for retries and audits - and the temporary
+ * file is removed either way. Nothing is sent to n8n here; see jobQueue.js.
+ *
+ * @param {object} params
+ * @param {string} params.filePath - Path to the uploaded temp file
+ * @param {string} params.originalName - Original filename
+ * @param {string} params.mimetype - File MIME type
+ * @param {object} [params.fields] - Extra job fields, e.g. ownerKeyId, batchId
+ * @param {string} [params.priority] - Queue lane: 'high', 'normal' or 'low'
+ * @returns {Promise<{jobId: string, filename: string, job: object}>}
+ */
+async function startJob({ filePath, originalName, mimetype, fields = {}, priority = 'normal' }) {
+  try {
+    // Don't accept work while n8n is known to be down
+    n8nClient.assertAvailable();
+
+    const jobId = generateJobId();
+    const sourceFileId = await sourceStore.save(jobId, filePath, {
+      filename: originalName,
+      mimetype,
+      ownerKeyId: fields.ownerKeyId,
+      expiresAt: jobStore.getExpiryDate()
+    });
+
+    let job;
+    try {
+      job = await jobStore.enqueueJob(jobId, originalName, { ...fields, sourceFileId }, priority);
+    } catch (error) {
+      await sourceStore.remove(jobId).catch(() => {});
+      throw error;
+    }
+
+    console.log(`📥 Job queued: ${jobId} for ${originalName} (${priority} priority)`);
+    return { jobId, filename: originalName, job };
+
+  } finally {
+    removeTempFile(filePath);
+  }
+}
+
+/**
+ * Forward a job claimed by the dispatch queue to n8n
+ *
+ * Downloads the retained source to a temporary file and forwards it. If n8n's
+ * circuit breaker opened since the job was claimed, the job goes back to the
+ * queue untouched; any other failure fails the job.
+ *
+ * @param {string} jobId
+ * @param {object} job - The job as claimed
+ * @returns {Promise<{jobId: string, filename: string, execution?: object}|null>} Null if not forwarded
+ */
+async function dispatchJob(jobId, job) {
+  const tempPath = path.join(TMP_DIR, `dispatch-${jobId}-${Date.now()}`);
+
+  try {
+    const source = await sourceStore.downloadToFile(jobId, tempPath);
+    if (!source) {
+      await jobStore.failJob(jobId, 'Source document is no longer available', 'SOURCE_NOT_AVAILABLE');
+      return null;
+    }
+
+    return await forwardJob(jobId, {
+      filePath: tempPath,
+      originalName: source.filename,
+      mimetype: source.mimetype,
+      attempt: job.attempt
+    });
+  } catch (error) {
+    if (error.code === 'SERVICE_UNAVAILABLE') {
+      await jobStore.requeueJob(jobId);
+      return null;
+    }
+    console.error(`❌ Dispatch failed for job ${jobId}: ${error.message}`);
+    await jobStore.failJob(jobId, error.message);
+    return null;
+
+  } finally {
+    // May not exist if the download failed
+    fs.unlink(tempPath, () => {});
+  }
+}
+
+/**
+ * Put a failed job back in the dispatch queue under the same job ID
+ *
+ * Throws 409 JOB_NOT_RETRYABLE if the job is not failed (or another retry won
+ * the race) and 410 SOURCE_NOT_AVAILABLE if the document is no longer retained.
+ *
+ * @param {string} jobId
+ * @param {object} job - The job as currently stored
+ * @returns {Promise<{jobId: string, attempt: number, job: object}>}
+ */
+async function retryJob(jobId, job) {
+  if (job.status !== 'error') {
+    throw createError(`Only failed jobs can be retried (status: ${job.status})`, 409, 'JOB_NOT_RETRYABLE');
+  }
+
+  n8nClient.assertAvailable();
+
+  // Keep the source for as long as the retried job, before checking it is still there
+  await sourceStore.extendExpiry(jobId, jobStore.getExpiryDate());
+  if (!await sourceStore.find(jobId)) {
+    throw createError('Source document is no longer available', 410, 'SOURCE_NOT_AVAILABLE');
+  }
+
+  const retried = await jobStore.retryJob(jobId, job);
+  if (!retried) {
+    throw createError('Job changed while retrying, try again', 409, 'JOB_NOT_RETRYABLE');
+  }
+
+  console.log(`🔁 Retrying job ${jobId} (attempt ${retried.attempt})`);
+  return { jobId, attempt: retried.attempt, job: retried };
+}
+
+/**
+ * Cancel a queued or processing job
+ *
+ * Throws 409 JOB_NOT_CANCELLABLE if the job already finished. If n8n is
+ * already running it, stopping the execution is attempted once; callbacks
+ * that arrive anyway are discarded (see routes/callback.js).
+ *
+ * @param {string} jobId
+ * @param {object} job - The job as currently stored
+ * @param {string} [cancelledBy] - keyId of the client cancelling it
+ * @returns {Promise<{job: object, execution?: {id: string, stopped: boolean, error?: string}}>}
+ */
+async function cancelJob(jobId, job, cancelledBy) {
+  if (!['queued', 'processing'].includes(job.status)) {
+    throw createError(`Only queued or processing jobs can be cancelled (status: ${job.status})`, 409, 'JOB_NOT_CANCELLABLE');
+  }
+
+  const cancelled = await jobStore.cancelJob(jobId, cancelledBy);
+  if (!cancelled) {
+    throw createError('Job finished while cancelling', 409, 'JOB_NOT_CANCELLABLE');
+  }
+
+  console.log(`🚫 Job cancelled: ${jobId}`);
+
+  const result = { job: cancelled };
+  if (cancelled.executionId) {
+    const stop = await n8nClient.stopExecution(cancelled.executionId);
+    result.execution = { id: cancelled.executionId, ...stop };
+  }
+  return result;
+}
+
+module.exports = {
+  startJob,
+  dispatchJob,
+  retryJob,
+  cancelJob
+};
@@ -1,186 +1,568 @@
+const mongoClient = require('./mongoClient');
+const jobEvents = require('./jobEvents');
+const { computeDeadline } = require('../utils/processingTimeout');
+
 /**
- * In-memory job store with TTL cleanup
- * 
+ * MongoDB-backed job store with TTL expiry
+ *
  * Job structure: {
- *   status: 'processing' | 'done' | 'error',
+ *   status: 'queued' | 'processing' | 'done' | 'error' | 'cancelled',
  *   filenamePdf: string,
+ *   priority?: 'high' | 'normal' | 'low',
+ *   lane?: number,
+ *   queuedAt?: Date,
  *   r2Key?: string,
+ *   sourceFileId?: string,
  *   presignedUrl?: string,
  *   error?: string,
+ *   errorCode?: string,
+ *   validation?: {valid: boolean, errors: Array<object>},
+ *   attempt: number,
+ *   errorHistory?: Array<{attempt: number, error: string, failedAt: Date, executionId?: string}>,
  *   executionId?: string,
  *   executionStatus?: string,
  *   executionMessage?: string,
  *   webhookUrl?: string,
  *   executionMode?: string,
+ *   workflowId?: string,
+ *   processingStartedAt?: Date,
+ *   deadlineAt?: Date,
+ *   timedOutAt?: Date,
+ *   cancelledAt?: Date,
+ *   cancelledBy?: string,
+ *   ownerKeyId?: string,
+ *   batchId?: string,
+ *   contentHash?: string,
+ *   optionsHash?: string,
+ *   dedupedFrom?: {jobId: string, fileId: string},
+ *   notifyUrl?: string,
+ *   notifySecret?: string,
+ *   webhookDeliveries?: Array<object>,
  *   createdAt: Date,
- *   updatedAt: Date
+ *   updatedAt: Date,
+ *   expiresAt: Date
  * }
- * 
- * Note: This is an in-memory implementation suitable for single-instance deployments.
- * For production scale, replace with Redis or MongoDB for persistence and multi-instance support.
+ *
+ * Jobs live in the `jobs` collection keyed by jobId (`_id`), so every instance
+ * behind the load balancer sees the same state. A TTL index on `expiresAt` lets
+ * MongoDB remove old jobs, and every write is a single atomic update.
+ * Successful updates are also published on `jobEvents` for live status streams.
+ *
+ * Uploads wait as `queued` jobs until the dispatch queue (jobQueue.js) claims
+ * them. Lanes order the queue: lower lanes are claimed first, then the oldest
+ * `queuedAt` within a lane.
  */
-
 class JobStore {
   constructor() {
-    this.jobs = new Map();
+    this.collection = null;
+    this.collectionName = 'jobs';
     this.TTL_HOURS = 24;
-    
-    // Start cleanup interval - every hour
-    this.cleanupInterval = setInterval(() => {
-      this.cleanup();
-    }, 60 * 60 * 1000);
+    this.PRIORITY_LANES = { high: 0, normal: 1, low: 2 };
+  }
+
+  /**
+   * Get the jobs collection, creating indexes on first use
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+
+    const collection = mongoClient.db.collection(this.collectionName);
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({ status: 1, createdAt: -1 });
+    await collection.createIndex({ ownerKeyId: 1, createdAt: -1 });
+    await collection.createIndex({ batchId: 1 }, { sparse: true });
+    await collection.createIndex({ status: 1, deadlineAt: 1 });
+    await collection.createIndex({ status: 1, lane: 1, queuedAt: 1 });
+
+    this.collection = collection;
+    return collection;
+  }
+
+  /**
+   * When a job created now expires
+   * @param {Date} [from]
+   * @returns {Date}
+   */
+  getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + this.TTL_HOURS * 60 * 60 * 1000);
   }
 
   /**
-   * Create a new job
-   * @param {string} jobId 
-   * @param {string} filenamePdf 
-   * @returns {object} The created job
+   * Create a new job that is already being processed
+   * @param {string} jobId
+   * @param {string} filenamePdf
+   * @param {object} [fields] - Additional fields to store, e.g. ownerKeyId
+   * @returns {Promise<object>} The created job
    */
-  createJob(jobId, filenamePdf) {
+  async createJob(jobId, filenamePdf, fields = {}) {
+    const collection = await this.getCollection();
+    const now = new Date();
     const job = {
+      ...fields,
       status: 'processing',
       filenamePdf,
-      createdAt: new Date(),
-      updatedAt: new Date()
+      attempt: 1,
+      processingStartedAt: now,
+      deadlineAt: computeDeadline(now),
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: this.getExpiryDate(now)
     };
-    
-    this.jobs.set(jobId, job);
+
+    await collection.insertOne({ _id: jobId, ...job });
     return job;
   }
 
   /**
-   * Get a job by ID
-   * @param {string} jobId 
-   * @returns {object|null} The job or null if not found
+   * Create a job that is already done, reusing a CSV stored for an earlier job
+   * Used when an upload duplicates one that was already converted.
+   * @param {string} jobId
+   * @param {string} filenamePdf
+   * @param {object} fields - Must include r2Key and presignedUrl of the reused CSV
+   * @returns {Promise<object>} The created job
    */
-  getJob(jobId) {
-    return this.jobs.get(jobId) || null;
+  async createCompletedJob(jobId, filenamePdf, fields) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const job = {
+      ...fields,
+      status: 'done',
+      filenamePdf,
+      attempt: 1,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: this.getExpiryDate(now)
+    };
+
+    await collection.insertOne({ _id: jobId, ...job });
+    jobEvents.publishFinished(jobId, job);
+    return job;
   }
 
   /**
-   * Update job status and other fields
-   * @param {string} jobId 
-   * @param {object} updates 
-   * @returns {object|null} The updated job or null if not found
+   * Create a new job waiting in the dispatch queue
+   * Its processing deadline is only set once it is dispatched.
+   * @param {string} jobId
+   * @param {string} filenamePdf
+   * @param {object} [fields] - Additional fields to store, e.g. ownerKeyId, sourceFileId
+   * @param {string} [priority] - Queue lane: 'high', 'normal' or 'low'
+   * @returns {Promise<object>} The created job
    */
-  updateJob(jobId, updates) {
-    const job = this.jobs.get(jobId);
-    if (!job) {
+  async enqueueJob(jobId, filenamePdf, fields = {}, priority = 'normal') {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const job = {
+      ...fields,
+      status: 'queued',
+      filenamePdf,
+      priority,
+      lane: this.PRIORITY_LANES[priority],
+      queuedAt: now,
+      attempt: 1,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: this.getExpiryDate(now)
+    };
+
+    await collection.insertOne({ _id: jobId, ...job });
+    return job;
+  }
+
+  /**
+   * Atomically claim the next queued job and move it to processing
+   * The processing deadline starts now, when the job is handed to n8n.
+   * @returns {Promise<Array|null>} [jobId, job] or null if the queue is empty
+   */
+  async claimNextJob() {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const doc = await collection.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'processing',
+          processingStartedAt: now,
+          deadlineAt: computeDeadline(now),
+          updatedAt: now
+        }
+      },
+      { sort: { lane: 1, queuedAt: 1 }, returnDocument: 'after' }
+    );
+
+    if (!doc) {
       return null;
     }
+    const { _id: jobId, ...job } = doc;
+    jobEvents.publish(jobId, job);
+    return [jobId, job];
+  }
+
+  /**
+   * Put a claimed job back in the queue, keeping its place
+   * Used when dispatch could not even start, e.g. the n8n circuit is open.
+   * @param {string} jobId
+   * @returns {Promise<object|null>} The updated job or null if it is no longer processing
+   */
+  async requeueJob(jobId) {
+    const collection = await this.getCollection();
+    const job = await collection.findOneAndUpdate(
+      { _id: jobId, status: 'processing' },
+      {
+        $set: { status: 'queued', updatedAt: new Date() },
+        $unset: { processingStartedAt: '', deadlineAt: '' }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
 
-    Object.assign(job, updates, { updatedAt: new Date() });
-    this.jobs.set(jobId, job);
+    if (job) {
+      jobEvents.publish(jobId, job);
+    }
     return job;
   }
 
   /**
-   * Mark job as completed with R2 details
-   * @param {string} jobId 
-   * @param {string} r2Key 
-   * @param {string} presignedUrl 
-   * @returns {object|null} The updated job or null if not found
+   * 1-based position of a queued job, counting every job claimed before it
+   * @param {object} job - A queued job
+   * @returns {Promise<number>}
+   */
+  async getQueuePosition(job) {
+    const collection = await this.getCollection();
+    const ahead = await collection.countDocuments({
+      status: 'queued',
+      $or: [
+        { lane: { $lt: job.lane } },
+        { lane: job.lane, queuedAt: { $lt: job.queuedAt } }
+      ]
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Count jobs matching a filter
+   * @param {object} [filter] - MongoDB filter, e.g. { status: 'processing' }
+   * @returns {Promise<number>}
+   */
+  async countJobs(filter = {}) {
+    const collection = await this.getCollection();
+    return collection.countDocuments(filter);
+  }
+
+  /**
+   * Number of queued jobs in each priority lane
+   * @returns {Promise<object>} e.g. { high: 0, normal: 3, low: 1, total: 4 }
+   */
+  async getQueueStats() {
+    const collection = await this.getCollection();
+    const counts = await collection.aggregate([
+      { $match: { status: 'queued' } },
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]).toArray();
+
+    const byPriority = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    const stats = { total: 0 };
+    for (const priority of Object.keys(this.PRIORITY_LANES)) {
+      stats[priority] = byPriority[priority] || 0;
+      stats.total += stats[priority];
+    }
+    return stats;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId
+   * @returns {Promise<object|null>} The job or null if not found
    */
-  completeJob(jobId, r2Key, presignedUrl) {
-    return this.updateJob(jobId, {
+  async getJob(jobId) {
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: jobId }, { projection: { _id: 0 } });
+  }
+
+  /**
+   * Update job status and other fields
+   * @param {string} jobId
+   * @param {object} updates
+   * @param {object} [condition] - Extra filter the stored job must match
+   * @returns {Promise<object|null>} The updated job or null if not found
+   */
+  async updateJob(jobId, updates, condition = {}) {
+    const collection = await this.getCollection();
+    const job = await collection.findOneAndUpdate(
+      { ...condition, _id: jobId },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (job) {
+      jobEvents.publish(jobId, job);
+    }
+    return job;
+  }
+
+  /**
+   * Mark job as completed with storage details
+   * Only applies while the job is still processing, so a late callback
+   * cannot overwrite a job that has already finished.
+   * @param {string} jobId
+   * @param {string} r2Key
+   * @param {string} presignedUrl
+   * @param {object} [details] - Extra fields to store, e.g. { rawFileId, mapping }
+   * @returns {Promise<object|null>} The updated job or null if not found or already finished
+   */
+  async completeJob(jobId, r2Key, presignedUrl, details = {}) {
+    const job = await this.updateJob(jobId, {
+      ...details,
       status: 'done',
       r2Key,
       presignedUrl
-    });
+    }, { status: 'processing' });
+
+    if (job) {
+      jobEvents.publishFinished(jobId, job);
+    }
+    return job;
   }
 
   /**
    * Mark job as failed
-   * @param {string} jobId 
-   * @param {string} error 
-   * @returns {object|null} The updated job or null if not found
+   * Only applies while the job is still processing.
+   * @param {string} jobId
+   * @param {string} error
+   * @param {string} [errorCode] - Machine-readable reason, e.g. TIMEOUT
+   * @param {object} [details] - Extra fields to store, e.g. { validation }
+   * @returns {Promise<object|null>} The updated job or null if not found or already finished
+   */
+  async failJob(jobId, error, errorCode, details = {}) {
+    const updates = { ...details, status: 'error', error };
+    if (errorCode) {
+      updates.errorCode = errorCode;
+    }
+    const job = await this.updateJob(jobId, updates, { status: 'processing' });
+
+    if (job) {
+      jobEvents.publishFinished(jobId, job);
+    }
+    return job;
+  }
+
+  /**
+   * Fail a job that missed its processing deadline
+   * Conditional on the deadline the watchdog saw, so a job that was retried
+   * (and got a new deadline) in the meantime is left alone.
+   * @param {string} jobId
+   * @param {Date} deadlineAt
+   * @returns {Promise<object|null>} The updated job or null if it changed in the meantime
    */
-  failJob(jobId, error) {
-    return this.updateJob(jobId, {
+  async timeOutJob(jobId, deadlineAt) {
+    const job = await this.updateJob(jobId, {
       status: 'error',
-      error
-    });
+      error: `Processing did not finish by the deadline (${deadlineAt.toISOString()})`,
+      errorCode: 'TIMEOUT',
+      timedOutAt: new Date()
+    }, { status: 'processing', deadlineAt });
+
+    if (job) {
+      jobEvents.publishFinished(jobId, job);
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a job that has not finished yet
+   * @param {string} jobId
+   * @param {string} [cancelledBy] - keyId of the client that cancelled it
+   * @returns {Promise<object|null>} The updated job or null if not found or already finished
+   */
+  async cancelJob(jobId, cancelledBy) {
+    const job = await this.updateJob(jobId, {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy
+    }, { status: { $in: ['queued', 'processing'] } });
+
+    if (job) {
+      jobEvents.publishFinished(jobId, job);
+    }
+    return job;
+  }
+
+  /**
+   * Find processing jobs past their deadline, oldest deadline first
+   * @param {number} [limit]
+   * @returns {Promise<Array>} Array of [jobId, job] pairs
+   */
+  async findOverdueJobs(limit = 100) {
+    const collection = await this.getCollection();
+    const docs = await collection.find({ status: 'processing', deadlineAt: { $lt: new Date() } })
+      .sort({ deadlineAt: 1 })
+      .limit(limit)
+      .toArray();
+    return docs.map(({ _id: jobId, ...job }) => [jobId, job]);
+  }
+
+  /**
+   * Move a failed job back to the queue for another attempt
+   * It goes to the back of its priority lane; the processing deadline is set
+   * again when it is dispatched, and the job gets a fresh TTL so it can't
+   * expire mid-attempt. The previous error goes into `errorHistory`.
+   * The update only applies if the
+   * job is still in the failed attempt it was read in, so concurrent retries
+   * cannot both start.
+   * @param {string} jobId
+   * @param {object} job - The failed job as currently stored
+   * @returns {Promise<object|null>} The updated job or null if it changed in the meantime
+   */
+  async retryJob(jobId, job) {
+    const collection = await this.getCollection();
+    const attempt = job.attempt || 1;
+    const now = new Date();
+    const updated = await collection.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: 'error',
+        attempt: job.attempt ? job.attempt : { $exists: false }
+      },
+      {
+        $set: {
+          status: 'queued',
+          attempt: attempt + 1,
+          priority: job.priority || 'normal',
+          lane: this.PRIORITY_LANES[job.priority || 'normal'],
+          queuedAt: now,
+          updatedAt: now,
+          expiresAt: this.getExpiryDate(now)
+        },
+        $unset: {
+          processingStartedAt: '',
+          deadlineAt: '',
+          error: '',
+          errorCode: '',
+          validation: '',
+          timedOutAt: '',
+          workflowId: '',
+          executionId: '',
+          executionStatus: '',
+          executionMessage: '',
+          webhookUrl: '',
+          executionMode: ''
+        },
+        $push: {
+          errorHistory: {
+            attempt,
+            error: job.error,
+            errorCode: job.errorCode,
+            failedAt: job.updatedAt,
+            executionId: job.executionId
+          }
+        }
+      },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+
+    if (updated) {
+      jobEvents.publish(jobId, updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Append an entry to the job's webhook delivery log, keeping the latest 50
+   * @param {string} jobId
+   * @param {object} delivery
+   * @returns {Promise<void>}
+   */
+  async recordWebhookDelivery(jobId, delivery) {
+    const collection = await this.getCollection();
+    await collection.updateOne(
+      { _id: jobId },
+      { $push: { webhookDeliveries: { $each: [delivery], $slice: -50 } } }
+    );
   }
 
   /**
    * Update job with n8n execution details
-   * @param {string} jobId 
-   * @param {object} executionDetails 
+   * @param {string} jobId
+   * @param {object} executionDetails
    * @param {string} executionDetails.executionId
    * @param {string} executionDetails.executionStatus
    * @param {string} executionDetails.executionMessage
    * @param {string} executionDetails.webhookUrl
    * @param {string} executionDetails.executionMode
-   * @returns {object|null} The updated job or null if not found
+   * @param {string} [executionDetails.workflowId] - Applies that workflow's processing deadline
+   * @returns {Promise<object|null>} The updated job or null if not found
    */
-  updateExecutionDetails(jobId, executionDetails) {
-    const { executionId, executionStatus, executionMessage, webhookUrl, executionMode } = executionDetails;
-    return this.updateJob(jobId, {
+  async updateExecutionDetails(jobId, executionDetails) {
+    const { executionId, executionStatus, executionMessage, webhookUrl, executionMode, workflowId } = executionDetails;
+    const updates = {
       executionId,
       executionStatus,
       executionMessage,
       webhookUrl,
       executionMode
-    });
+    };
+
+    if (workflowId) {
+      updates.workflowId = String(workflowId);
+      const job = await this.getJob(jobId);
+      if (job && job.status === 'processing') {
+        updates.deadlineAt = computeDeadline(job.processingStartedAt || job.createdAt, workflowId);
+      }
+    }
+
+    return this.updateJob(jobId, updates);
   }
 
   /**
    * Get all jobs (for debugging)
-   * @returns {Array} Array of [jobId, job] pairs
+   * @param {object} [filter] - MongoDB filter, e.g. { ownerKeyId }
+   * @returns {Promise<Array>} Array of [jobId, job] pairs
    */
-  getAllJobs() {
-    return Array.from(this.jobs.entries());
+  async getAllJobs(filter = {}) {
+    const collection = await this.getCollection();
+    const docs = await collection.find(filter).sort({ createdAt: -1 }).toArray();
+    return docs.map(({ _id: jobId, ...job }) => [jobId, job]);
   }
 
   /**
-   * Clean up old jobs (older than TTL_HOURS)
+   * Get all jobs in a batch, in upload order
+   * @param {string} batchId
+   * @returns {Promise<Array>} Array of [jobId, job] pairs
    */
-  cleanup() {
-    const cutoffTime = new Date(Date.now() - (this.TTL_HOURS * 60 * 60 * 1000));
-    let cleanedCount = 0;
-
-    for (const [jobId, job] of this.jobs.entries()) {
-      if (job.createdAt < cutoffTime) {
-        this.jobs.delete(jobId);
-        cleanedCount++;
-      }
-    }
-
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} old jobs (older than ${this.TTL_HOURS}h)`);
-    }
+  async getJobsByBatch(batchId) {
+    const collection = await this.getCollection();
+    const docs = await collection.find({ batchId }).sort({ createdAt: 1 }).toArray();
+    return docs.map(({ _id: jobId, ...job }) => [jobId, job]);
   }
 
   /**
    * Get store statistics
-   * @returns {object} Stats about the job store
+   * @param {object} [filter] - MongoDB filter, e.g. { ownerKeyId }
+   * @returns {Promise<object>} Stats about the job store
    */
-  getStats() {
-    const jobs = Array.from(this.jobs.values());
+  async getStats(filter = {}) {
+    const collection = await this.getCollection();
+    const counts = await collection.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray();
+
+    const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
     return {
-      total: jobs.length,
-      processing: jobs.filter(j => j.status === 'processing').length,
-      done: jobs.filter(j => j.status === 'done').length,
-      error: jobs.filter(j => j.status === 'error').length
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      queued: byStatus.queued || 0,
+      processing: byStatus.processing || 0,
+      done: byStatus.done || 0,
+      error: byStatus.error || 0,
+      cancelled: byStatus.cancelled || 0
     };
   }
-
-  /**
-   * Cleanup interval on shutdown
-   */
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-  }
 }
 
 // Singleton instance
 const jobStore = new JobStore();
 
-// Cleanup on process exit
-process.on('SIGTERM', () => jobStore.destroy());
-process.on('SIGINT', () => jobStore.destroy());
-
 module.exports = jobStore;
@@ -0,0 +1,73 @@
+const jobStore = require('./jobStore');
+
+/**
+ * Watchdog for jobs stuck in `processing`
+ *
+ * If n8n dies mid-workflow it never calls back, so every interval this fails
+ * processing jobs past their `deadlineAt` with errorCode TIMEOUT (see
+ * utils/processingTimeout.js for how deadlines are set). Every instance may
+ * run it; the conditional update in jobStore.timeOutJob means each job is
+ * timed out exactly once.
+ */
+class JobWatchdog {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  getIntervalMs() {
+    const seconds = parseInt(process.env.WATCHDOG_INTERVAL_SECONDS, 10);
+    return (seconds > 0 ? seconds : 60) * 1000;
+  }
+
+  /**
+   * Start checking for overdue jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.tick(), this.getIntervalMs());
+    // Don't keep the process alive just for the watchdog
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Time out every overdue job once
+   * @returns {Promise<number>} Number of jobs timed out
+   */
+  async tick() {
+    // Skip if the previous run is still going (slow database)
+    if (this.running) {
+      return 0;
+    }
+    this.running = true;
+
+    let timedOut = 0;
+    try {
+      const overdue = await jobStore.findOverdueJobs();
+      for (const [jobId, job] of overdue) {
+        if (await jobStore.timeOutJob(jobId, job.deadlineAt)) {
+          timedOut++;
+          console.warn(`⏰ Job ${jobId} timed out in processing (deadline ${job.deadlineAt.toISOString()})`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Watchdog run failed: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return timedOut;
+  }
+}
+
+// Singleton instance
+const jobWatchdog = new JobWatchdog();
+
+module.exports = jobWatchdog;
@@ -1,4 +1,12 @@
 const { MongoClient, GridFSBucket, ObjectId } = require('mongodb');
+const { encodeCursor } = require('../utils/fileQuery');
+const { getRetentionDays, expiryAfter } = require('../utils/retention');
+
+// FileInfo fields and the GridFS fields they are stored in
+const FILE_FIELDS = { uploadDate: 'uploadDate', filename: 'filename', size: 'length' };
+
+// GridFS IDs are ObjectIds; anything else can never match, so it is left as a string
+const toObjectId = id => (/^[a-f0-9]{24}$/i.test(id) ? new ObjectId(id) : id);
 
 /**
  * MongoDB client for storing and retrieving CSV files using GridFS
@@ -9,6 +17,7 @@ class MongoClient_CSV {
     this.db = null;
     this.bucket = null;
     this.isConnected = false;
+    this.fileIndexesReady = false;
   }
 
   /**
@@ -69,14 +78,16 @@ class MongoClient_CSV {
    * @param {string} jobId - Job identifier
    * @param {Buffer} csvBuffer - CSV file content as buffer
    * @param {string} filename - Original filename
+   * @param {object} [extraMetadata] - Additional metadata stored with the file
    * @returns {Promise<string>} File ID for retrieval
    */
-  async storeCSV(jobId, csvBuffer, filename) {
+  async storeCSV(jobId, csvBuffer, filename, extraMetadata = {}) {
     await this.connect();
 
     try {
       const uploadStream = this.bucket.openUploadStream(filename, {
         metadata: {
+          ...extraMetadata,
           jobId,
           uploadDate: new Date(),
           contentType: 'text/csv',
@@ -99,40 +110,10 @@ class MongoClient_CSV {
     }
   }
 
-  /**
-   * Generate download URL for CSV file
-   * @param {string} jobId - Job identifier
-   * @returns {Promise<string>} Download URL
-   */
-  async generateDownloadUrl(jobId) {
-    await this.connect();
-
-    try {
-      // Find file by jobId in metadata
-      const file = await this.bucket.find({ 'metadata.jobId': jobId }).toArray();
-      
-      if (!file || file.length === 0) {
-        throw new Error(`CSV file not found for job: ${jobId}`);
-      }
-
-      const fileId = file[0]._id.toString();
-      
-      // Return URL that points to our download endpoint
-      const baseUrl = process.env.BASE_URL || process.env.RENDER_EXTERNAL_URL || 'https://csv-backend-oyvb.onrender.com';
-      const downloadUrl = `${baseUrl}/api/files/download/${fileId}`;
-      
-      console.log(`🔗 Generated download URL for job ${jobId}: ${downloadUrl}`);
-      return downloadUrl;
-    } catch (error) {
-      console.error('❌ Failed to generate download URL:', error.message);
-      throw new Error(`Failed to generate download URL: ${error.message}`);
-    }
-  }
-
   /**
    * Get CSV file stream from MongoDB
    * @param {string} fileId - File ID
-   * @returns {Promise<{stream: ReadableStream, filename: string, contentType: string}>}
+   * @returns {Promise<{stream: ReadableStream, filename: string, contentType: string, size: number, metadata: object}>}
    */
   async getCSVStream(fileId) {
     await this.connect();
@@ -153,7 +134,8 @@ class MongoClient_CSV {
         stream: downloadStream,
         filename: fileInfo.filename,
         contentType: fileInfo.metadata?.contentType || 'text/csv',
-        size: fileInfo.length
+        size: fileInfo.length,
+        metadata: fileInfo.metadata || {}
       };
     } catch (error) {
       console.error('❌ Failed to get CSV stream:', error.message);
@@ -162,7 +144,7 @@ class MongoClient_CSV {
   }
 
   /**
-   * Delete CSV file from MongoDB
+   * Delete every CSV file stored for a job: the CSV, its raw copy and its revisions
    * @param {string} jobId - Job identifier
    * @returns {Promise<boolean>} Success status
    */
@@ -170,22 +152,141 @@ class MongoClient_CSV {
     await this.connect();
 
     try {
-      const file = await this.bucket.find({ 'metadata.jobId': jobId }).toArray();
+      const files = await this.bucket.find({ 'metadata.jobId': jobId }).toArray();
       
-      if (!file || file.length === 0) {
+      if (!files || files.length === 0) {
         console.log(`⚠️  No CSV file found to delete for job: ${jobId}`);
         return false;
       }
 
-      await this.bucket.delete(file[0]._id);
-      console.log(`🗑️  Deleted CSV file for job: ${jobId}`);
+      for (const file of files) {
+        await this.bucket.delete(file._id);
+      }
+      console.log(`🗑️  Deleted ${files.length} CSV file(s) for job: ${jobId}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to delete CSV:', error.message);
+      throw new Error(`Failed to delete CSV: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the most recent file stored for a job, skipping raw copies kept next
+   * to mapped CSVs and revisions
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<object|null>} GridFS file document or null if not found
+   */
+  async findFileByJobId(jobId) {
+    await this.connect();
+
+    const files = await this.bucket
+      .find({ 'metadata.jobId': jobId, 'metadata.variant': { $exists: false } })
+      .sort({ uploadDate: -1 })
+      .limit(1)
+      .toArray();
+    return files[0] || null;
+  }
+
+  /**
+   * Delete a file from GridFS by its ID
+   * @param {string} fileId - File ID
+   * @returns {Promise<boolean>} True if the file existed and was deleted
+   */
+  async deleteFileById(fileId) {
+    await this.connect();
+
+    try {
+      await this.bucket.delete(new ObjectId(fileId));
+      console.log(`🗑️  Deleted CSV file: ${fileId}`);
       return true;
     } catch (error) {
+      if (error.message.includes('not found')) {
+        return false;
+      }
       console.error('❌ Failed to delete CSV:', error.message);
       throw new Error(`Failed to delete CSV: ${error.message}`);
     }
   }
 
+  /**
+   * Set or remove metadata fields of a stored file
+   * @param {string} fileId - File ID
+   * @param {object} changes - Fields to set; undefined values are removed
+   * @returns {Promise<boolean>} True if the file exists
+   */
+  async updateFileMetadata(fileId, changes) {
+    await this.connect();
+
+    const $set = {};
+    const $unset = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === undefined) {
+        $unset[`metadata.${key}`] = '';
+      } else {
+        $set[`metadata.${key}`] = value;
+      }
+    });
+
+    const result = await this.db.collection('csvFiles.files').updateOne(
+      { _id: toObjectId(fileId) },
+      {
+        ...(Object.keys($set).length > 0 && { $set }),
+        ...(Object.keys($unset).length > 0 && { $unset })
+      }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Delete every file past its retention period (see utils/retention)
+   * Each file is deleted only if it still matches, so a legal hold placed
+   * during a sweep is respected. Revisions and raw copies go with the file they
+   * belong to.
+   * @param {Date} [now]
+   * @returns {Promise<string[]>} IDs of the expired files deleted, not counting revisions
+   */
+  async deleteExpiredFiles(now = new Date()) {
+    await this.connect();
+
+    const days = getRetentionDays();
+    const expired = [{ 'metadata.expiresAt': { $type: 'date', $lte: now } }];
+    if (days) {
+      expired.push({
+        'metadata.expiresAt': { $exists: false },
+        uploadDate: { $lte: expiryAfter(now, -days) }
+      });
+    }
+    const condition = {
+      'metadata.legalHold': { $ne: true },
+      'metadata.variant': { $ne: 'revision' },
+      $or: expired
+    };
+
+    const files = this.db.collection('csvFiles.files');
+    const chunks = this.db.collection('csvFiles.chunks');
+    const candidates = await files.find(condition, { projection: { _id: 1 } }).toArray();
+
+    const deleted = [];
+    for (const { _id } of candidates) {
+      const result = await files.deleteOne({ _id, ...condition });
+      if (result.deletedCount === 1) {
+        await chunks.deleteMany({ files_id: _id });
+        deleted.push(_id.toString());
+
+        const dependents = await files
+          .find({
+            $or: [{ 'metadata.revisionOf': _id.toString() }, { 'metadata.mappedFileId': _id.toString() }]
+          }, { projection: { _id: 1 } })
+          .toArray();
+        for (const dependent of dependents) {
+          await files.deleteOne({ _id: dependent._id });
+          await chunks.deleteMany({ files_id: dependent._id });
+        }
+      }
+    }
+    return deleted;
+  }
+
   /**
    * Health check for MongoDB connection
    * @returns {Promise<boolean>} Connection status
@@ -201,6 +302,142 @@ class MongoClient_CSV {
     }
   }
 
+  /**
+   * Create the indexes used by file listings, once per process
+   */
+  async ensureFileIndexes() {
+    if (this.fileIndexesReady) {
+      return;
+    }
+    const files = this.db.collection('csvFiles.files');
+    await Promise.all([
+      files.createIndex({ 'metadata.ownerKeyId': 1, uploadDate: -1 }),
+      files.createIndex({ uploadDate: -1 }),
+      files.createIndex({ length: 1 }),
+      files.createIndex({ 'metadata.revisionOf': 1 }, { sparse: true }),
+      files.createIndex({ 'metadata.mappedFileId': 1 }, { sparse: true }),
+      files.createIndex({ 'metadata.ownerKeyId': 1, 'metadata.contentHash': 1 })
+    ]);
+    this.fileIndexesReady = true;
+  }
+
+  /**
+   * Filtered, sorted page of stored files with totals for the whole filter
+   * Pages are keyset-based (see utils/fileQuery); totals come from an aggregation.
+   * @param {object} options
+   * @param {object} [options.filter] - See utils/fileQuery
+   * @param {{field: string, order: string}} options.sort
+   * @param {number} options.limit
+   * @param {{value: *, id: string}} [options.after] - Decoded cursor
+   * @returns {Promise<object>} { files, nextCursor, totalFiles, totalSize }
+   */
+  async queryFiles({ filter = {}, sort, limit, after }) {
+    await this.connect();
+    await this.ensureFileIndexes();
+
+    const match = {};
+    if (filter.ownerKeyId !== undefined) {
+      match['metadata.ownerKeyId'] = filter.ownerKeyId;
+    }
+    if (filter.ids) {
+      match._id = { $in: filter.ids.map(toObjectId) };
+    }
+    if (filter.jobIds) {
+      match['metadata.jobId'] = { $in: filter.jobIds };
+    }
+    if (filter.jobId !== undefined) {
+      match['metadata.jobId'] = filter.jobId;
+    }
+    if (filter.filename) {
+      const pattern = filter.filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      match.filename = { $regex: pattern, $options: 'i' };
+    }
+    if (filter.from || filter.to) {
+      match.uploadDate = {
+        ...(filter.from && { $gte: filter.from }),
+        ...(filter.to && { $lt: filter.to })
+      };
+    }
+    if (filter.minSize !== undefined || filter.maxSize !== undefined) {
+      match.length = {
+        ...(filter.minSize !== undefined && { $gte: filter.minSize }),
+        ...(filter.maxSize !== undefined && { $lte: filter.maxSize })
+      };
+    }
+    if (filter.revisionOf !== undefined) {
+      match['metadata.revisionOf'] = filter.revisionOf;
+    }
+    if (filter.mappedFileId !== undefined) {
+      match['metadata.mappedFileId'] = filter.mappedFileId;
+    }
+    if (filter.hideRevisions) {
+      match['metadata.variant'] = { $ne: 'revision' };
+    }
+    if (filter.contentHash !== undefined) {
+      match['metadata.contentHash'] = filter.contentHash;
+    }
+    if (filter.optionsHash !== undefined) {
+      match['metadata.optionsHash'] = filter.optionsHash;
+    }
+
+    const field = FILE_FIELDS[sort.field];
+    const direction = sort.order === 'asc' ? 1 : -1;
+    const query = { ...match };
+    if (after) {
+      const operator = direction === 1 ? '$gt' : '$lt';
+      const afterId = toObjectId(after.id);
+      query.$and = [{
+        $or: [
+          { [field]: { [operator]: after.value } },
+          { [field]: after.value, _id: { [operator]: afterId } }
+        ]
+      }];
+    }
+
+    const collection = this.db.collection('csvFiles.files');
+    const [docs, [totals]] = await Promise.all([
+      collection.find(query, {
+        projection: {
+          _id: 1,
+          filename: 1,
+          length: 1,
+          uploadDate: 1,
+          'metadata.jobId': 1,
+          'metadata.ownerKeyId': 1,
+          'metadata.expiresAt': 1,
+          'metadata.legalHold': 1,
+          'metadata.variant': 1,
+          'metadata.revisionOf': 1,
+          'metadata.revision': 1,
+          'metadata.uploadedBy': 1,
+          'metadata.comment': 1,
+          'metadata.sourceFileId': 1
+        }
+      }).sort({ [field]: direction, _id: direction }).limit(limit + 1).toArray(),
+      collection.aggregate([
+        { $match: match },
+        { $group: { _id: null, totalFiles: { $sum: 1 }, totalSize: { $sum: '$length' } } }
+      ]).toArray()
+    ]);
+
+    const files = docs.slice(0, limit).map(file => ({
+      id: file._id.toString(),
+      filename: file.filename,
+      size: file.length,
+      uploadDate: file.uploadDate,
+      jobId: file.metadata?.jobId,
+      ownerKeyId: file.metadata?.ownerKeyId,
+      metadata: file.metadata || {}
+    }));
+
+    return {
+      files,
+      nextCursor: docs.length > limit ? encodeCursor(files[files.length - 1], sort) : null,
+      totalFiles: totals ? totals.totalFiles : 0,
+      totalSize: totals ? totals.totalSize : 0
+    };
+  }
+
   /**
    * Get stats about stored files (for development/debugging)
    * @returns {Promise<Object>} Statistics
@@ -218,7 +455,16 @@ class MongoClient_CSV {
           filename: 1,
           length: 1,
           uploadDate: 1,
-          'metadata.jobId': 1
+          'metadata.jobId': 1,
+          'metadata.ownerKeyId': 1,
+          'metadata.expiresAt': 1,
+          'metadata.legalHold': 1,
+          'metadata.variant': 1,
+          'metadata.revisionOf': 1,
+          'metadata.revision': 1,
+          'metadata.uploadedBy': 1,
+          'metadata.comment': 1,
+          'metadata.sourceFileId': 1
         }
       }).sort({ uploadDate: -1 }).toArray(); // Sort in database for better performance
       
@@ -235,7 +481,9 @@ class MongoClient_CSV {
           filename: file.filename,
           size: file.length,
           uploadDate: file.uploadDate,
-          jobId: file.metadata?.jobId
+          jobId: file.metadata?.jobId,
+          ownerKeyId: file.metadata?.ownerKeyId,
+          metadata: file.metadata || {}
         }))
       };
     } catch (error) {
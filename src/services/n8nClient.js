@@ -1,10 +1,67 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
-const path = require('path');
 const dotenv = require('dotenv');
+const CircuitBreaker = require('./circuitBreaker');
+const { createError } = require('../middleware/errors');
 dotenv.config();
 
+// Network errors worth retrying; anything else (bad URL, TLS errors) fails straight away
+const TRANSIENT_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+function getEnvInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed n8n request is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.response) {
+    return TRANSIENT_STATUSES.includes(error.response.status);
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value
+ * @returns {number|null} Delay in ms, or null if absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next retry: Retry-After on 429, otherwise full-jitter exponential backoff
+ * @returns {number|null} Delay in ms, or null if the server asks us to wait longer than maxDelayMs
+ */
+function getRetryDelay(error, retry, baseDelayMs, maxDelayMs) {
+  if (error.response && error.response.status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= maxDelayMs ? retryAfter : null;
+    }
+  }
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+  return Math.floor(Math.random() * cap);
+}
 
 /**
  * n8n client for forwarding PDFs and images to the webhook
@@ -16,6 +73,12 @@ class N8nClient {
     if (!this.webhookUrl) {
       console.warn('⚠️  N8N_WEBHOOK_URL not configured - PDF forwarding will fail');
     }
+
+    this.breaker = new CircuitBreaker({
+      name: 'n8n',
+      failureThreshold: getEnvInt('N8N_BREAKER_THRESHOLD', 5),
+      resetTimeoutMs: getEnvInt('N8N_BREAKER_RESET_MS', 30000)
+    });
   }
 
   /**
@@ -25,9 +88,14 @@ class N8nClient {
    * @param {string} params.originalName - Original filename
    * @param {string} params.jobId - Job ID for tracking
    * @param {string} params.mimetype - File MIME type
+   * @param {number} [params.attempt] - Attempt number, echoed back in callbacks as x-job-attempt
    * @returns {Promise<object>} Response from n8n
+   * @throws {Error} SERVICE_UNAVAILABLE (503) while the circuit breaker is open
+   *
+   * Connection errors, timeouts, 502/503/504 and 429 are retried with jittered
+   * exponential backoff (429 honours Retry-After) before giving up.
    */
-  async forwardToN8n({ filePath, originalName, jobId, mimetype }) {
+  async forwardToN8n({ filePath, originalName, jobId, mimetype, attempt = 1 }) {
     // Refresh webhook URL in case it was loaded after constructor
     this.webhookUrl = process.env.N8N_WEBHOOK_URL;
     
@@ -35,92 +103,174 @@ class N8nClient {
       throw new Error('N8N_WEBHOOK_URL not configured');
     }
 
-    try {
-      // Create form data with file and job ID
-      const formData = new FormData();
-      
-      // Determine content type and CSV filename
-      const contentType = mimetype || 'application/pdf';
-      const fileExtension = path.extname(originalName).toLowerCase();
-      const csvFileName = originalName.replace(/\.(pdf|jpg|jpeg)$/i, '.csv');
-      
-      // Add the file (PDF or image)
-      const fileStream = fs.createReadStream(filePath);
-      formData.append('file', fileStream, {
-        filename: originalName,
-        contentType: contentType
-      });
-      
-      // Add job ID as form field
-      formData.append('jobId', jobId);
-      
-      // Add original filename as form field for n8n workflow
-      formData.append('originalName', originalName);
-      formData.append('originalFilename', originalName);
-      formData.append('fileName', originalName);
-      formData.append('csvFileName', csvFileName);
-      formData.append('fileType', mimetype);
-
-      const fileType = mimetype.startsWith('image/') ? 'image' : 'PDF';
-      console.log(`📤 Forwarding ${fileType} to n8n: ${originalName} (Job: ${jobId})`);
-
-      // Send to n8n webhook
-      const response = await axios.post(this.webhookUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'User-Agent': 'pdf2csv-backend/1.0.0'
-        },
-        timeout: 30000, // 30 second timeout
-        maxContentLength: 50 * 1024 * 1024, // 50MB max
-        maxBodyLength: 50 * 1024 * 1024
-      });
-
-      console.log(`✅ n8n accepted ${fileType}: ${originalName} (Status: ${response.status})`);
-      
-      // Handle immediate response with execution details
-      const responseData = response.data;
-      if (Array.isArray(responseData) && responseData.length > 0) {
-        const executionInfo = responseData[0];
-        console.log(`📊 n8n execution started: ${executionInfo.executionId} (Status: ${executionInfo.status})`);
-        
-        return {
-          success: true,
-          status: response.status,
-          data: responseData,
-          executionId: executionInfo.executionId,
-          executionStatus: executionInfo.status,
-          message: executionInfo.message,
-          webhookUrl: executionInfo.webhookUrl,
-          executionMode: executionInfo.executionMode
-        };
+    if (!this.breaker.canRequest()) {
+      throw this.unavailableError();
+    }
+
+    const fileType = mimetype.startsWith('image/') ? 'image' : 'PDF';
+    const { maxRetries, baseDelayMs, maxDelayMs } = this.getRetryConfig();
+
+    for (let retry = 0; ; retry++) {
+      try {
+        console.log(`📤 Forwarding ${fileType} to n8n: ${originalName} (Job: ${jobId})`);
+        const result = await this.postDocument({ filePath, originalName, jobId, mimetype, attempt });
+        this.breaker.recordSuccess();
+        console.log(`✅ n8n accepted ${fileType}: ${originalName} (Status: ${result.status})`);
+        return result;
+
+      } catch (error) {
+        const transient = isTransientError(error);
+        const delay = transient ? getRetryDelay(error, retry, baseDelayMs, maxDelayMs) : null;
+
+        if (delay === null || retry >= maxRetries) {
+          // A non-retryable HTTP error still means n8n is up; everything else counts towards the breaker
+          if (error.response && !transient) {
+            this.breaker.recordSuccess();
+          } else {
+            this.breaker.recordFailure(error);
+          }
+          console.error(`❌ Failed to forward PDF to n8n: ${error.message}`);
+          throw new Error(`n8n forwarding failed: ${error.message}`);
+        }
+
+        console.warn(`⚠️  n8n forwarding failed for job ${jobId} (${error.message}), retry ${retry + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
       }
+    }
+  }
+
+  /**
+   * Fail fast with SERVICE_UNAVAILABLE while the circuit breaker is open
+   * Lets callers refuse new work before creating a job for it.
+   */
+  assertAvailable() {
+    if (this.breaker.isOpen()) {
+      throw this.unavailableError();
+    }
+  }
+
+  unavailableError() {
+    const error = createError(
+      'Conversion service is temporarily unavailable, please try again later',
+      503,
+      'SERVICE_UNAVAILABLE'
+    );
+    error.retryAfter = this.breaker.getRetryAfterSeconds();
+    return error;
+  }
+
+  getRetryConfig() {
+    return {
+      maxRetries: getEnvInt('N8N_RETRY_MAX', 3),
+      baseDelayMs: getEnvInt('N8N_RETRY_BASE_MS', 500),
+      maxDelayMs: getEnvInt('N8N_RETRY_MAX_DELAY_MS', 10000)
+    };
+  }
+
+  /**
+   * Single POST of the document to the n8n webhook
+   * The form is rebuilt per call because the file stream can only be read once.
+   */
+  async postDocument({ filePath, originalName, jobId, mimetype, attempt }) {
+    // Create form data with file and job ID
+    const formData = new FormData();
+    
+    // Determine content type and CSV filename
+    const contentType = mimetype || 'application/pdf';
+    const csvFileName = originalName.replace(/\.(pdf|jpg|jpeg)$/i, '.csv');
+    
+    // Add the file (PDF or image)
+    const fileStream = fs.createReadStream(filePath);
+    formData.append('file', fileStream, {
+      filename: originalName,
+      contentType: contentType
+    });
+    
+    // Add job ID as form field
+    formData.append('jobId', jobId);
+    formData.append('attempt', String(attempt));
+    
+    // Add original filename as form field for n8n workflow
+    formData.append('originalName', originalName);
+    formData.append('originalFilename', originalName);
+    formData.append('fileName', originalName);
+    formData.append('csvFileName', csvFileName);
+    formData.append('fileType', mimetype);
+
+    // Send to n8n webhook
+    const response = await axios.post(this.webhookUrl, formData, {
+      headers: {
+        ...formData.getHeaders(),
+        'User-Agent': 'pdf2csv-backend/1.0.0'
+      },
+      timeout: 30000, // 30 second timeout
+      maxContentLength: 50 * 1024 * 1024, // 50MB max
+      maxBodyLength: 50 * 1024 * 1024
+    });
+    
+    // Handle immediate response with execution details
+    const responseData = response.data;
+    if (Array.isArray(responseData) && responseData.length > 0) {
+      const executionInfo = responseData[0];
+      console.log(`📊 n8n execution started: ${executionInfo.executionId} (Status: ${executionInfo.status})`);
       
       return {
         success: true,
         status: response.status,
-        data: response.data
-      };
-
-    } catch (error) {
-      console.error(`❌ Failed to forward PDF to n8n: ${error.message}`);
-      
-      // Extract meaningful error info
-      const errorInfo = {
-        success: false,
-        error: error.message,
-        code: error.code
+        data: responseData,
+        executionId: executionInfo.executionId,
+        executionStatus: executionInfo.status,
+        message: executionInfo.message,
+        webhookUrl: executionInfo.webhookUrl,
+        executionMode: executionInfo.executionMode,
+        workflowId: executionInfo.workflowId
       };
+    }
+    
+    return {
+      success: true,
+      status: response.status,
+      data: response.data
+    };
+  }
 
-      if (error.response) {
-        errorInfo.status = error.response.status;
-        errorInfo.statusText = error.response.statusText;
-        errorInfo.data = error.response.data;
-      }
+  /**
+   * Ask n8n to stop a running execution (best effort)
+   * Goes through the n8n public API, so N8N_API_URL (e.g. https://n8n.example.com/api/v1)
+   * and N8N_API_KEY must be set. Never throws.
+   * @param {string} executionId
+   * @returns {Promise<{stopped: boolean, error?: string}>}
+   */
+  async stopExecution(executionId) {
+    const apiUrl = process.env.N8N_API_URL;
+    const apiKey = process.env.N8N_API_KEY;
+    if (!apiUrl || !apiKey) {
+      return { stopped: false, error: 'n8n API not configured' };
+    }
 
-      throw new Error(`n8n forwarding failed: ${error.message}`);
+    try {
+      await axios.post(
+        `${apiUrl.replace(/\/+$/, '')}/executions/${encodeURIComponent(executionId)}/stop`,
+        null,
+        { headers: { 'X-N8N-API-KEY': apiKey }, timeout: 10000 }
+      );
+      console.log(`🛑 Stopped n8n execution ${executionId}`);
+      return { stopped: true };
+    } catch (error) {
+      const reason = error.response ? `n8n responded with HTTP ${error.response.status}` : error.message;
+      console.warn(`⚠️  Failed to stop n8n execution ${executionId}: ${reason}`);
+      return { stopped: false, error: reason };
     }
   }
 
+  /**
+   * Circuit breaker state for health reporting
+   * @returns {object}
+   */
+  getCircuitState() {
+    return this.breaker.getState();
+  }
+
   /**
    * Health check for n8n webhook
    * @returns {Promise<boolean>} True if webhook is reachable
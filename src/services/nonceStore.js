@@ -0,0 +1,63 @@
+const mongoClient = require('./mongoClient');
+
+/**
+ * MongoDB-backed store of callback nonces that have already been used
+ *
+ * Each nonce is inserted with its own `_id`, so the unique index rejects replays
+ * atomically across instances. Nonces only need to outlive the callback window;
+ * a TTL index on `expiresAt` removes them afterwards.
+ */
+class NonceStore {
+  constructor() {
+    this.collection = null;
+    this.collectionName = 'callbackNonces';
+  }
+
+  /**
+   * Get the nonces collection, creating the TTL index on first use
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+
+    const collection = mongoClient.db.collection(this.collectionName);
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    this.collection = collection;
+    return collection;
+  }
+
+  /**
+   * Record a nonce as used
+   * @param {string} nonce
+   * @param {number} ttlSeconds - How long the nonce must be remembered
+   * @returns {Promise<boolean>} True if the nonce was new, false if it was already used
+   */
+  async remember(nonce, ttlSeconds) {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    try {
+      await collection.insertOne({
+        _id: nonce,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlSeconds * 1000)
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+// Singleton instance
+const nonceStore = new NonceStore();
+
+module.exports = nonceStore;
@@ -0,0 +1,106 @@
+const storage = require('./storage');
+const sourceStore = require('./sourceStore');
+const apiKeyStore = require('./apiKeyStore');
+
+/**
+ * Per-client storage quotas
+ *
+ * Usage is what a client currently has stored: the number and total size of
+ * CSVs carrying its ownerKeyId, raw copies kept for mapping templates
+ * included. The source documents archived with its jobs add to the bytes but
+ * not to the file count, which limits CSVs.
+ *
+ * Limits come from the key's own `quota` when set, otherwise from
+ * QUOTA_MAX_BYTES / QUOTA_MAX_FILES for client keys. Admin keys are unlimited
+ * unless given a quota. A null limit means unlimited. Unknown and revoked keys
+ * fail closed: nothing more can be stored for them.
+ */
+
+const LIMITS = {
+  maxBytes: 'QUOTA_MAX_BYTES',
+  maxFiles: 'QUOTA_MAX_FILES'
+};
+
+// Limits applied to keys that don't exist (any more)
+const NO_STORAGE = { maxBytes: 0, maxFiles: 0 };
+
+function defaultLimit(envName) {
+  const value = parseInt(process.env[envName], 10);
+  return value >= 0 ? value : null;
+}
+
+class QuotaService {
+  /**
+   * Limits that apply to a key
+   * @param {string} keyId
+   * @returns {Promise<{maxBytes: number|null, maxFiles: number|null}|null>} Null for unknown
+   *   and revoked keys
+   */
+  async getLimits(keyId) {
+    // The bootstrap ADMIN_API_KEY has no key record
+    const key = keyId === 'admin' ? { role: 'admin' } : await apiKeyStore.getKey(keyId);
+    if (!key) {
+      return null;
+    }
+    const isAdmin = key.role === 'admin';
+    const quota = key.quota || {};
+
+    const limits = {};
+    Object.entries(LIMITS).forEach(([name, envName]) => {
+      if (quota[name] !== undefined) {
+        limits[name] = quota[name];
+      } else {
+        limits[name] = isAdmin ? null : defaultLimit(envName);
+      }
+    });
+    return limits;
+  }
+
+  /**
+   * CSVs and bytes a key currently has stored
+   * @param {string} keyId
+   * @returns {Promise<{files: number, bytes: number, sourceBytes: number}>} bytes includes
+   *   sourceBytes, the size of the key's source documents
+   */
+  async getUsage(keyId) {
+    const [page, sourceBytes] = await Promise.all([
+      storage.query({
+        filter: { ownerKeyId: keyId },
+        sort: { field: 'uploadDate', order: 'desc' },
+        limit: 1
+      }),
+      sourceStore.getUsage(keyId)
+    ]);
+    return { files: page.totalFiles, bytes: page.totalSize + sourceBytes, sourceBytes };
+  }
+
+  /**
+   * Usage against limits for a key
+   * @param {string} keyId
+   * @param {object} [incoming] - Files about to be stored
+   * @param {number} [incoming.files] - Defaults to 1
+   * @param {number} [incoming.bytes] - Defaults to 0; uploads pass the size of their
+   *   documents, as the CSV size isn't known yet
+   * @returns {Promise<object>} { keyId, keyFound, usage, limits, remaining, exceeded }
+   *   exceeded is true if storing `incoming` would go over a limit, and always for
+   *   unknown or revoked keys (keyFound: false)
+   */
+  async check(keyId, { files = 1, bytes = 0 } = {}) {
+    const [usage, keyLimits] = await Promise.all([this.getUsage(keyId), this.getLimits(keyId)]);
+    const limits = keyLimits || NO_STORAGE;
+    const remaining = {
+      files: limits.maxFiles === null ? null : Math.max(limits.maxFiles - usage.files, 0),
+      bytes: limits.maxBytes === null ? null : Math.max(limits.maxBytes - usage.bytes, 0)
+    };
+    const exceeded = (limits.maxFiles !== null && usage.files + files > limits.maxFiles)
+      || (limits.maxBytes !== null && usage.bytes + bytes > limits.maxBytes)
+      || (limits.maxBytes !== null && bytes === 0 && usage.bytes >= limits.maxBytes);
+
+    return { keyId, keyFound: keyLimits !== null, usage, limits, remaining, exceeded };
+  }
+}
+
+// Singleton instance
+const quotaService = new QuotaService();
+
+module.exports = quotaService;
@@ -0,0 +1,73 @@
+const storage = require('./storage');
+const sourceStore = require('./sourceStore');
+
+/**
+ * Sweeper for stored CSVs past their retention period
+ *
+ * Every interval this asks the storage driver to delete expired files (see
+ * utils/retention.js for how expiry is worked out), then removes the source
+ * documents archived with the deleted CSVs. Files on legal hold are never
+ * deleted. Every instance may run it; drivers delete each file only if it is
+ * still expired, so concurrent sweeps are harmless.
+ */
+class RetentionSweeper {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  getIntervalMs() {
+    const seconds = parseInt(process.env.RETENTION_SWEEP_INTERVAL_SECONDS, 10);
+    return (seconds > 0 ? seconds : 3600) * 1000;
+  }
+
+  /**
+   * Start sweeping expired files
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.tick(), this.getIntervalMs());
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete every expired file once
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async tick() {
+    // Skip if the previous sweep is still going (large storage)
+    if (this.running) {
+      return 0;
+    }
+    this.running = true;
+
+    let deleted = 0;
+    try {
+      const deletedIds = await storage.deleteExpired(new Date());
+      deleted = deletedIds.length;
+      if (deleted > 0) {
+        const sources = await sourceStore.removeForCsvFiles(deletedIds);
+        console.log(`🧹 Retention sweep deleted ${deleted} expired CSV(s), ${sources} source(s)`);
+      }
+    } catch (error) {
+      console.error(`❌ Retention sweep failed: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+
+    return deleted;
+  }
+}
+
+// Singleton instance
+const retentionSweeper = new RetentionSweeper();
+
+module.exports = retentionSweeper;
@@ -0,0 +1,180 @@
+const storage = require('./storage');
+const mongoClient = require('./mongoClient');
+
+/**
+ * Revisions of stored CSVs
+ *
+ * A corrected CSV is stored as a new file next to the one it corrects, with
+ * metadata { variant: 'revision', revisionOf: <file ID>, revision: n,
+ * uploadedBy, comment? }. The original file is revision 1 and keeps its ID,
+ * so jobs, download links and listings keep pointing at it; downloads serve
+ * the latest revision unless an older one is asked for. Stored files are
+ * never changed, so every earlier version stays available.
+ *
+ * Revision numbers are allocated from a per-file counter in MongoDB
+ * ({ _id: <file ID>, last: n }) with an atomic $inc, so concurrent uploads
+ * never get the same number whichever storage driver holds the files.
+ */
+
+// Revisions kept per file, the original included
+const MAX_REVISIONS = 100;
+
+class RevisionStore {
+  constructor() {
+    this.collection = null;
+    this.collectionName = 'revisionCounters';
+  }
+
+  /**
+   * Get the revision counters collection
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+    this.collection = mongoClient.db.collection(this.collectionName);
+    return this.collection;
+  }
+
+  /**
+   * Allocate the next revision number of a file
+   * @param {string} fileId
+   * @param {number} latest - Highest revision already stored; seeds counters
+   *   of files revised before the counter existed
+   * @returns {Promise<number>}
+   */
+  async nextRevision(fileId, latest) {
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: fileId }, { $max: { last: latest } }, { upsert: true });
+    const counter = await collection.findOneAndUpdate(
+      { _id: fileId },
+      { $inc: { last: 1 } },
+      { returnDocument: 'after' }
+    );
+    return counter.last;
+  }
+
+  /**
+   * Revisions stored for a file, oldest first, not including the original
+   * @param {string} fileId
+   * @returns {Promise<Array>} FileInfo list
+   */
+  async findRevisions(fileId) {
+    const page = await storage.query({
+      filter: { revisionOf: fileId },
+      sort: { field: 'uploadDate', order: 'asc' },
+      limit: MAX_REVISIONS
+    });
+    return page.files.sort((a, b) => a.metadata.revision - b.metadata.revision);
+  }
+
+  /**
+   * Every revision of a file, the original first
+   * @param {object} file - FileInfo of the original
+   * @returns {Promise<Array<{revision, fileId, filename, size, uploadDate, uploadedBy, comment}>>}
+   */
+  async listRevisions(file) {
+    const revisions = await this.findRevisions(file.id);
+    return [toRevision(file, 1), ...revisions.map(revision => toRevision(revision))];
+  }
+
+  /**
+   * File ID holding a revision of a file
+   * @param {string} fileId - ID of the original
+   * @param {number} [revision] - Defaults to the latest
+   * @returns {Promise<string|null>} Null if the file has no such revision
+   */
+  async resolveRevision(fileId, revision) {
+    if (revision === 1) {
+      return fileId;
+    }
+
+    const revisions = await this.findRevisions(fileId);
+    if (revision === undefined) {
+      return revisions.length > 0 ? revisions[revisions.length - 1].id : fileId;
+    }
+    const match = revisions.find(candidate => candidate.metadata.revision === revision);
+    return match ? match.id : null;
+  }
+
+  /**
+   * Store a corrected CSV as the next revision of a file
+   * @param {object} file - FileInfo of the original
+   * @param {Buffer} buffer - Corrected CSV
+   * @param {object} details
+   * @param {string} details.uploadedBy - Key ID of the uploader
+   * @param {string} [details.comment]
+   * @param {object} [details.csvProfile] - Validation profile of the corrected CSV
+   * @returns {Promise<object|null>} The new revision, or null if the file has MAX_REVISIONS already
+   */
+  async addRevision(file, buffer, { uploadedBy, comment, csvProfile }) {
+    const revisions = await this.findRevisions(file.id);
+    if (revisions.length + 1 >= MAX_REVISIONS) {
+      return null;
+    }
+
+    const latest = revisions[revisions.length - 1];
+    const revision = await this.nextRevision(file.id, latest ? latest.metadata.revision : 1);
+    const metadata = {
+      ownerKeyId: file.ownerKeyId,
+      variant: 'revision',
+      revisionOf: file.id,
+      revision,
+      uploadedBy,
+      ...(comment && { comment }),
+      ...(csvProfile && { csvProfile })
+    };
+    const fileId = await storage.store(file.jobId, buffer, file.filename, metadata);
+
+    console.log(`📝 Stored revision ${revision} of ${file.id}: ${fileId}`);
+    return {
+      revision,
+      fileId,
+      filename: file.filename,
+      size: buffer.length,
+      uploadDate: new Date(),
+      uploadedBy,
+      comment: comment || null
+    };
+  }
+
+  /**
+   * Delete every revision of a file and its counter, leaving the original
+   * @param {string} fileId
+   * @returns {Promise<number>} Number of revisions deleted
+   */
+  async deleteRevisions(fileId) {
+    const revisions = await this.findRevisions(fileId);
+    let deleted = 0;
+    for (const revision of revisions) {
+      if (await storage.delete(revision.id)) {
+        deleted++;
+      }
+    }
+    const collection = await this.getCollection();
+    await collection.deleteOne({ _id: fileId });
+    return deleted;
+  }
+}
+
+function toRevision(file, revision = file.metadata.revision) {
+  const metadata = file.metadata || {};
+  return {
+    revision,
+    fileId: file.id,
+    filename: file.filename,
+    size: file.size,
+    uploadDate: file.uploadDate,
+    uploadedBy: metadata.uploadedBy || file.ownerKeyId || null,
+    comment: metadata.comment || null
+  };
+}
+
+// Singleton instance
+const revisionStore = new RevisionStore();
+
+module.exports = revisionStore;
+module.exports.MAX_REVISIONS = MAX_REVISIONS;
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { GridFSBucket } = require('mongodb');
+const mongoClient = require('./mongoClient');
+
+/**
+ * Archive of original uploads (PDFs/images), kept in the `sourceFiles` GridFS bucket
+ *
+ * Every upload is stored here, linked to its job, so any instance can
+ * re-forward a failed job to n8n and auditors can get the source document next
+ * to the converted CSV. When a job succeeds its source is archived and linked
+ * to its CSV (`csvFileId`); it is kept as long as that CSV and removed when the
+ * CSV is deleted or expires. A legal hold on the CSV is copied to its source.
+ * Sources of jobs that never succeed carry the job's `expiresAt` and are swept
+ * opportunistically whenever a new source is saved. Sources carry their job's
+ * `ownerKeyId`, so they count towards the owner's storage quota.
+ */
+class SourceStore {
+  constructor() {
+    this.bucket = null;
+    this.bucketName = 'sourceFiles';
+  }
+
+  /**
+   * Get the GridFS bucket, creating indexes on first use
+   * @returns {Promise<GridFSBucket>}
+   */
+  async getBucket() {
+    if (this.bucket) {
+      return this.bucket;
+    }
+
+    await mongoClient.connect();
+
+    const files = mongoClient.db.collection(`${this.bucketName}.files`);
+    await files.createIndex({ 'metadata.jobId': 1 });
+    await files.createIndex({ 'metadata.expiresAt': 1 });
+    await files.createIndex({ 'metadata.csvFileId': 1 });
+    await files.createIndex({ 'metadata.ownerKeyId': 1 });
+
+    this.bucket = new GridFSBucket(mongoClient.db, { bucketName: this.bucketName });
+    return this.bucket;
+  }
+
+  /**
+   * Retain the uploaded file for a job
+   * @param {string} jobId
+   * @param {string} filePath - Path to the uploaded temp file
+   * @param {object} info
+   * @param {string} info.filename - Original filename
+   * @param {string} info.mimetype - File MIME type
+   * @param {string} [info.ownerKeyId] - Key the job belongs to
+   * @param {Date} info.expiresAt - When the source may be discarded
+   * @returns {Promise<string>} GridFS file ID
+   */
+  async save(jobId, filePath, { filename, mimetype, ownerKeyId, expiresAt }) {
+    const bucket = await this.getBucket();
+    const uploadStream = bucket.openUploadStream(filename, {
+      metadata: {
+        jobId,
+        ...(ownerKeyId && { ownerKeyId }),
+        contentType: mimetype,
+        originalName: filename,
+        expiresAt
+      }
+    });
+
+    await pipeline(fs.createReadStream(filePath), uploadStream);
+
+    this.removeExpired().catch((error) => {
+      console.warn(`⚠️  Failed to sweep expired source files: ${error.message}`);
+    });
+
+    return uploadStream.id.toString();
+  }
+
+  /**
+   * Find the retained source for a job
+   * @param {string} jobId
+   * @returns {Promise<object|null>} GridFS file document or null
+   */
+  async find(jobId) {
+    const bucket = await this.getBucket();
+    const [file] = await bucket.find({ 'metadata.jobId': jobId })
+      .sort({ uploadDate: -1 })
+      .limit(1)
+      .toArray();
+    return file || null;
+  }
+
+  /**
+   * Find the sources for several jobs at once
+   * @param {string[]} jobIds
+   * @returns {Promise<Map<string, object>>} Map of jobId to GridFS file document
+   */
+  async findByJobIds(jobIds) {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ 'metadata.jobId': { $in: jobIds } }).toArray();
+    return new Map(files.map(file => [file.metadata.jobId, file]));
+  }
+
+  /**
+   * Total size of the sources a key owns
+   * @param {string} ownerKeyId
+   * @returns {Promise<number>} Bytes
+   */
+  async getUsage(ownerKeyId) {
+    await this.getBucket();
+    const [usage] = await mongoClient.db.collection(`${this.bucketName}.files`).aggregate([
+      { $match: { 'metadata.ownerKeyId': ownerKeyId } },
+      { $group: { _id: null, bytes: { $sum: '$length' } } }
+    ]).toArray();
+    return usage ? usage.bytes : 0;
+  }
+
+  /**
+   * Open a download stream for a job's source
+   * @param {string} jobId
+   * @returns {Promise<{stream: NodeJS.ReadableStream, filename: string, contentType: string, size: number}|null>}
+   */
+  async openStream(jobId) {
+    const file = await this.find(jobId);
+    if (!file) {
+      return null;
+    }
+
+    const bucket = await this.getBucket();
+    return {
+      stream: bucket.openDownloadStream(file._id),
+      filename: file.metadata.originalName,
+      contentType: file.metadata.contentType,
+      size: file.length
+    };
+  }
+
+  /**
+   * Copy the retained source for a job to a local file
+   * @param {string} jobId
+   * @param {string} destPath
+   * @returns {Promise<{filename: string, mimetype: string}|null>} Null if no source is retained
+   */
+  async downloadToFile(jobId, destPath) {
+    const file = await this.find(jobId);
+    if (!file) {
+      return null;
+    }
+
+    const bucket = await this.getBucket();
+    await pipeline(bucket.openDownloadStream(file._id), fs.createWriteStream(destPath));
+    return { filename: file.metadata.originalName, mimetype: file.metadata.contentType };
+  }
+
+  /**
+   * Push back the expiry of a job's source, e.g. when the job is retried
+   * Archived sources are left alone, as they no longer expire.
+   * @param {string} jobId
+   * @param {Date} expiresAt
+   * @returns {Promise<void>}
+   */
+  async extendExpiry(jobId, expiresAt) {
+    await this.getBucket();
+    await mongoClient.db.collection(`${this.bucketName}.files`).updateMany(
+      { 'metadata.jobId': jobId, 'metadata.expiresAt': { $exists: true } },
+      { $set: { 'metadata.expiresAt': expiresAt } }
+    );
+  }
+
+  /**
+   * Keep a job's source permanently once the job has succeeded
+   * @param {string} jobId
+   * @param {object} [links] - Extra metadata linking the source, e.g. { csvFileId, ownerKeyId }
+   * @returns {Promise<void>}
+   */
+  async archive(jobId, links = {}) {
+    await this.getBucket();
+    const linkFields = Object.fromEntries(
+      Object.entries(links)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [`metadata.${key}`, value])
+    );
+    await mongoClient.db.collection(`${this.bucketName}.files`).updateMany(
+      { 'metadata.jobId': jobId },
+      { $set: { ...linkFields, 'metadata.archivedAt': new Date() }, $unset: { 'metadata.expiresAt': '' } }
+    );
+  }
+
+  /**
+   * Place or lift a legal hold on the sources linked to a CSV
+   * @param {string} csvFileId
+   * @param {boolean} legalHold
+   * @returns {Promise<void>}
+   */
+  async setLegalHold(csvFileId, legalHold) {
+    await this.getBucket();
+    await mongoClient.db.collection(`${this.bucketName}.files`).updateMany(
+      { 'metadata.csvFileId': csvFileId },
+      legalHold
+        ? { $set: { 'metadata.legalHold': true } }
+        : { $unset: { 'metadata.legalHold': '' } }
+    );
+  }
+
+  /**
+   * Remove the sources linked to CSVs that have been deleted, unless on legal hold
+   * @param {string[]} csvFileIds
+   * @returns {Promise<number>} Number of files removed
+   */
+  async removeForCsvFiles(csvFileIds) {
+    if (csvFileIds.length === 0) {
+      return 0;
+    }
+
+    const bucket = await this.getBucket();
+    const files = await bucket.find({
+      'metadata.csvFileId': { $in: csvFileIds },
+      'metadata.legalHold': { $ne: true }
+    }).toArray();
+    await Promise.all(files.map(file => bucket.delete(file._id)));
+    return files.length;
+  }
+
+  /**
+   * Remove the retained source for a job
+   * @param {string} jobId
+   * @returns {Promise<number>} Number of files removed
+   */
+  async remove(jobId) {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ 'metadata.jobId': jobId }).toArray();
+    await Promise.all(files.map(file => bucket.delete(file._id)));
+    return files.length;
+  }
+
+  /**
+   * Remove sources whose jobs have expired
+   * @returns {Promise<number>} Number of files removed
+   */
+  async removeExpired() {
+    const bucket = await this.getBucket();
+    const files = await bucket.find({ 'metadata.expiresAt': { $lt: new Date() } }).toArray();
+    await Promise.all(files.map(file => bucket.delete(file._id)));
+    if (files.length > 0) {
+      console.log(`🧹 Removed ${files.length} expired source files`);
+    }
+    return files.length;
+  }
+}
+
+// Singleton instance
+const sourceStore = new SourceStore();
+
+module.exports = sourceStore;
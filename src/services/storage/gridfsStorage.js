@@ -0,0 +1,67 @@
+const mongoClient = require('../mongoClient');
+const { StorageDriver } = require('./storageDriver');
+
+/**
+ * MongoDB GridFS storage backend (default)
+ */
+class GridFSStorage extends StorageDriver {
+  constructor() {
+    super('gridfs');
+  }
+
+  async store(jobId, buffer, filename, metadata = {}) {
+    return mongoClient.storeCSV(jobId, buffer, filename, metadata);
+  }
+
+  async getStream(fileId) {
+    return mongoClient.getCSVStream(fileId);
+  }
+
+  async delete(fileId) {
+    return mongoClient.deleteFileById(fileId);
+  }
+
+  async list() {
+    const stats = await mongoClient.getStats();
+    return stats.files;
+  }
+
+  async getStats() {
+    return mongoClient.getStats();
+  }
+
+  async query(options) {
+    return mongoClient.queryFiles(options);
+  }
+
+  async updateMetadata(fileId, changes) {
+    return mongoClient.updateFileMetadata(fileId, changes);
+  }
+
+  async deleteExpired(now = new Date()) {
+    return mongoClient.deleteExpiredFiles(now);
+  }
+
+  async findByJobId(jobId) {
+    const file = await mongoClient.findFileByJobId(jobId);
+    if (!file) {
+      return null;
+    }
+
+    return {
+      id: file._id.toString(),
+      filename: file.filename,
+      size: file.length,
+      uploadDate: file.uploadDate,
+      jobId: file.metadata?.jobId,
+      ownerKeyId: file.metadata?.ownerKeyId,
+      metadata: file.metadata || {}
+    };
+  }
+
+  async healthCheck() {
+    return mongoClient.healthCheck();
+  }
+}
+
+module.exports = GridFSStorage;
@@ -0,0 +1,34 @@
+/**
+ * CSV storage backend selected by STORAGE_DRIVER
+ *
+ *   gridfs (default) - MongoDB GridFS via mongoClient
+ *   local            - local filesystem (STORAGE_LOCAL_DIR)
+ *   s3               - S3-compatible object storage (R2_* settings)
+ */
+const drivers = {
+  gridfs: () => require('./gridfsStorage'),
+  local: () => require('./localStorage'),
+  s3: () => require('./s3Storage')
+};
+
+/**
+ * Create the storage driver for a given name
+ * @param {string} [name] - Driver name, defaults to STORAGE_DRIVER or 'gridfs'
+ * @returns {import('./storageDriver').StorageDriver}
+ */
+function createStorage(name = process.env.STORAGE_DRIVER || 'gridfs') {
+  const loadDriver = drivers[name.toLowerCase()];
+  if (!loadDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const Driver = loadDriver();
+  return new Driver();
+}
+
+// Singleton instance
+const storage = createStorage();
+console.log(`🗄️  CSV storage driver: ${storage.name}`);
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { generateFileId, isValidFileId } = require('../../utils/ids');
+const { StorageDriver, applyMetadataChanges } = require('./storageDriver');
+
+/**
+ * Local filesystem storage backend
+ *
+ * Each file is kept as `<fileId>.csv` next to a `<fileId>.json` sidecar that holds
+ * its metadata. Configure the directory with STORAGE_LOCAL_DIR.
+ */
+class LocalStorage extends StorageDriver {
+  constructor() {
+    super('local');
+    this.baseDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../../data/csv'));
+  }
+
+  /**
+   * Resolve data and metadata paths for a file, rejecting malformed IDs
+   * @param {string} fileId
+   * @returns {{dataPath: string, metaPath: string}}
+   */
+  resolvePaths(fileId) {
+    if (!isValidFileId(fileId)) {
+      throw new Error(`File not found: ${fileId}`);
+    }
+    return {
+      dataPath: path.join(this.baseDir, `${fileId}.csv`),
+      metaPath: path.join(this.baseDir, `${fileId}.json`)
+    };
+  }
+
+  async readInfo(fileId) {
+    const { metaPath } = this.resolvePaths(fileId);
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`File not found: ${fileId}`);
+      }
+      throw error;
+    }
+  }
+
+  async store(jobId, buffer, filename, metadata = {}) {
+    await fs.promises.mkdir(this.baseDir, { recursive: true });
+
+    const fileId = generateFileId();
+    const { dataPath, metaPath } = this.resolvePaths(fileId);
+    const info = {
+      id: fileId,
+      filename,
+      size: buffer.length,
+      uploadDate: new Date().toISOString(),
+      jobId,
+      metadata: {
+        ...metadata,
+        jobId,
+        contentType: 'text/csv',
+        originalName: filename
+      }
+    };
+
+    await fs.promises.writeFile(dataPath, buffer);
+    await fs.promises.writeFile(metaPath, JSON.stringify(info));
+
+    console.log(`📁 CSV stored on disk: ${filename} (Job: ${jobId}, FileId: ${fileId})`);
+    return fileId;
+  }
+
+  async getStream(fileId) {
+    const info = await this.readInfo(fileId);
+    const { dataPath } = this.resolvePaths(fileId);
+
+    return {
+      stream: fs.createReadStream(dataPath),
+      filename: info.filename,
+      contentType: info.metadata?.contentType || 'text/csv',
+      size: info.size,
+      metadata: info.metadata || {}
+    };
+  }
+
+  async updateMetadata(fileId, changes) {
+    let info;
+    try {
+      info = await this.readInfo(fileId);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return false;
+      }
+      throw error;
+    }
+
+    info.metadata = applyMetadataChanges(info.metadata || {}, changes);
+    await fs.promises.writeFile(this.resolvePaths(fileId).metaPath, JSON.stringify(info));
+    return true;
+  }
+
+  async delete(fileId) {
+    let paths;
+    try {
+      paths = this.resolvePaths(fileId);
+    } catch (error) {
+      return false;
+    }
+
+    try {
+      await fs.promises.unlink(paths.metaPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await fs.promises.rm(paths.dataPath, { force: true });
+
+    console.log(`🗑️  Deleted CSV file: ${fileId}`);
+    return true;
+  }
+
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.baseDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = await Promise.all(entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => this.readInfo(path.basename(entry, '.json')).catch(() => null)));
+
+    return files
+      .filter(Boolean)
+      .map(info => ({
+        ...info,
+        uploadDate: new Date(info.uploadDate),
+        ownerKeyId: info.metadata?.ownerKeyId
+      }))
+      .sort((a, b) => b.uploadDate - a.uploadDate);
+  }
+
+  async findByJobId(jobId) {
+    const files = await this.list();
+    return files.find(file => file.jobId === jobId && !file.metadata?.variant) || null;
+  }
+
+  async healthCheck() {
+    try {
+      await fs.promises.mkdir(this.baseDir, { recursive: true });
+      await fs.promises.access(this.baseDir, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      console.error('❌ Local storage health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = LocalStorage;
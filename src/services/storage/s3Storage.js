@@ -0,0 +1,232 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { generateFileId, isValidFileId } = require('../../utils/ids');
+const { StorageDriver, applyMetadataChanges } = require('./storageDriver');
+
+// S3 and R2 cap user-defined metadata (keys and values) at 2 KB per object
+const MAX_METADATA_BYTES = 2048;
+
+/**
+ * Throw a clear error instead of letting S3 refuse oversized object metadata
+ * @param {object} metadata - User-defined metadata as sent to S3
+ */
+function assertMetadataSize(metadata) {
+  const size = Object.entries(metadata)
+    .reduce((total, [key, value]) => total + Buffer.byteLength(key) + Buffer.byteLength(value), 0);
+  if (size > MAX_METADATA_BYTES) {
+    throw new Error(`object metadata is ${size} bytes, over the ${MAX_METADATA_BYTES}-byte S3 limit`);
+  }
+}
+
+/**
+ * S3-compatible storage backend (Cloudflare R2, MinIO, AWS S3)
+ *
+ * Reads the R2_* settings from the environment. Objects are stored as
+ * `<prefix><fileId>.csv` with filename and jobId kept in object metadata.
+ */
+class S3Storage extends StorageDriver {
+  constructor() {
+    super('s3');
+
+    const accountId = process.env.R2_ACCOUNT_ID;
+    this.bucket = process.env.R2_BUCKET;
+    this.prefix = process.env.R2_PREFIX || 'csv/';
+    this.client = new S3Client({
+      region: process.env.R2_REGION || 'auto',
+      endpoint: process.env.R2_ENDPOINT || (accountId ? `https://${accountId}.r2.cloudflarestorage.com` : undefined),
+      forcePathStyle: process.env.R2_FORCE_PATH_STYLE === '1' || process.env.R2_FORCE_PATH_STYLE === 'true',
+      credentials: {
+        accessKeyId: process.env.R2_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || ''
+      }
+    });
+
+    if (!this.bucket) {
+      console.warn('⚠️  R2_BUCKET not configured - S3 storage will fail');
+    }
+  }
+
+  objectKey(fileId) {
+    if (!isValidFileId(fileId)) {
+      throw new Error(`File not found: ${fileId}`);
+    }
+    return `${this.prefix}${fileId}.csv`;
+  }
+
+  /**
+   * Convert a HeadObject/GetObject response into FileInfo
+   */
+  toFileInfo(fileId, object) {
+    const meta = object.Metadata || {};
+    const filename = meta.filename ? decodeURIComponent(meta.filename) : `${fileId}.csv`;
+    const extra = meta.extra ? JSON.parse(decodeURIComponent(meta.extra)) : {};
+    return {
+      id: fileId,
+      filename,
+      size: object.ContentLength,
+      uploadDate: extra.uploadedAt ? new Date(extra.uploadedAt) : object.LastModified,
+      jobId: meta.jobid,
+      ownerKeyId: extra.ownerKeyId,
+      metadata: {
+        ...extra,
+        jobId: meta.jobid,
+        contentType: object.ContentType || 'text/csv',
+        originalName: filename
+      }
+    };
+  }
+
+  async store(jobId, buffer, filename, metadata = {}) {
+    const fileId = generateFileId();
+    const objectMetadata = {
+      jobid: jobId,
+      filename: encodeURIComponent(filename),
+      extra: encodeURIComponent(JSON.stringify(metadata))
+    };
+
+    try {
+      assertMetadataSize(objectMetadata);
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(fileId),
+        Body: buffer,
+        ContentType: 'text/csv',
+        Metadata: objectMetadata
+      }));
+    } catch (error) {
+      console.error('❌ Failed to store CSV in S3:', error.message);
+      throw new Error(`Failed to store CSV: ${error.message}`);
+    }
+
+    console.log(`📁 CSV stored in S3: ${filename} (Job: ${jobId}, FileId: ${fileId})`);
+    return fileId;
+  }
+
+  async getStream(fileId) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(fileId)
+      }));
+      const info = this.toFileInfo(fileId, object);
+
+      return {
+        stream: object.Body,
+        filename: info.filename,
+        contentType: info.metadata.contentType,
+        size: info.size,
+        metadata: info.metadata
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw new Error(`File not found: ${fileId}`);
+      }
+      throw new Error(`Failed to get CSV stream: ${error.message}`);
+    }
+  }
+
+  /**
+   * S3 metadata is immutable, so the object is copied onto itself with new
+   * metadata. The copy resets LastModified, so the upload date is kept in
+   * `uploadedAt` first.
+   */
+  async updateMetadata(fileId, changes) {
+    let key;
+    let head;
+    try {
+      key = this.objectKey(fileId);
+      head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      if (error.message.includes('not found') || error.$metadata?.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+
+    const meta = head.Metadata || {};
+    const extra = meta.extra ? JSON.parse(decodeURIComponent(meta.extra)) : {};
+    const updated = applyMetadataChanges({
+      uploadedAt: head.LastModified.toISOString(),
+      ...extra
+    }, changes);
+    const objectMetadata = { ...meta, extra: encodeURIComponent(JSON.stringify(updated)) };
+    assertMetadataSize(objectMetadata);
+
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      CopySource: `${this.bucket}/${encodeURIComponent(key)}`,
+      ContentType: head.ContentType || 'text/csv',
+      MetadataDirective: 'REPLACE',
+      Metadata: objectMetadata
+    }));
+    return true;
+  }
+
+  async delete(fileId) {
+    let key;
+    try {
+      key = this.objectKey(fileId);
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      return false;
+    }
+
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    console.log(`🗑️  Deleted CSV file: ${fileId}`);
+    return true;
+  }
+
+  /**
+   * List all stored files. S3 listings carry no custom metadata, so this issues
+   * one HeadObject per file - fine for the volumes this service handles.
+   */
+  async list() {
+    const files = [];
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const heads = await Promise.all((page.Contents || []).map(async ({ Key }) => {
+        const fileId = Key.slice(this.prefix.length).replace(/\.csv$/, '');
+        const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key }));
+        return this.toFileInfo(fileId, head);
+      }));
+      files.push(...heads);
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return files.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+  }
+
+  async findByJobId(jobId) {
+    const files = await this.list();
+    return files.find(file => file.jobId === jobId && !file.metadata?.variant) || null;
+  }
+
+  async healthCheck() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+      return true;
+    } catch (error) {
+      console.error('❌ S3 storage health check failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = S3Storage;
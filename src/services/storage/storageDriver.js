@@ -0,0 +1,160 @@
+const { signDownloadPath } = require('../../utils/signedUrls');
+const { queryFileList } = require('../../utils/fileQuery');
+const { isExpired } = require('../../utils/retention');
+
+/**
+ * Base class for CSV storage backends
+ *
+ * Every driver stores CSV files under an opaque string file ID and must implement:
+ *   store(jobId, buffer, filename, metadata?) -> Promise<string>  (file ID)
+ *   getStream(fileId)                         -> Promise<{stream, filename, contentType, size, metadata}>
+ *   delete(fileId)                            -> Promise<boolean>
+ *   list()                                    -> Promise<Array<FileInfo>> (newest first)
+ *   findByJobId(jobId)                        -> Promise<FileInfo|null>
+ *   query(options)                            -> Promise<FilePage> (defaults to filtering list())
+ *   updateMetadata(fileId, changes)           -> Promise<boolean> (undefined values remove keys)
+ *   deleteExpired(now)                        -> Promise<string[]> (deleted IDs; scans list())
+ *   healthCheck()                             -> Promise<boolean>
+ *
+ * FileInfo: { id, filename, size, uploadDate, jobId, ownerKeyId, metadata }
+ *
+ * When a mapping template is applied, the CSV as n8n returned it is stored too,
+ * with `metadata.variant: 'raw'` and `metadata.mappedFileId` set to the mapped
+ * CSV's ID. Corrected CSVs are stored with `metadata.variant: 'revision'`
+ * (see services/revisionStore). findByJobId must skip both.
+ *
+ * Lookups for a missing file must throw an error whose message contains "not found"
+ * so routes can map it to a 404.
+ */
+class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async store() {
+    throw new Error(`${this.name} storage does not implement store()`);
+  }
+
+  async getStream() {
+    throw new Error(`${this.name} storage does not implement getStream()`);
+  }
+
+  async delete() {
+    throw new Error(`${this.name} storage does not implement delete()`);
+  }
+
+  async list() {
+    throw new Error(`${this.name} storage does not implement list()`);
+  }
+
+  async findByJobId() {
+    throw new Error(`${this.name} storage does not implement findByJobId()`);
+  }
+
+  async updateMetadata() {
+    throw new Error(`${this.name} storage does not implement updateMetadata()`);
+  }
+
+  /**
+   * Delete every file past its retention period (see utils/retention)
+   * Files on legal hold are never deleted. Revisions don't expire on their
+   * own; they are deleted with the file they revise, and raw copies with the
+   * mapped CSV they were kept for.
+   * @param {Date} [now]
+   * @returns {Promise<string[]>} IDs of the expired files deleted, not counting revisions
+   *   or raw copies deleted with their CSV
+   */
+  async deleteExpired(now = new Date()) {
+    const files = await this.list();
+    const expired = files.filter(file => (
+      file.metadata?.variant !== 'revision' && isExpired(file, now)
+    ));
+    const deleted = [];
+    const gone = new Set();
+    for (const file of expired) {
+      if (!gone.has(file.id) && await this.delete(file.id)) {
+        deleted.push(file.id);
+        gone.add(file.id);
+        const dependents = files.filter(dependent => (
+          dependent.metadata?.revisionOf === file.id || dependent.metadata?.mappedFileId === file.id
+        ));
+        for (const dependent of dependents) {
+          if (!gone.has(dependent.id)) {
+            await this.delete(dependent.id);
+            gone.add(dependent.id);
+          }
+        }
+      }
+    }
+    return deleted;
+  }
+
+  async healthCheck() {
+    return false;
+  }
+
+  /**
+   * Filtered, sorted page of stored files (see utils/fileQuery)
+   * Drivers that can query natively should override this; the default reads
+   * the whole listing.
+   * @param {object} options - { filter, sort, limit, after }
+   * @returns {Promise<object>} { files, nextCursor, totalFiles, totalSize }; totals count
+   *   every file matching the filter, not just this page
+   */
+  async query(options) {
+    return queryFileList(await this.list(), options);
+  }
+
+  /**
+   * Get stats about stored files
+   * @returns {Promise<{totalFiles: number, totalSize: number, files: Array}>}
+   */
+  async getStats() {
+    const files = await this.list();
+    return {
+      totalFiles: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.size, 0),
+      files
+    };
+  }
+}
+
+/**
+ * Public base URL of this service, used to build download links
+ * @returns {string}
+ */
+function getBaseUrl() {
+  return process.env.BASE_URL || process.env.RENDER_EXTERNAL_URL || 'https://csv-backend-oyvb.onrender.com';
+}
+
+/**
+ * Absolute, signed download URL for a stored file
+ * @param {string} fileId - File ID
+ * @returns {string}
+ */
+function buildDownloadUrl(fileId) {
+  return `${getBaseUrl()}${signDownloadPath(fileId)}`;
+}
+
+/**
+ * Merge metadata changes, removing keys whose new value is undefined
+ * @param {object} metadata
+ * @param {object} changes
+ * @returns {object}
+ */
+function applyMetadataChanges(metadata, changes) {
+  const merged = { ...metadata, ...changes };
+  Object.keys(changes)
+    .filter(key => changes[key] === undefined)
+    .forEach((key) => {
+      delete merged[key];
+    });
+  return merged;
+}
+
+module.exports = {
+  StorageDriver,
+  applyMetadataChanges,
+  getBaseUrl,
+  buildDownloadUrl
+};
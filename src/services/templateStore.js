@@ -0,0 +1,142 @@
+const mongoClient = require('./mongoClient');
+const { generateTemplateId, isValidTemplateId } = require('../utils/ids');
+
+/**
+ * MongoDB-backed store of column-mapping templates (see utils/csvMapping)
+ *
+ * Template document: {
+ *   _id: templateId,
+ *   ownerKeyId: string,
+ *   name: string,            // unique per owner
+ *   columns: Array,
+ *   keepUnmapped: boolean,
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ *
+ * Jobs keep a copy of the template chosen at upload, so editing or deleting a
+ * template does not change jobs already queued.
+ */
+class TemplateStore {
+  constructor() {
+    this.collection = null;
+    this.collectionName = 'mappingTemplates';
+  }
+
+  /**
+   * Get the templates collection, creating indexes on first use
+   * @returns {Promise<import('mongodb').Collection>}
+   */
+  async getCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    await mongoClient.connect();
+    const collection = mongoClient.db.collection(this.collectionName);
+    await collection.createIndex({ ownerKeyId: 1, name: 1 }, { unique: true });
+    this.collection = collection;
+    return this.collection;
+  }
+
+  /**
+   * Create a template
+   * @param {string} ownerKeyId
+   * @param {object} template - Normalized template (name, columns, keepUnmapped)
+   * @returns {Promise<object>} The stored template; rejects with code 11000 if the name is taken
+   */
+  async createTemplate(ownerKeyId, template) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const doc = {
+      _id: generateTemplateId(),
+      ownerKeyId,
+      ...template,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await collection.insertOne(doc);
+    console.log(`🗺️  Mapping template created: ${doc._id} (${template.name})`);
+    return toTemplate(doc);
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} templateId
+   * @returns {Promise<object|null>}
+   */
+  async getTemplate(templateId) {
+    if (!isValidTemplateId(templateId)) {
+      return null;
+    }
+    const collection = await this.getCollection();
+    return toTemplate(await collection.findOne({ _id: templateId }));
+  }
+
+  /**
+   * Find a template by ID, or by name among the owner's templates
+   * @param {string} ownerKeyId
+   * @param {string} idOrName
+   * @returns {Promise<object|null>}
+   */
+  async findTemplate(ownerKeyId, idOrName) {
+    const byId = await this.getTemplate(idOrName);
+    if (byId) {
+      return byId;
+    }
+    const collection = await this.getCollection();
+    return toTemplate(await collection.findOne({ ownerKeyId, name: idOrName }));
+  }
+
+  /**
+   * List templates, newest first
+   * @param {object} [filter] - e.g. { ownerKeyId }
+   * @returns {Promise<Array>}
+   */
+  async listTemplates(filter = {}) {
+    const collection = await this.getCollection();
+    const docs = await collection.find(filter).sort({ createdAt: -1 }).toArray();
+    return docs.map(toTemplate);
+  }
+
+  /**
+   * Replace a template's definition
+   * @param {string} templateId
+   * @param {object} template - Normalized template (name, columns, keepUnmapped)
+   * @returns {Promise<object|null>} The updated template or null if not found
+   */
+  async updateTemplate(templateId, template) {
+    const collection = await this.getCollection();
+    const doc = await collection.findOneAndUpdate(
+      { _id: templateId },
+      { $set: { ...template, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return toTemplate(doc);
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async deleteTemplate(templateId) {
+    const collection = await this.getCollection();
+    const result = await collection.deleteOne({ _id: templateId });
+    return result.deletedCount === 1;
+  }
+}
+
+function toTemplate(doc) {
+  if (!doc) {
+    return null;
+  }
+  const { _id, ...template } = doc;
+  return { templateId: _id, ...template };
+}
+
+// Singleton instance
+const templateStore = new TemplateStore();
+
+module.exports = templateStore;
@@ -0,0 +1,225 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const jobStore = require('./jobStore');
+const jobEvents = require('./jobEvents');
+const { generateDeliveryId } = require('../utils/ids');
+const {
+  signWebhookPayload,
+  allowsPrivateNotifyUrls,
+  lookupPublicAddress,
+  isValidNotifyUrl
+} = require('../utils/webhookSignature');
+const { buildDownloadUrl } = require('./storage/storageDriver');
+
+// Connect only to public addresses, whatever the notify URL's hostname resolves to
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupPublicAddress })
+};
+
+const EVENTS = {
+  done: 'job.completed',
+  error: 'job.failed',
+  cancelled: 'job.cancelled'
+};
+
+/**
+ * Outbound completion webhooks
+ *
+ * When a job with a `notifyUrl` completes, fails or is cancelled, a signed JSON payload is
+ * POSTed to that URL (see utils/webhookSignature.js for the headers). Failed
+ * deliveries are retried with exponential backoff; every attempt is appended to
+ * the job's `webhookDeliveries` log. Retries are scheduled in-process, so a
+ * restart drops pending retries - those can be replayed by hand.
+ */
+class WebhookNotifier {
+  constructor() {
+    this.unsubscribe = null;
+    this.pending = new Set();
+  }
+
+  getConfig() {
+    return {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+      retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000
+    };
+  }
+
+  /**
+   * Start listening for finished jobs
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    this.unsubscribe = jobEvents.onFinished((jobId, job) => {
+      if (job.notifyUrl) {
+        this.notify(jobId, job);
+      }
+    });
+  }
+
+  /**
+   * Stop listening and cancel pending retries
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+  }
+
+  /**
+   * Build the webhook payload for a finished job
+   * @param {string} jobId
+   * @param {object} job
+   * @param {string} deliveryId
+   * @returns {object}
+   */
+  buildPayload(jobId, job, deliveryId) {
+    return {
+      event: EVENTS[job.status] || 'job.failed',
+      deliveryId,
+      jobId,
+      status: job.status,
+      filename: job.filenamePdf,
+      batchId: job.batchId,
+      // Signed fresh on every attempt so retries and replays carry a usable link
+      downloadUrl: job.status === 'done' && job.r2Key ? buildDownloadUrl(job.r2Key) : null,
+      error: job.status === 'error' ? job.error || null : null,
+      errorCode: job.status === 'error' ? job.errorCode || null : null,
+      finishedAt: job.updatedAt,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Make a single delivery attempt and record it on the job
+   * @param {string} jobId
+   * @param {object} job
+   * @param {object} options
+   * @param {string} options.deliveryId
+   * @param {number} options.attempt
+   * @param {boolean} [options.manual] - Replayed by hand
+   * @returns {Promise<object>} The delivery log entry
+   */
+  async deliver(jobId, job, { deliveryId, attempt, manual = false }) {
+    const payload = this.buildPayload(jobId, job, deliveryId);
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    const entry = {
+      deliveryId,
+      event: payload.event,
+      attempt,
+      manual,
+      attemptedAt: new Date(startedAt)
+    };
+
+    try {
+      // URLs registered before a check was added, or under another NODE_ENV
+      if (!isValidNotifyUrl(job.notifyUrl)) {
+        throw new Error('notifyUrl is not an allowed webhook address');
+      }
+
+      const response = await axios.post(job.notifyUrl, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'pdf2csv-webhooks/1.0',
+          'x-webhook-id': deliveryId,
+          'x-webhook-event': payload.event,
+          'x-webhook-timestamp': String(timestamp),
+          'x-webhook-signature': signWebhookPayload(body, timestamp, job.notifySecret)
+        },
+        timeout: this.getConfig().timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...(!allowsPrivateNotifyUrls() && publicAgents)
+      });
+
+      entry.statusCode = response.status;
+      entry.ok = response.status >= 200 && response.status < 300;
+      if (!entry.ok) {
+        entry.error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      entry.ok = false;
+      entry.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    entry.durationMs = Date.now() - startedAt;
+
+    try {
+      await jobStore.recordWebhookDelivery(jobId, entry);
+    } catch (error) {
+      console.warn(`⚠️  Failed to record webhook delivery for job ${jobId}: ${error.message}`);
+    }
+
+    if (entry.ok) {
+      console.log(`📬 Webhook delivered for job ${jobId} (${payload.event}, attempt ${attempt})`);
+    } else {
+      console.warn(`⚠️  Webhook delivery failed for job ${jobId} (attempt ${attempt}): ${entry.error}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Deliver the webhook for a finished job, retrying with exponential backoff
+   * @param {string} jobId
+   * @param {object} job
+   * @returns {string} The delivery ID
+   */
+  notify(jobId, job) {
+    const deliveryId = generateDeliveryId();
+    const { maxAttempts, retryBaseMs } = this.getConfig();
+
+    const attemptDelivery = async (attempt) => {
+      const entry = await this.deliver(jobId, job, { deliveryId, attempt });
+      if (entry.ok || attempt >= maxAttempts) {
+        if (!entry.ok) {
+          console.error(`❌ Giving up on webhook for job ${jobId} after ${attempt} attempts`);
+        }
+        return;
+      }
+
+      const delay = retryBaseMs * 2 ** (attempt - 1);
+      const timer = setTimeout(() => {
+        this.pending.delete(timer);
+        attemptDelivery(attempt + 1);
+      }, delay);
+      // Pending retries should not keep the process alive on shutdown
+      timer.unref();
+      this.pending.add(timer);
+    };
+
+    attemptDelivery(1);
+    return deliveryId;
+  }
+
+  /**
+   * Re-send a previous delivery once, using the job's current state
+   * @param {string} jobId
+   * @param {object} job
+   * @param {string} deliveryId
+   * @returns {Promise<object|null>} The new log entry, or null if the delivery is unknown
+   */
+  async replay(jobId, job, deliveryId) {
+    const attempts = (job.webhookDeliveries || []).filter(entry => entry.deliveryId === deliveryId);
+    if (attempts.length === 0) {
+      return null;
+    }
+
+    const lastAttempt = Math.max(...attempts.map(entry => entry.attempt));
+    return this.deliver(jobId, job, { deliveryId, attempt: lastAttempt + 1, manual: true });
+  }
+}
+
+// Singleton instance
+const webhookNotifier = new WebhookNotifier();
+
+module.exports = webhookNotifier;
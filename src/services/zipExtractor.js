@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { nanoid } = require('nanoid');
+
+/**
+ * Safe extraction of invoice PDFs/JPEGs from an uploaded ZIP archive
+ *
+ * Guards against:
+ * - path traversal: entry names are never used as paths, and names with `..`,
+ *   absolute paths or drive letters are skipped
+ * - zip bombs: per-entry and total uncompressed byte caps are enforced on the
+ *   bytes actually inflated (not the sizes the archive claims), plus a
+ *   compression ratio cap
+ * - huge archives: only the first `maxEntries` entries are looked at
+ */
+
+const SUPPORTED_TYPES = {
+  '.pdf': { mimetype: 'application/pdf', magic: Buffer.from('%PDF') },
+  '.jpg': { mimetype: 'image/jpeg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  '.jpeg': { mimetype: 'image/jpeg', magic: Buffer.from([0xff, 0xd8, 0xff]) }
+};
+
+/**
+ * Extraction limits, configurable via environment
+ * @returns {{maxEntries: number, maxEntryBytes: number, maxTotalBytes: number, maxRatio: number}}
+ */
+function getZipLimits() {
+  return {
+    maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES, 10) || 100,
+    maxEntryBytes: parseInt(process.env.ZIP_MAX_ENTRY_BYTES, 10) || 20 * 1024 * 1024,
+    maxTotalBytes: parseInt(process.env.ZIP_MAX_TOTAL_BYTES, 10) || 200 * 1024 * 1024,
+    maxRatio: parseInt(process.env.ZIP_MAX_RATIO, 10) || 100
+  };
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    // decodeStrings: false so unsafe names are skipped instead of aborting the whole archive
+    yauzl.open(zipPath, { lazyEntries: true, decodeStrings: false, autoClose: false }, (error, zipfile) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(zipfile);
+    });
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stream);
+    });
+  });
+}
+
+function decodeEntryName(entry) {
+  // Bit 11 of the general purpose flag marks UTF-8 names
+  return entry.fileName.toString((entry.generalPurposeBitFlag & 0x800) ? 'utf8' : 'latin1');
+}
+
+/**
+ * Reason an entry must be skipped before reading it, or null if it may be extracted
+ */
+function precheckEntry(name, entry, limits) {
+  const segments = name.split(/[\\/]/);
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name) || segments.includes('..')) {
+    return 'UNSAFE_PATH';
+  }
+  if (name.endsWith('/')) {
+    return 'DIRECTORY';
+  }
+
+  const basename = segments[segments.length - 1];
+  if (segments.includes('__MACOSX') || basename.startsWith('.')) {
+    return 'HIDDEN_FILE';
+  }
+  if (!SUPPORTED_TYPES[path.extname(basename).toLowerCase()]) {
+    return 'UNSUPPORTED_TYPE';
+  }
+  if (entry.generalPurposeBitFlag & 0x1) {
+    return 'ENCRYPTED';
+  }
+  if (entry.uncompressedSize > limits.maxEntryBytes) {
+    return 'ENTRY_TOO_LARGE';
+  }
+  if (entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > limits.maxRatio) {
+    return 'COMPRESSION_RATIO';
+  }
+  return null;
+}
+
+/**
+ * Inflate one entry to disk, enforcing byte limits on the actual stream
+ * Rejects if the temp file can't be written (e.g. ENOSPC), after removing it.
+ * @returns {Promise<{size: number, header: Buffer}|{reason: string}>}
+ */
+async function writeEntry(zipfile, entry, targetPath, limits, remainingBytes) {
+  const stream = await openEntryStream(zipfile, entry);
+  const output = fs.createWriteStream(targetPath);
+  let size = 0;
+  let header = Buffer.alloc(0);
+
+  return new Promise((resolve, reject) => {
+    let aborted = false;
+    const discard = (settle) => {
+      if (aborted) {
+        return;
+      }
+      aborted = true;
+      stream.unpipe(output);
+      stream.destroy();
+      output.destroy();
+      fs.unlink(targetPath, settle);
+    };
+    const abort = reason => discard(() => resolve({ reason }));
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (header.length < 8) {
+        header = Buffer.concat([header, chunk]).subarray(0, 8);
+      }
+      if (size > limits.maxEntryBytes) {
+        abort('ENTRY_TOO_LARGE');
+      } else if (size > remainingBytes) {
+        abort('ARCHIVE_TOO_LARGE');
+      }
+    });
+    // yauzl errors when an entry inflates to more bytes than its header declares
+    stream.on('error', () => abort('CORRUPT_ENTRY'));
+    output.on('error', error => discard(() => reject(error)));
+    output.on('finish', () => resolve({ size, header }));
+    stream.pipe(output);
+  });
+}
+
+/**
+ * Extract supported invoice files from a ZIP archive
+ * @param {string} zipPath - Path to the uploaded archive
+ * @param {string} destDir - Directory for extracted temp files
+ * @returns {Promise<{files: Array<{path: string, originalName: string, mimetype: string, size: number}>,
+ *   skipped: Array<{entry: string, reason: string}>}>}
+ */
+async function extractInvoices(zipPath, destDir) {
+  const limits = getZipLimits();
+  const zipfile = await openZip(zipPath);
+  const files = [];
+  const skipped = [];
+  let remainingBytes = limits.maxTotalBytes;
+  let seenEntries = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('error', reject);
+      zipfile.on('end', resolve);
+      zipfile.on('entry', async (entry) => {
+        try {
+          seenEntries++;
+          if (seenEntries > limits.maxEntries) {
+            skipped.push({
+              entry: `${zipfile.entryCount - limits.maxEntries} more entries`,
+              reason: 'ENTRY_LIMIT'
+            });
+            return resolve();
+          }
+
+          const name = decodeEntryName(entry);
+          const reason = precheckEntry(name, entry, limits);
+          if (reason) {
+            if (reason !== 'DIRECTORY') {
+              skipped.push({ entry: name, reason });
+            }
+            return zipfile.readEntry();
+          }
+
+          const originalName = path.basename(name.replace(/\\/g, '/'));
+          const type = SUPPORTED_TYPES[path.extname(originalName).toLowerCase()];
+          const targetPath = path.join(destDir, `zip-${nanoid(16)}`);
+          const result = await writeEntry(zipfile, entry, targetPath, limits, remainingBytes);
+
+          if (result.reason) {
+            skipped.push({ entry: name, reason: result.reason });
+            if (result.reason === 'ARCHIVE_TOO_LARGE') {
+              return resolve();
+            }
+          } else if (!result.header.subarray(0, type.magic.length).equals(type.magic)) {
+            fs.unlink(targetPath, () => {});
+            skipped.push({ entry: name, reason: 'CONTENT_MISMATCH' });
+          } else {
+            remainingBytes -= result.size;
+            files.push({ path: targetPath, originalName, mimetype: type.mimetype, size: result.size });
+          }
+
+          zipfile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      zipfile.readEntry();
+    });
+  } catch (error) {
+    // Don't leave extracted files behind if the archive turns out to be corrupt
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    throw error;
+  } finally {
+    zipfile.close();
+  }
+
+  return { files, skipped };
+}
+
+module.exports = {
+  extractInvoices,
+  getZipLimits
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC signatures for n8n callbacks
+ *
+ * n8n signs every callback with CALLBACK_SECRET and sends:
+ *   x-job-id               - job the callback belongs to
+ *   x-callback-timestamp   - unix time in seconds
+ *   x-callback-nonce       - random, single-use value
+ *   x-content-sha256       - hex SHA-256 of the uploaded CSV (or of the raw JSON body)
+ *   x-job-attempt          - attempt the callback belongs to (required once a job is retried)
+ *   x-callback-signature   - hex HMAC-SHA256 of `${timestamp}.${nonce}.${jobId}.${contentSha256}`,
+ *                            followed by `.${attempt}` when x-job-attempt is sent
+ *
+ * Header verification covers the signature and the timestamp window; checking the
+ * digest against the actual payload and consuming the nonce happens in the
+ * callbackAuth middleware once the body has been received.
+ */
+
+const DEFAULT_WINDOW_SECONDS = 300;
+
+/**
+ * Allowed clock skew between n8n and this service
+ * @returns {number} Seconds
+ */
+function getCallbackWindow() {
+  const window = parseInt(process.env.CALLBACK_WINDOW_SECONDS, 10);
+  return window > 0 ? window : DEFAULT_WINDOW_SECONDS;
+}
+
+/**
+ * Whether only HMAC-signed callbacks are accepted
+ * Strict unless CALLBACK_AUTH_MODE=compat, which also accepts the legacy
+ * x-callback-secret header while n8n workflows are migrated.
+ * @returns {boolean}
+ */
+function isStrictMode() {
+  return process.env.CALLBACK_AUTH_MODE !== 'compat';
+}
+
+/**
+ * SHA-256 of a payload
+ * @param {Buffer|string} data
+ * @returns {string} Hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+/**
+ * Compute the callback signature
+ * @param {object} params
+ * @param {string|number} params.timestamp
+ * @param {string} params.nonce
+ * @param {string} params.jobId
+ * @param {string} params.contentSha256
+ * @param {string|number} [params.attempt] - Signed only when given
+ * @param {string} secret
+ * @returns {string} Hex HMAC-SHA256
+ */
+function computeCallbackSignature({ timestamp, nonce, jobId, contentSha256, attempt }, secret) {
+  const signed = `${timestamp}.${nonce}.${jobId}.${contentSha256}`;
+  return crypto.createHmac('sha256', secret)
+    .update(attempt === undefined ? signed : `${signed}.${attempt}`)
+    .digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify callback headers (signature and timestamp window)
+ * @param {object} headers - Lower-cased request headers
+ * @returns {{valid: boolean, reason?: string, legacy?: boolean, nonce?: string, contentSha256?: string}}
+ *   reason is one of NOT_CONFIGURED, MISSING_SIGNATURE, STALE_TIMESTAMP, INVALID_SIGNATURE
+ */
+function verifyCallbackHeaders(headers) {
+  const secret = process.env.CALLBACK_SECRET;
+  if (!secret) {
+    return { valid: false, reason: 'NOT_CONFIGURED' };
+  }
+
+  const signature = headers['x-callback-signature'];
+  if (!signature) {
+    const legacySecret = headers['x-callback-secret'];
+    if (!isStrictMode() && legacySecret && safeEqual(legacySecret, secret)) {
+      return { valid: true, legacy: true };
+    }
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  const timestamp = headers['x-callback-timestamp'];
+  const nonce = headers['x-callback-nonce'];
+  const jobId = headers['x-job-id'];
+  const contentSha256 = headers['x-content-sha256'];
+  const attempt = headers['x-job-attempt'];
+  if (!timestamp || !nonce || !jobId || !contentSha256) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+  if (attempt !== undefined && !/^[1-9]\d*$/.test(attempt)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isInteger(sentAt) || Math.abs(Math.floor(Date.now() / 1000) - sentAt) > getCallbackWindow()) {
+    return { valid: false, reason: 'STALE_TIMESTAMP' };
+  }
+
+  const expected = computeCallbackSignature({ timestamp, nonce, jobId, contentSha256, attempt }, secret);
+  if (!safeEqual(expected, signature)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  return { valid: true, nonce, contentSha256 };
+}
+
+module.exports = {
+  getCallbackWindow,
+  isStrictMode,
+  sha256Hex,
+  computeCallbackSignature,
+  verifyCallbackHeaders
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Fingerprints used to recognise repeated uploads
+ *
+ * An upload is a duplicate of an earlier one when both the document bytes
+ * (contentHash) and the options that shape its CSV (optionsHash) match.
+ * Both are SHA-256 hex digests, stored on the job and on its CSV's metadata.
+ */
+
+/**
+ * SHA-256 of a file's contents, streamed so large uploads aren't loaded into memory
+ * Also checks uploaded CSVs against the digest signed by n8n (middleware/callbackAuth).
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * SHA-256 of the job options that change the resulting CSV
+ * Only the mapping template's definition matters, not its name or ID, so
+ * renaming a template or recreating an identical one still matches.
+ * @param {object} [options]
+ * @param {object} [options.mappingTemplate] - Template copy stored with the job
+ * @returns {string} Hex digest
+ */
+function hashJobOptions({ mappingTemplate } = {}) {
+  const template = mappingTemplate
+    ? { columns: mappingTemplate.columns, keepUnmapped: mappingTemplate.keepUnmapped }
+    : null;
+  return crypto.createHash('sha256').update(JSON.stringify({ template })).digest('hex');
+}
+
+module.exports = {
+  hashFile,
+  hashJobOptions
+};
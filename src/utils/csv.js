@@ -0,0 +1,287 @@
+const { TextDecoder } = require('util');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * CSV helpers shared by the callback validation and the CSV read endpoints
+ *
+ * Parsing follows RFC 4180: fields may be quoted, quotes inside quoted fields
+ * are doubled, and records end with LF or CRLF (also inside quoted fields,
+ * where the line break is kept as part of the value).
+ */
+
+const DELIMITER_CANDIDATES = [',', ';', '\t'];
+
+/**
+ * Decode a CSV buffer as UTF-8, stripping a byte order mark
+ * @param {Buffer} buffer
+ * @returns {{text: string, encoding: string, bom: boolean}|null} Null if not valid UTF-8
+ */
+function decodeCsv(buffer) {
+  const bom = buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf;
+  try {
+    const decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+    const text = decoder.decode(bom ? buffer.subarray(3) : buffer);
+    return { text, encoding: 'utf-8', bom };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Guess the delimiter from the first line, ignoring quoted sections
+ * @param {string} text
+ * @returns {string} One of `,` `;` or a tab; `,` if nothing stands out
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [candidate, count] of counts) {
+    if (count > counts.get(best)) {
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+/**
+ * Create an incremental CSV parser for text arriving in chunks
+ * Records are returned as soon as their line ends; quotes and CRLF may be
+ * split across chunks.
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Detected from the first line if omitted
+ * @returns {{push: Function, end: Function, delimiter: string, unterminatedQuote: boolean}}
+ *   `push(text)` and `end()` return the completed records as `{row, line}`, where
+ *   `line` is the 1-based line the record starts on
+ */
+function createCsvParser({ delimiter } = {}) {
+  let pending = '';
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;
+  let skipLineFeed = false;
+  let line = 1;
+  let rowLine = 1;
+  let records = [];
+
+  const endRow = () => {
+    row.push(field);
+    records.push({ row, line: rowLine });
+    row = [];
+    field = '';
+  };
+
+  const consume = (text) => {
+    for (const char of text) {
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (afterQuote) {
+        afterQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          afterQuote = true;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === parser.delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        skipLineFeed = char === '\r';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const flush = () => {
+    const completed = records;
+    records = [];
+    return completed;
+  };
+
+  const parser = {
+    delimiter,
+    unterminatedQuote: false,
+
+    push(text) {
+      if (!parser.delimiter) {
+        // Wait for the first line break to see the whole header
+        pending += text;
+        if (!/[\r\n]/.test(pending)) {
+          return [];
+        }
+        parser.delimiter = detectDelimiter(pending);
+        text = pending;
+        pending = '';
+      }
+      consume(text);
+      return flush();
+    },
+
+    end() {
+      if (!parser.delimiter) {
+        parser.delimiter = detectDelimiter(pending);
+        consume(pending);
+        pending = '';
+      }
+      if (afterQuote) {
+        inQuotes = false;
+      }
+      parser.unterminatedQuote = inQuotes;
+      // Last record without a trailing newline
+      if (field !== '' || row.length > 0 || inQuotes) {
+        endRow();
+      }
+      return flush();
+    }
+  };
+
+  return parser;
+}
+
+/**
+ * Parse CSV text into records
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Detected from the first line if omitted
+ * @returns {{rows: string[][], lines: number[], delimiter: string, unterminatedQuote: boolean}}
+ *   `lines` holds the 1-based line each record starts on
+ */
+function parseCsv(text, { delimiter } = {}) {
+  const parser = createCsvParser({ delimiter });
+  const records = [...parser.push(text), ...parser.end()];
+
+  return {
+    rows: records.map(record => record.row),
+    lines: records.map(record => record.line),
+    delimiter: parser.delimiter,
+    unterminatedQuote: parser.unterminatedQuote
+  };
+}
+
+/**
+ * Whether a record is an empty line
+ * @param {string[]} row
+ * @returns {boolean}
+ */
+function isBlankRow(row) {
+  return row.length === 1 && row[0].trim() === '';
+}
+
+/**
+ * Format one record as a CSV line, quoting fields only where needed
+ * @param {string[]} row
+ * @param {string} [delimiter]
+ * @returns {string} The line, terminated with CRLF
+ */
+function formatCsvRow(row, delimiter = ',') {
+  const fields = row.map((value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    const quote = /["\r\n]/.test(text) || text.includes(delimiter);
+    return quote ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${fields.join(delimiter)}\r\n`;
+}
+
+/**
+ * Read one page of data rows from a CSV stream
+ *
+ * Rows are parsed as the stream arrives and only the requested page is kept.
+ * If `totalRows` is already known (e.g. from the stored csvProfile), reading
+ * stops once the page is complete; otherwise the whole stream is read to count
+ * the rows. Blank lines are not counted.
+ *
+ * @param {NodeJS.ReadableStream} stream - UTF-8 CSV
+ * @param {object} [options]
+ * @param {number} [options.offset] - Data rows to skip
+ * @param {number} [options.limit] - Data rows to return
+ * @param {string} [options.delimiter]
+ * @param {number} [options.totalRows] - Known number of data rows
+ * @returns {Promise<{headers: string[], rows: string[][], totalRows: number, delimiter: string}>}
+ */
+async function readCsvPage(stream, { offset = 0, limit = 50, delimiter, totalRows } = {}) {
+  const parser = createCsvParser({ delimiter });
+  const decoder = new StringDecoder('utf8');
+  const rows = [];
+  let headers = null;
+  let rowIndex = 0;
+  let started = false;
+
+  const take = (records) => {
+    for (const { row } of records) {
+      if (isBlankRow(row)) {
+        continue;
+      }
+      if (!headers) {
+        headers = row;
+        continue;
+      }
+      if (rowIndex >= offset && rows.length < limit) {
+        rows.push(row);
+      }
+      rowIndex++;
+    }
+  };
+
+  for await (const chunk of stream) {
+    let text = decoder.write(chunk);
+    if (!started && text) {
+      text = text.replace(/^\uFEFF/, '');
+      started = true;
+    }
+    take(parser.push(text));
+
+    // Breaking out of the loop destroys the stream
+    if (totalRows !== undefined && rowIndex >= offset + limit) {
+      return { headers, rows, totalRows, delimiter: parser.delimiter };
+    }
+  }
+
+  take(parser.push(decoder.end()));
+  take(parser.end());
+
+  return { headers: headers || [], rows, totalRows: rowIndex, delimiter: parser.delimiter };
+}
+
+module.exports = {
+  decodeCsv,
+  detectDelimiter,
+  createCsvParser,
+  parseCsv,
+  isBlankRow,
+  formatCsvRow,
+  readCsvPage
+};
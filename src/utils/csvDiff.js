@@ -0,0 +1,207 @@
+const { decodeCsv, parseCsv, isBlankRow } = require('./csv');
+
+/**
+ * Row and cell diff between two versions of a CSV
+ *
+ * Rows are compared on the columns both versions share, matched by header
+ * name, so adding or removing a column shows up once in `headers` rather than
+ * as a change to every row. Rows are aligned with a longest common
+ * subsequence; when the differing stretch is too large for that, they are
+ * paired by position instead, which suits manual corrections that edit cells
+ * without moving rows. Within a stretch of differences, removed and added rows
+ * are paired up and reported as changed rows with the cells that differ.
+ *
+ * Row numbers count data rows from 1, not including the header.
+ */
+
+// Largest LCS table (rows of one version x rows of the other) built in memory
+const LCS_MAX_CELLS = 1000000;
+
+/**
+ * Parse a CSV buffer into headers and data rows, skipping blank lines
+ */
+function readRecords(buffer, delimiter) {
+  const decoded = decodeCsv(buffer);
+  if (!decoded) {
+    throw new Error('CSV is not valid UTF-8');
+  }
+  const records = parseCsv(decoded.text, { delimiter }).rows.filter(row => !isBlankRow(row));
+  const [headers = [], ...rows] = records;
+  return { headers, rows };
+}
+
+/**
+ * Longest-common-subsequence alignment of two key lists
+ * @returns {Array<[number|null, number|null]>} Pairs of indexes; null marks a removed or added row
+ */
+function alignByLcs(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (j === b.length || (i < a.length
+      && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      pairs.push([i++, null]);
+    } else {
+      pairs.push([null, j++]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pair rows by position
+ * @returns {Array<[number|null, number|null]>}
+ */
+function alignByPosition(a, b) {
+  const pairs = [];
+  for (let k = 0; k < Math.max(a.length, b.length); k++) {
+    if (k < a.length && k < b.length && a[k] === b[k]) {
+      pairs.push([k, k]);
+    } else {
+      if (k < a.length) {
+        pairs.push([k, null]);
+      }
+      if (k < b.length) {
+        pairs.push([null, k]);
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Align two key lists, matching the common prefix and suffix directly
+ * @returns {Array<[number|null, number|null]>}
+ */
+function alignRows(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start
+    && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const align = (middleA.length + 1) * (middleB.length + 1) <= LCS_MAX_CELLS
+    ? alignByLcs
+    : alignByPosition;
+
+  const pairs = [];
+  for (let k = 0; k < start; k++) {
+    pairs.push([k, k]);
+  }
+  align(middleA, middleB).forEach(([i, j]) => {
+    pairs.push([i === null ? null : i + start, j === null ? null : j + start]);
+  });
+  for (let k = end; k > 0; k--) {
+    pairs.push([a.length - k, b.length - k]);
+  }
+  return pairs;
+}
+
+/**
+ * Diff two versions of a CSV
+ * @param {Buffer} fromBuffer
+ * @param {Buffer} toBuffer
+ * @param {object} [options]
+ * @param {string} [options.fromDelimiter] - Detected if omitted
+ * @param {string} [options.toDelimiter]
+ * @returns {{headers: object, summary: object, rows: Array}}
+ *   headers: { from, to, added, removed }
+ *   summary: { added, removed, changed, unchanged } row counts
+ *   rows: { type: 'added', toRow, values } | { type: 'removed', fromRow, values }
+ *       | { type: 'changed', fromRow, toRow, cells: [{ column, from, to }] }
+ */
+function diffCsv(fromBuffer, toBuffer, { fromDelimiter, toDelimiter } = {}) {
+  const from = readRecords(fromBuffer, fromDelimiter);
+  const to = readRecords(toBuffer, toDelimiter);
+
+  const toHeaders = new Set(to.headers);
+  const fromHeaders = new Set(from.headers);
+  const shared = [...new Set(from.headers.filter(header => toHeaders.has(header)))];
+  const fromIndexes = shared.map(header => from.headers.indexOf(header));
+  const toIndexes = shared.map(header => to.headers.indexOf(header));
+
+  // With no column in common, rows can only be compared whole
+  const keyOf = (row, indexes) => JSON.stringify(shared.length > 0
+    ? indexes.map(index => (row[index] === undefined ? '' : row[index]))
+    : row);
+  const fromKeys = from.rows.map(row => keyOf(row, fromIndexes));
+  const toKeys = to.rows.map(row => keyOf(row, toIndexes));
+
+  const rows = [];
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const paired = shared.length > 0 ? Math.min(removed.length, added.length) : 0;
+    for (let k = 0; k < paired; k++) {
+      const fromRow = from.rows[removed[k]];
+      const toRow = to.rows[added[k]];
+      const cells = shared
+        .map((column, c) => ({
+          column,
+          from: fromRow[fromIndexes[c]] === undefined ? '' : fromRow[fromIndexes[c]],
+          to: toRow[toIndexes[c]] === undefined ? '' : toRow[toIndexes[c]]
+        }))
+        .filter(cell => cell.from !== cell.to);
+      rows.push({ type: 'changed', fromRow: removed[k] + 1, toRow: added[k] + 1, cells });
+      summary.changed++;
+    }
+    removed.slice(paired).forEach((index) => {
+      rows.push({ type: 'removed', fromRow: index + 1, values: from.rows[index] });
+      summary.removed++;
+    });
+    added.slice(paired).forEach((index) => {
+      rows.push({ type: 'added', toRow: index + 1, values: to.rows[index] });
+      summary.added++;
+    });
+    removed = [];
+    added = [];
+  };
+
+  alignRows(fromKeys, toKeys).forEach(([i, j]) => {
+    if (i !== null && j !== null) {
+      flush();
+      summary.unchanged++;
+    } else if (i !== null) {
+      removed.push(i);
+    } else {
+      added.push(j);
+    }
+  });
+  flush();
+
+  return {
+    headers: {
+      from: from.headers,
+      to: to.headers,
+      added: to.headers.filter(header => !fromHeaders.has(header)),
+      removed: from.headers.filter(header => !toHeaders.has(header))
+    },
+    summary,
+    rows
+  };
+}
+
+module.exports = {
+  diffCsv
+};
@@ -0,0 +1,274 @@
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const archiver = require('archiver');
+const { createCsvParser, isBlankRow } = require('./csv');
+
+/**
+ * On-the-fly conversion of stored CSVs into other download formats
+ *
+ * Conversions are streams: the CSV is parsed as it is read and each row is
+ * written out straight away, so large files are never held in memory.
+ * XLSX output is a minimal workbook with one sheet (inline strings, numbers
+ * stored as numbers) zipped with archiver.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Accept header media types, in order of preference when the client accepts anything
+const MEDIA_TYPES = {
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'application/json': 'json',
+  'application/x-ndjson': 'ndjson',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+// Plain decimals without leading zeros, so IDs like 00123 stay text
+const NUMBER_PATTERN = /^-?(0|[1-9]\d{0,14})(\.\d+)?$/;
+
+/**
+ * Pick the download format from `?format=` or, failing that, the Accept header
+ * @param {import('express').Request} req
+ * @returns {string|null} A key of FORMATS, or null if nothing requested is supported
+ */
+function resolveFormat(req) {
+  const { format } = req.query;
+  if (format !== undefined) {
+    const name = String(format).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(FORMATS, name) ? name : null;
+  }
+
+  if (!req.headers.accept) {
+    return 'csv';
+  }
+  const mediaType = req.accepts(Object.keys(MEDIA_TYPES));
+  return mediaType ? MEDIA_TYPES[mediaType] : null;
+}
+
+/**
+ * Filename with the extension of the download format
+ * @param {string} filename - Stored CSV filename
+ * @param {string} format
+ * @returns {string}
+ */
+function formatFilename(filename, format) {
+  return `${path.parse(filename).name}.${FORMATS[format].extension}`;
+}
+
+/**
+ * Make header names usable as object keys: blanks get a column name, repeats a suffix
+ */
+function toKeys(headers) {
+  const seen = new Map();
+  return headers.map((header, index) => {
+    const base = header.trim() || `column_${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base}_${count}` : base;
+  });
+}
+
+/**
+ * Transform from CSV bytes to formatted output
+ * @param {object} options
+ * @param {string} [options.delimiter]
+ * @param {Function} options.onHeader - (headers) => string written before the rows
+ * @param {Function} options.onRow - (row, index) => string for each data row
+ * @param {Function} options.onEnd - (rowCount) => string written last
+ * @returns {Transform}
+ */
+function createRowTransform({ delimiter, onHeader, onRow, onEnd }) {
+  const parser = createCsvParser({ delimiter });
+  const decoder = new StringDecoder('utf8');
+  let headers = null;
+  let rowCount = 0;
+  let started = false;
+
+  const render = (records) => {
+    let output = '';
+    for (const { row } of records) {
+      if (isBlankRow(row)) {
+        continue;
+      }
+      if (!headers) {
+        headers = row;
+        output += onHeader(headers);
+      } else {
+        output += onRow(row, rowCount++);
+      }
+    }
+    return output;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      let text = decoder.write(chunk);
+      if (!started && text) {
+        text = text.replace(/^\uFEFF/, '');
+        started = true;
+      }
+      callback(null, render(parser.push(text)));
+    },
+    flush(callback) {
+      let output = render(parser.push(decoder.end())) + render(parser.end());
+      if (!headers) {
+        output += onHeader([]);
+      }
+      callback(null, output + onEnd(rowCount));
+    }
+  });
+}
+
+function toTsv(options) {
+  // TSV has no quoting, so tabs and line breaks inside values become spaces
+  const line = row => `${row.map(value => value.replace(/[\t\r\n]+/g, ' ')).join('\t')}\n`;
+  return createRowTransform({
+    ...options,
+    onHeader: line,
+    onRow: line,
+    onEnd: () => ''
+  });
+}
+
+function toJson(options, { lines }) {
+  let keys = [];
+  const toObject = row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? '']));
+
+  return createRowTransform({
+    ...options,
+    onHeader: (headers) => {
+      keys = toKeys(headers);
+      return lines ? '' : '[';
+    },
+    onRow: (row, index) => {
+      const json = JSON.stringify(toObject(row));
+      if (lines) {
+        return `${json}\n`;
+      }
+      return `${index > 0 ? ',' : ''}\n${json}`;
+    },
+    onEnd: rowCount => (lines ? '' : `${rowCount > 0 ? '\n' : ''}]\n`)
+  });
+}
+
+function isXmlChar(code) {
+  return code === 0x09 || code === 0x0a || code === 0x0d
+    || (code >= 0x20 && code <= 0xd7ff)
+    || (code >= 0xe000 && code <= 0xfffd)
+    || code >= 0x10000;
+}
+
+function escapeXml(value) {
+  // Drop characters XML 1.0 cannot represent (control characters, lone surrogates)
+  const text = /[^\x20-\uD7FF\uE000-\uFFFD]/.test(value)
+    ? Array.from(value).filter(char => isXmlChar(char.codePointAt(0))).join('')
+    : value;
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetRow(row, rowNumber, { numbers }) {
+  const cells = row.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+    if (numbers && NUMBER_PATTERN.test(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>'
+};
+
+function toXlsx(source, options) {
+  const sheet = createRowTransform({
+    ...options,
+    onHeader: headers => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+      + (headers.length > 0 ? sheetRow(headers, 1, { numbers: false }) : ''),
+    onRow: (row, index) => sheetRow(row, index + 2, { numbers: true }),
+    onEnd: () => '</sheetData></worksheet>'
+  });
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  Object.entries(XLSX_PARTS).forEach(([name, xml]) => archive.append(xml, { name }));
+  archive.append(source.pipe(sheet), { name: 'xl/worksheets/sheet1.xml' });
+  source.on('error', error => archive.destroy(error));
+  sheet.on('error', error => archive.destroy(error));
+  archive.finalize();
+  return archive;
+}
+
+/**
+ * Convert a CSV stream into another format
+ * @param {NodeJS.ReadableStream} source - The stored CSV
+ * @param {string} format - A key of FORMATS other than csv
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Detected if omitted
+ * @returns {NodeJS.ReadableStream}
+ */
+function convertCsv(source, format, options = {}) {
+  if (format === 'xlsx') {
+    return toXlsx(source, options);
+  }
+
+  const transforms = {
+    tsv: () => toTsv(options),
+    json: () => toJson(options, { lines: false }),
+    ndjson: () => toJson(options, { lines: true })
+  };
+  if (!transforms[format]) {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+  // Errors on either side destroy both and surface on the returned stream
+  return pipeline(source, transforms[format](), () => {});
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  formatFilename,
+  convertCsv
+};
@@ -0,0 +1,300 @@
+const { decodeCsv, parseCsv, isBlankRow, formatCsvRow } = require('./csv');
+
+/**
+ * Column-mapping templates that normalize the CSVs n8n returns
+ *
+ * A template lists the output columns in order. Each column is filled from
+ * the first source header matching one of its `from` aliases (trimmed,
+ * case-insensitive, defaulting to the column name); source columns no
+ * template column claims are dropped unless `keepUnmapped` is set, in which
+ * case they follow the mapped columns. A column with no matching header, or
+ * an empty cell, gets the column's `default`.
+ *
+ * Column types:
+ *   text   - copied as-is (default)
+ *   date   - parsed with the first matching `dateFormats` entry, written as YYYY-MM-DD
+ *   amount - thousands separators and currency symbols removed, written with a
+ *            `.` decimal point; `decimalSeparator` is guessed per value if not set
+ * Values that cannot be parsed are kept unchanged and counted in the report.
+ *
+ * Template: {
+ *   name: string,
+ *   columns: [{ name, from?: string[], default?: string, type?, dateFormats?, decimalSeparator? }],
+ *   keepUnmapped?: boolean
+ * }
+ */
+
+const COLUMN_TYPES = ['text', 'date', 'amount'];
+const DEFAULT_DATE_FORMATS = ['YYYY-MM-DD', 'DD.MM.YYYY', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+const DATE_TOKENS = {
+  YYYY: '(?<year>\\d{4})',
+  YY: '(?<shortYear>\\d{2})',
+  MM: '(?<month>\\d{2})',
+  M: '(?<month>\\d{1,2})',
+  DD: '(?<day>\\d{2})',
+  D: '(?<day>\\d{1,2})'
+};
+const MAX_COLUMNS = 200;
+const MAX_NAME_LENGTH = 100;
+
+const normalizeHeader = header => header.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const compiledFormats = new Map();
+
+/**
+ * Compile a date format such as DD.MM.YYYY into a regular expression
+ * @returns {RegExp|null} Null unless the format has exactly one year, month and day
+ */
+function compileDateFormat(format) {
+  if (compiledFormats.has(format)) {
+    return compiledFormats.get(format);
+  }
+
+  const parts = format.split(/(YYYY|YY|MM|M|DD|D)/);
+  const tokens = parts.filter(part => DATE_TOKENS[part]).map(part => part[0]).sort().join('');
+  const escape = part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = tokens === 'DMY'
+    ? new RegExp(`^${parts.map(part => DATE_TOKENS[part] || escape(part)).join('')}$`)
+    : null;
+  compiledFormats.set(format, pattern);
+  return pattern;
+}
+
+/**
+ * Parse a date with the first matching format
+ * @param {string} value
+ * @param {string[]} [formats]
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null if no format matches a real date
+ */
+function parseDate(value, formats = DEFAULT_DATE_FORMATS) {
+  const text = value.trim();
+  for (const format of formats) {
+    const match = compileDateFormat(format)?.exec(text);
+    if (!match) {
+      continue;
+    }
+
+    const { year, shortYear, month, day } = match.groups;
+    const fullYear = year ? Number(year) : 2000 + Number(shortYear);
+    const date = new Date(Date.UTC(fullYear, Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)) {
+      return date.toISOString().slice(0, 10);
+    }
+  }
+  return null;
+}
+
+/**
+ * Guess which of `.` and `,` is the decimal point in an amount
+ * @returns {string|null} Null if the amount has no fractional part
+ */
+function guessDecimalSeparator(text) {
+  const last = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+  if (last === -1) {
+    return null;
+  }
+
+  const mark = text[last];
+  if (text.includes(mark === '.' ? ',' : '.')) {
+    return mark;
+  }
+  if (text.indexOf(mark) !== last) {
+    return null;
+  }
+  // "1,234" groups thousands; "0.125" and "12,5" have decimals
+  return text.length - last - 1 === 3 && /^[1-9]\d{0,2}$/.test(text.slice(0, last)) ? null : mark;
+}
+
+/**
+ * Parse an amount such as "1.234,50 €", "$1,234.50" or "(12.00)"
+ * @param {string} value
+ * @param {string} [decimalSeparator] - `.` or `,`; guessed if omitted
+ * @returns {string|null} Plain decimal with a `.` point, or null if not an amount
+ */
+function parseAmount(value, decimalSeparator) {
+  let text = value.trim();
+  const parenthesized = /^\(.*\)$/.test(text);
+  if (parenthesized) {
+    text = text.slice(1, -1);
+  }
+  // Currency symbols and codes, spaces used as thousands separators
+  text = text.replace(/[^\d.,+-]/g, '');
+
+  let negative = parenthesized;
+  if (/^[+-]/.test(text)) {
+    negative = negative || text[0] === '-';
+    text = text.slice(1);
+  } else if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const separator = decimalSeparator || guessDecimalSeparator(text);
+  const grouping = { '.': /,/g, ',': /\./g }[separator] || /[.,]/g;
+  const cleaned = text.replace(grouping, '');
+  const [whole, fraction, extra] = separator ? cleaned.split(separator) : [cleaned];
+  const validFraction = fraction === undefined ? whole !== '' : /^\d+$/.test(fraction);
+  if (extra !== undefined || !/^\d*$/.test(whole) || !validFraction) {
+    return null;
+  }
+
+  const integer = whole.replace(/^0+(?=\d)/, '') || '0';
+  const number = fraction === undefined ? integer : `${integer}.${fraction}`;
+  return negative && /[1-9]/.test(number) ? `-${number}` : number;
+}
+
+/**
+ * Check a template definition and reduce it to the stored fields
+ * @param {object} input - Request body
+ * @returns {{template?: object, errors: string[]}}
+ */
+function normalizeTemplate(input) {
+  const errors = [];
+  const { name, columns, keepUnmapped = false } = input || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof keepUnmapped !== 'boolean') {
+    errors.push('keepUnmapped must be a boolean');
+  }
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+    errors.push(`columns must be an array of 1 to ${MAX_COLUMNS} columns`);
+    return { errors };
+  }
+
+  const seen = new Set();
+  const normalized = columns.map((column, index) => {
+    const label = `columns[${index}]`;
+    if (!column || typeof column !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    const { name: columnName, type = 'text', dateFormats, decimalSeparator } = column;
+    const { from = [columnName] } = column;
+    if (typeof columnName !== 'string' || !columnName.trim()) {
+      errors.push(`${label}.name is required`);
+      return null;
+    }
+    if (seen.has(normalizeHeader(columnName))) {
+      errors.push(`${label}.name "${columnName}" is used more than once`);
+    }
+    seen.add(normalizeHeader(columnName));
+
+    const aliases = Array.isArray(from) ? from : [from];
+    const validAlias = alias => typeof alias === 'string' && alias.trim() !== '';
+    if (aliases.length === 0 || !aliases.every(validAlias)) {
+      errors.push(`${label}.from must be a list of header names`);
+    }
+    if (column.default !== undefined && typeof column.default !== 'string') {
+      errors.push(`${label}.default must be a string`);
+    }
+    if (!COLUMN_TYPES.includes(type)) {
+      errors.push(`${label}.type must be one of: ${COLUMN_TYPES.join(', ')}`);
+    }
+    if (dateFormats !== undefined && (!Array.isArray(dateFormats) || dateFormats.length === 0
+      || !dateFormats.every(format => typeof format === 'string' && compileDateFormat(format)))) {
+      errors.push(`${label}.dateFormats must list formats built from YYYY/YY, MM/M and DD/D`);
+    }
+    if (decimalSeparator !== undefined && !['.', ','].includes(decimalSeparator)) {
+      errors.push(`${label}.decimalSeparator must be "." or ","`);
+    }
+
+    return {
+      name: columnName.trim(),
+      from: aliases,
+      ...(column.default !== undefined && { default: column.default }),
+      type,
+      ...(type === 'date' && { dateFormats: dateFormats || DEFAULT_DATE_FORMATS }),
+      ...(type === 'amount' && decimalSeparator && { decimalSeparator })
+    };
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { template: { name: name.trim(), columns: normalized, keepUnmapped }, errors };
+}
+
+/**
+ * Apply a template to a CSV
+ * @param {Buffer} buffer - UTF-8 CSV, already validated
+ * @param {object} template - Normalized template (see normalizeTemplate)
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Source delimiter, detected if omitted
+ * @returns {{csv: Buffer, report: {unmatchedColumns: string[], unparsedValues: object}}}
+ *   `unmatchedColumns` lists template columns no source header matched;
+ *   `unparsedValues` counts date/amount values kept unchanged, per column
+ */
+function mapCsv(buffer, template, { delimiter } = {}) {
+  const decoded = decodeCsv(buffer);
+  if (!decoded) {
+    throw new Error('CSV is not valid UTF-8');
+  }
+  const records = parseCsv(decoded.text, { delimiter }).rows.filter(row => !isBlankRow(row));
+  const [headers = [], ...rows] = records;
+
+  const claimed = new Set();
+  const sources = template.columns.map((column) => {
+    const aliases = new Set(column.from.map(normalizeHeader));
+    const index = headers.findIndex(header => aliases.has(normalizeHeader(header)));
+    if (index !== -1) {
+      claimed.add(index);
+    }
+    return index;
+  });
+  const unmapped = template.keepUnmapped
+    ? headers.map((header, index) => index).filter(index => !claimed.has(index))
+    : [];
+
+  const unparsedValues = {};
+  const convert = (column, value) => {
+    if (value.trim() === '') {
+      return column.default !== undefined ? column.default : value;
+    }
+    if (column.type === 'text') {
+      return value;
+    }
+
+    const converted = column.type === 'date'
+      ? parseDate(value, column.dateFormats)
+      : parseAmount(value, column.decimalSeparator);
+    if (converted === null) {
+      unparsedValues[column.name] = (unparsedValues[column.name] || 0) + 1;
+      return value;
+    }
+    return converted;
+  };
+
+  const cell = (row, index) => (index === -1 ? '' : row[index] ?? '');
+  const lines = [formatCsvRow([
+    ...template.columns.map(column => column.name),
+    ...unmapped.map(index => headers[index])
+  ])];
+  for (const row of rows) {
+    lines.push(formatCsvRow([
+      ...template.columns.map((column, index) => convert(column, cell(row, sources[index]))),
+      ...unmapped.map(index => cell(row, index))
+    ]));
+  }
+
+  return {
+    csv: Buffer.from(lines.join(''), 'utf8'),
+    report: {
+      unmatchedColumns: template.columns
+        .filter((column, index) => sources[index] === -1)
+        .map(column => column.name),
+      unparsedValues
+    }
+  };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  DEFAULT_DATE_FORMATS,
+  normalizeTemplate,
+  parseDate,
+  parseAmount,
+  mapCsv
+};
@@ -0,0 +1,139 @@
+const { decodeCsv, parseCsv, isBlankRow } = require('./csv');
+
+/**
+ * Validation of CSVs returned by n8n
+ *
+ * A CSV passes if it is valid UTF-8, has a header with no blank names, at
+ * least one data row, the same number of columns on every row, no unclosed
+ * quote, and every column listed in CSV_REQUIRED_COLUMNS (comma-separated,
+ * matched case-insensitively). Blank lines are ignored.
+ */
+
+// Rows listed individually in a COLUMN_COUNT_MISMATCH error
+const MAX_REPORTED_ROWS = 20;
+
+/**
+ * Columns every CSV must have, from CSV_REQUIRED_COLUMNS
+ * @returns {string[]}
+ */
+function getRequiredColumns() {
+  return (process.env.CSV_REQUIRED_COLUMNS || '')
+    .split(',')
+    .map(column => column.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate and profile a CSV
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {string[]} [options.requiredColumns]
+ * @returns {{valid: boolean, errors: Array<{code: string, message: string}>, profile?: object}}
+ *   `profile` (rowCount, columnCount, headers, delimiter, encoding) is set once
+ *   the CSV could be parsed
+ */
+function validateCsv(buffer, { requiredColumns = getRequiredColumns() } = {}) {
+  const errors = [];
+  const report = () => ({ valid: errors.length === 0, errors });
+
+  if (buffer.length === 0) {
+    errors.push({ code: 'EMPTY_FILE', message: 'CSV file is empty' });
+    return report();
+  }
+
+  const decoded = decodeCsv(buffer);
+  if (!decoded) {
+    errors.push({ code: 'INVALID_ENCODING', message: 'CSV is not valid UTF-8' });
+    return report();
+  }
+
+  const parsed = parseCsv(decoded.text);
+  const records = parsed.rows
+    .map((row, index) => ({ row, line: parsed.lines[index] }))
+    .filter(({ row }) => !isBlankRow(row));
+
+  if (records.length === 0) {
+    errors.push({ code: 'EMPTY_FILE', message: 'CSV contains no rows' });
+    return report();
+  }
+
+  const [{ row: headers }, ...dataRows] = records;
+  const columnCount = headers.length;
+
+  const blankHeaders = headers
+    .map((name, index) => (name.trim() === '' ? index + 1 : null))
+    .filter(Boolean);
+  if (blankHeaders.length > 0) {
+    errors.push({
+      code: 'EMPTY_HEADER',
+      message: `Header has ${blankHeaders.length} blank column name(s)`,
+      columns: blankHeaders
+    });
+  }
+
+  if (dataRows.length === 0) {
+    errors.push({ code: 'NO_DATA_ROWS', message: 'CSV has a header but no data rows' });
+  }
+
+  const mismatched = dataRows.filter(({ row }) => row.length !== columnCount);
+  if (mismatched.length > 0) {
+    errors.push({
+      code: 'COLUMN_COUNT_MISMATCH',
+      message: `${mismatched.length} row(s) do not have ${columnCount} columns`,
+      count: mismatched.length,
+      rows: mismatched.slice(0, MAX_REPORTED_ROWS)
+        .map(({ row, line }) => ({ line, columns: row.length }))
+    });
+  }
+
+  if (parsed.unterminatedQuote) {
+    const { line } = records[records.length - 1];
+    errors.push({
+      code: 'UNTERMINATED_QUOTE',
+      message: `Row starting on line ${line} has an unclosed quote - the file may be truncated`
+    });
+  }
+
+  const present = new Set(headers.map(name => name.trim().toLowerCase()));
+  const missing = requiredColumns.filter(column => !present.has(column.toLowerCase()));
+  if (missing.length > 0) {
+    errors.push({
+      code: 'MISSING_REQUIRED_COLUMNS',
+      message: `Missing required column(s): ${missing.join(', ')}`,
+      columns: missing
+    });
+  }
+
+  return {
+    ...report(),
+    profile: {
+      rowCount: dataRows.length,
+      columnCount,
+      headers: headers.map(name => name.trim()),
+      delimiter: parsed.delimiter,
+      encoding: decoded.encoding
+    }
+  };
+}
+
+/**
+ * The part of a profile kept in storage metadata as `csvProfile`
+ * Headers are left out: a wide CSV has too many for object metadata, which
+ * S3 and R2 cap at 2 KB.
+ * @param {object} profile - From validateCsv
+ * @returns {{rowCount: number, columnCount: number, delimiter: string, encoding: string}}
+ */
+function storedProfile(profile) {
+  const {
+    rowCount, columnCount, delimiter, encoding
+  } = profile;
+  return {
+    rowCount, columnCount, delimiter, encoding
+  };
+}
+
+module.exports = {
+  getRequiredColumns,
+  validateCsv,
+  storedProfile
+};
@@ -0,0 +1,163 @@
+const { isValidFileId } = require('./ids');
+
+/**
+ * Filtering, sorting and cursor pagination for stored file listings
+ *
+ * Pages are keyset-based: the cursor holds the sort value and file ID of the
+ * last file on the page, and the next page starts strictly after it. Ties on
+ * the sort value are broken by file ID, so no file is skipped or repeated
+ * while files are added or removed between requests.
+ *
+ * Filter: {
+ *   ownerKeyId?: string,
+ *   ids?: string[],      // any of these file IDs
+ *   jobIds?: string[],   // files of any of these jobs
+ *   filename?: string,   // case-insensitive substring
+ *   jobId?: string,
+ *   from?: Date,         // uploadDate >= from
+ *   to?: Date,           // uploadDate < to
+ *   minSize?: number,    // bytes, inclusive
+ *   maxSize?: number,
+ *   revisionOf?: string, // only the revisions stored for this file ID
+ *   mappedFileId?: string, // only the raw copies kept for this mapped CSV
+ *   hideRevisions?: boolean,
+ *   contentHash?: string, // CSVs converted from this upload (see utils/contentHash)
+ *   optionsHash?: string
+ * }
+ * Sort: { field: 'uploadDate' | 'filename' | 'size', order: 'asc' | 'desc' }
+ */
+
+const SORT_FIELDS = ['uploadDate', 'filename', 'size'];
+
+/**
+ * Encode the position after a file as an opaque cursor
+ * @param {object} file - FileInfo
+ * @param {{field: string, order: string}} sort
+ * @returns {string}
+ */
+function encodeCursor(file, sort) {
+  const value = sort.field === 'uploadDate'
+    ? new Date(file.uploadDate).toISOString()
+    : file[sort.field];
+  const payload = { s: sort.field, o: sort.order, v: value, id: file.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort
+ * @param {string} cursor
+ * @param {{field: string, order: string}} sort
+ * @returns {{value: *, id: string}|null} Null if malformed or made for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const sameSort = payload && payload.s === sort.field && payload.o === sort.order;
+  if (!sameSort || !isValidFileId(payload.id)) {
+    return null;
+  }
+
+  const expected = { uploadDate: 'string', filename: 'string', size: 'number' }[sort.field];
+  if (typeof payload.v !== expected) {
+    return null;
+  }
+  if (sort.field === 'uploadDate') {
+    const date = new Date(payload.v);
+    return Number.isNaN(date.getTime()) ? null : { value: date, id: payload.id };
+  }
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Whether a file passes a listing filter
+ * @param {object} file - FileInfo
+ * @param {object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(file, filter) {
+  const uploadDate = new Date(file.uploadDate);
+  const metadata = file.metadata || {};
+  return (filter.ownerKeyId === undefined || file.ownerKeyId === filter.ownerKeyId)
+    && (!filter.ids || filter.ids.includes(file.id))
+    && (!filter.jobIds || filter.jobIds.includes(file.jobId))
+    && (!filter.filename || file.filename.toLowerCase().includes(filter.filename.toLowerCase()))
+    && (filter.jobId === undefined || file.jobId === filter.jobId)
+    && (!filter.from || uploadDate >= filter.from)
+    && (!filter.to || uploadDate < filter.to)
+    && (filter.minSize === undefined || file.size >= filter.minSize)
+    && (filter.maxSize === undefined || file.size <= filter.maxSize)
+    && (filter.revisionOf === undefined || metadata.revisionOf === filter.revisionOf)
+    && (filter.mappedFileId === undefined || metadata.mappedFileId === filter.mappedFileId)
+    && (!filter.hideRevisions || metadata.variant !== 'revision')
+    && (filter.contentHash === undefined || metadata.contentHash === filter.contentHash)
+    && (filter.optionsHash === undefined || metadata.optionsHash === filter.optionsHash);
+}
+
+function sortValue(file, field) {
+  return field === 'uploadDate' ? new Date(file.uploadDate).getTime() : file[field];
+}
+
+/**
+ * Compare two positions in sort order, ties broken by file ID
+ */
+function comparePositions(a, b, sort) {
+  let result = 0;
+  if (a.value < b.value) {
+    result = -1;
+  } else if (a.value > b.value) {
+    result = 1;
+  } else if (a.id !== b.id) {
+    result = a.id < b.id ? -1 : 1;
+  }
+  return sort.order === 'desc' ? -result : result;
+}
+
+/**
+ * Filter, sort and page a complete file list in memory
+ * Used by drivers that cannot query their listing natively.
+ * @param {Array} files - FileInfo list
+ * @param {object} options
+ * @param {object} [options.filter]
+ * @param {{field: string, order: string}} options.sort
+ * @param {number} options.limit
+ * @param {{value: *, id: string}} [options.after] - Decoded cursor
+ * @returns {{files: Array, nextCursor: string|null, totalFiles: number, totalSize: number}}
+ */
+function queryFileList(files, { filter = {}, sort, limit, after }) {
+  const position = file => ({
+    value: sortValue(file, sort.field),
+    id: file.id
+  });
+  const afterPosition = after && {
+    value: sort.field === 'uploadDate' ? after.value.getTime() : after.value,
+    id: after.id
+  };
+
+  const matching = files
+    .filter(file => matchesFilter(file, filter))
+    .sort((a, b) => comparePositions(position(a), position(b), sort));
+  const remaining = afterPosition
+    ? matching.filter(file => comparePositions(position(file), afterPosition, sort) > 0)
+    : matching;
+  const page = remaining.slice(0, limit);
+
+  return {
+    files: page,
+    nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1], sort) : null,
+    totalFiles: matching.length,
+    totalSize: matching.reduce((sum, file) => sum + file.size, 0)
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  matchesFilter,
+  queryFileList
+};
@@ -0,0 +1,26 @@
+const path = require('path');
+
+/**
+ * Make a filename unique within a set, e.g. for entries of a ZIP archive
+ * Duplicates get a numeric suffix before the extension: invoice.csv, invoice (2).csv, ...
+ * @param {string} filename - Desired filename
+ * @param {Set<string>} usedNames - Names already taken; the returned name is added to it
+ * @returns {string} A name not yet in usedNames
+ */
+function uniqueFilename(filename, usedNames) {
+  const safeName = path.basename(filename || 'file') || 'file';
+  const extension = path.extname(safeName);
+  const stem = safeName.slice(0, safeName.length - extension.length);
+
+  let candidate = safeName;
+  for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+    candidate = `${stem} (${counter})${extension}`;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+module.exports = {
+  uniqueFilename
+};
@@ -8,6 +8,74 @@ function generateJobId() {
   return nanoid(12); // 12 characters for brevity while maintaining uniqueness
 }
 
+/**
+ * Generate a unique batch ID
+ * @returns {string} A URL-safe unique identifier
+ */
+function generateBatchId() {
+  return nanoid(12);
+}
+
+/**
+ * Validate batch ID format
+ * @param {string} batchId - The batch ID to validate
+ * @returns {boolean} True if valid
+ */
+function isValidBatchId(batchId) {
+  return typeof batchId === 'string' && /^[A-Za-z0-9_-]{12}$/.test(batchId);
+}
+
+/**
+ * Generate a unique file ID for storage backends without native IDs
+ * @returns {string} A URL-safe unique identifier
+ */
+function generateFileId() {
+  return nanoid(24);
+}
+
+/**
+ * Validate file ID format (GridFS ObjectId hex or generated file ID)
+ * @param {string} fileId - The file ID to validate
+ * @returns {boolean} True if valid
+ */
+function isValidFileId(fileId) {
+  return typeof fileId === 'string' && /^[A-Za-z0-9_-]{24}$/.test(fileId);
+}
+
+/**
+ * Generate a unique webhook delivery ID
+ * @returns {string} A URL-safe unique identifier
+ */
+function generateDeliveryId() {
+  return nanoid(16);
+}
+
+/**
+ * Validate webhook delivery ID format
+ * @param {string} deliveryId - The delivery ID to validate
+ * @returns {boolean} True if valid
+ */
+function isValidDeliveryId(deliveryId) {
+  return typeof deliveryId === 'string' && /^[A-Za-z0-9_-]{16}$/.test(deliveryId);
+}
+
+/**
+ * Generate a unique column-mapping template ID
+ * @returns {string} A URL-safe unique identifier
+ */
+function generateTemplateId() {
+  return nanoid(12);
+}
+
+/**
+ * Validate template ID format
+ * @param {string} templateId - The template ID to validate
+ * @returns {boolean} True if valid
+ */
+function isValidTemplateId(templateId) {
+  return typeof templateId === 'string' && /^[A-Za-z0-9_-]{12}$/.test(templateId);
+}
+
 /**
  * Validate job ID format
  * @param {string} jobId - The job ID to validate
@@ -19,5 +87,13 @@ function isValidJobId(jobId) {
 
 module.exports = {
   generateJobId,
-  isValidJobId
+  generateBatchId,
+  generateFileId,
+  generateDeliveryId,
+  generateTemplateId,
+  isValidJobId,
+  isValidBatchId,
+  isValidFileId,
+  isValidDeliveryId,
+  isValidTemplateId
 };
@@ -0,0 +1,57 @@
+/**
+ * Processing deadlines for jobs handed to n8n
+ *
+ * PROCESSING_TIMEOUT_SECONDS sets the global deadline. PROCESSING_TIMEOUT_OVERRIDES
+ * sets per-workflow deadlines as `workflowId:seconds,...`, applied once n8n
+ * reports which workflow is handling the job.
+ */
+
+const DEFAULT_TIMEOUT_SECONDS = 15 * 60;
+
+/**
+ * Parse PROCESSING_TIMEOUT_OVERRIDES
+ * @returns {Map<string, number>} workflowId to seconds
+ */
+function getTimeoutOverrides() {
+  const overrides = new Map();
+  (process.env.PROCESSING_TIMEOUT_OVERRIDES || '').split(',').forEach((entry) => {
+    const separator = entry.lastIndexOf(':');
+    const workflowId = entry.slice(0, separator).trim();
+    const seconds = parseInt(entry.slice(separator + 1), 10);
+    if (separator > 0 && workflowId && seconds > 0) {
+      overrides.set(workflowId, seconds);
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Processing timeout for a workflow, falling back to the global timeout
+ * @param {string} [workflowId]
+ * @returns {number} Seconds
+ */
+function getProcessingTimeoutSeconds(workflowId) {
+  if (workflowId) {
+    const override = getTimeoutOverrides().get(String(workflowId));
+    if (override) {
+      return override;
+    }
+  }
+  const seconds = parseInt(process.env.PROCESSING_TIMEOUT_SECONDS, 10);
+  return seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS;
+}
+
+/**
+ * Deadline for a processing attempt
+ * @param {Date} startedAt - When the attempt was handed to n8n
+ * @param {string} [workflowId]
+ * @returns {Date}
+ */
+function computeDeadline(startedAt, workflowId) {
+  return new Date(new Date(startedAt).getTime() + getProcessingTimeoutSeconds(workflowId) * 1000);
+}
+
+module.exports = {
+  getProcessingTimeoutSeconds,
+  computeDeadline
+};
@@ -0,0 +1,65 @@
+/**
+ * Retention of stored CSVs
+ *
+ * CSV_RETENTION_DAYS sets how long files are kept after upload; unset keeps
+ * them forever. A file can override this with its own `metadata.expiresAt`
+ * (a date, or null to keep it forever), and `metadata.legalHold` exempts it
+ * from expiry and deletion altogether.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Global retention period
+ * @returns {number|null} Days, or null if files are kept forever
+ */
+function getRetentionDays() {
+  const days = parseInt(process.env.CSV_RETENTION_DAYS, 10);
+  return days > 0 ? days : null;
+}
+
+/**
+ * When a file expires
+ * @param {object} file - FileInfo
+ * @returns {Date|null} Null if the file does not expire
+ */
+function getExpiry(file) {
+  const metadata = file.metadata || {};
+  if (metadata.legalHold) {
+    return null;
+  }
+  if (metadata.expiresAt !== undefined) {
+    return metadata.expiresAt === null ? null : new Date(metadata.expiresAt);
+  }
+
+  const days = getRetentionDays();
+  return days ? expiryAfter(file.uploadDate, days) : null;
+}
+
+/**
+ * Whether a file is past its expiry
+ * @param {object} file - FileInfo
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isExpired(file, now = new Date()) {
+  const expiresAt = getExpiry(file);
+  return Boolean(expiresAt && expiresAt <= now);
+}
+
+/**
+ * Expiry date for a per-file retention period
+ * @param {Date|string} uploadDate
+ * @param {number} days
+ * @returns {Date}
+ */
+function expiryAfter(uploadDate, days) {
+  return new Date(new Date(uploadDate).getTime() + days * DAY_MS);
+}
+
+module.exports = {
+  getRetentionDays,
+  getExpiry,
+  isExpired,
+  expiryAfter
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+
+/**
+ * HMAC-signed, expiring download links
+ *
+ * Keys come from DOWNLOAD_URL_KEYS as a comma-separated list of `keyId:secret`
+ * pairs. The first key signs new links; every listed key is accepted when
+ * verifying, so a key can be rotated by prepending the new one and removing the
+ * old one once its links have expired.
+ */
+
+const DEFAULT_EXPIRES_SECONDS = 3600;
+
+let ephemeralKey = null;
+
+/**
+ * Parse configured signing keys
+ * @returns {Array<{id: string, secret: string}>} Keys, current signing key first
+ */
+function getSigningKeys() {
+  const keys = (process.env.DOWNLOAD_URL_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { id: entry.slice(0, separator), secret: entry.slice(separator + 1) }
+        : { id: 'default', secret: entry };
+    })
+    .filter(key => key.secret);
+
+  if (keys.length > 0) {
+    return keys;
+  }
+
+  if (!ephemeralKey) {
+    console.warn('⚠️  DOWNLOAD_URL_KEYS not configured - using a per-process key, links will not survive restarts');
+    ephemeralKey = { id: 'ephemeral', secret: crypto.randomBytes(32).toString('hex') };
+  }
+  return [ephemeralKey];
+}
+
+/**
+ * Lifetime of newly signed links
+ * @returns {number} Seconds
+ */
+function getDownloadUrlTtl() {
+  const ttl = parseInt(process.env.DOWNLOAD_URL_EXPIRES_SECONDS, 10);
+  return ttl > 0 ? ttl : DEFAULT_EXPIRES_SECONDS;
+}
+
+function computeSignature(secret, fileId, expires) {
+  return crypto.createHmac('sha256', secret).update(`${fileId}:${expires}`).digest('base64url');
+}
+
+/**
+ * Build a signed, relative download path for a file
+ * @param {string} fileId - File ID
+ * @param {object} [options]
+ * @param {number} [options.expiresInSeconds] - Link lifetime, defaults to DOWNLOAD_URL_EXPIRES_SECONDS
+ * @returns {string} e.g. /api/files/download/<fileId>?expires=...&kid=...&sig=...
+ */
+function signDownloadPath(fileId, { expiresInSeconds = getDownloadUrlTtl() } = {}) {
+  const [key] = getSigningKeys();
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const sig = computeSignature(key.secret, fileId, expires);
+  const query = new URLSearchParams({ expires: String(expires), kid: key.id, sig });
+  return `/api/files/download/${encodeURIComponent(fileId)}?${query}`;
+}
+
+/**
+ * Verify the signature and expiry of a download request
+ * @param {string} fileId - File ID from the route
+ * @param {object} query - Request query string values
+ * @returns {{valid: boolean, reason?: string}} reason is one of
+ *   MISSING_SIGNATURE, LINK_EXPIRED, UNKNOWN_KEY, INVALID_SIGNATURE
+ */
+function verifyDownloadSignature(fileId, { expires, kid, sig } = {}) {
+  if (!expires || !sig || typeof sig !== 'string') {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'LINK_EXPIRED' };
+  }
+
+  const key = getSigningKeys().find(candidate => candidate.id === (kid || 'default'));
+  if (!key) {
+    return { valid: false, reason: 'UNKNOWN_KEY' };
+  }
+
+  const expected = Buffer.from(computeSignature(key.secret, fileId, expiresAt));
+  const received = Buffer.from(sig);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  getSigningKeys,
+  getDownloadUrlTtl,
+  signDownloadPath,
+  verifyDownloadSignature
+};
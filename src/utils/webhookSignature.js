@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { URL } = require('url');
+
+/**
+ * Signatures for outbound completion webhooks
+ *
+ * Each delivery is a JSON POST with:
+ *   x-webhook-id         - delivery ID, identical across retries and replays
+ *   x-webhook-event      - job.completed, job.failed or job.cancelled
+ *   x-webhook-timestamp  - unix time in seconds
+ *   x-webhook-signature  - `sha256=` + hex HMAC-SHA256 of `${timestamp}.${rawBody}`
+ *                          keyed with the job's notify secret
+ *
+ * Receivers should recompute the HMAC over the raw body, compare in constant
+ * time and reject stale timestamps.
+ */
+
+const MAX_NOTIFY_URL_LENGTH = 2048;
+
+// Addresses webhooks must not reach: unspecified, loopback, private, carrier-grade
+// NAT, link-local (which includes cloud metadata at 169.254.169.254), multicast
+// and reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Generate a notify secret for clients that did not supply one
+ * @returns {string}
+ */
+function generateNotifySecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Compute the webhook signature header value
+ * @param {string} body - Raw JSON body
+ * @param {string|number} timestamp - Unix time in seconds
+ * @param {string} secret
+ * @returns {string} `sha256=<hex>`
+ */
+function signWebhookPayload(body, timestamp, secret) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Whether notify URLs may point at this machine or private networks
+ * Only outside production, so webhooks can be tried against local receivers.
+ * @returns {boolean}
+ */
+function allowsPrivateNotifyUrls() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address
+ * @returns {boolean} False for anything that is not an IP address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that refuses hostnames resolving to a private address
+ * Used as the connection lookup for webhook deliveries, so a public hostname
+ * can't be pointed at an internal address after it was registered.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to private address ${blocked.address}`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check a client-supplied notify URL
+ * In production HTTPS is required and the host may not be localhost or a
+ * private, loopback or link-local IP address; elsewhere both are allowed for
+ * local testing. Hostnames are checked again when they are resolved for
+ * delivery (see lookupPublicAddress).
+ * @param {string} notifyUrl
+ * @returns {boolean} True if valid
+ */
+function isValidNotifyUrl(notifyUrl) {
+  if (typeof notifyUrl !== 'string' || notifyUrl.length > MAX_NOTIFY_URL_LENGTH) {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(notifyUrl);
+  } catch (error) {
+    return false;
+  }
+
+  const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowedProtocols.includes(url.protocol) || url.username || url.password) {
+    return false;
+  }
+
+  if (allowsPrivateNotifyUrls()) {
+    return true;
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host);
+}
+
+module.exports = {
+  generateNotifySecret,
+  signWebhookPayload,
+  allowsPrivateNotifyUrls,
+  isPrivateAddress,
+  lookupPublicAddress,
+  isValidNotifyUrl
+};
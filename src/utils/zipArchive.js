@@ -0,0 +1,76 @@
+/**
+ * Helpers for ZIP archives streamed to the client with archiver
+ */
+
+/**
+ * Resolve once archiver has written the entry appended last
+ * Rejects if the archive fails or the client goes away first.
+ */
+function entryWritten(archive, res) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      res.off('close', onClose);
+    };
+    const onEntry = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Client closed the connection'));
+    };
+
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * Add entries to a streamed archive one at a time
+ * Each entry is opened only once the previous one has been written, so a
+ * response holds at most one storage stream open however many files the
+ * archive has.
+ * @param {object} archive - archiver instance piped to `res`
+ * @param {object} res - Express response
+ * @param {Array} items
+ * @param {(item: *) => Promise<{stream: NodeJS.ReadableStream, name: string}|null>} open -
+ *   Opens an item's entry, or returns null to leave it out
+ * @returns {Promise<boolean>} False if the archive failed or the client went away,
+ *   in which case it must not be finalized
+ */
+async function appendEntries(archive, res, items, open) {
+  for (const item of items) {
+    if (res.destroyed) {
+      return false;
+    }
+    const entry = await open(item);
+    if (!entry) {
+      continue;
+    }
+    if (res.destroyed) {
+      entry.stream.destroy();
+      return false;
+    }
+
+    const written = entryWritten(archive, res);
+    archive.append(entry.stream, { name: entry.name });
+    try {
+      await written;
+    } catch (error) {
+      entry.stream.destroy();
+      return false;
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  appendEntries
+};
@@ -0,0 +1,85 @@
+const apiKeyStore = require('../src/services/apiKeyStore');
+
+// Mock MongoDB client to avoid requiring actual database in tests
+jest.mock('../src/services/mongoClient', () => ({
+  connect: jest.fn(),
+  db: null
+}));
+
+describe('ApiKeyStore', () => {
+  let docs;
+
+  beforeEach(() => {
+    docs = new Map();
+    delete process.env.ADMIN_API_KEY;
+    apiKeyStore.collection = {
+      insertOne: jest.fn(async (doc) => {
+        docs.set(doc._id, { ...doc });
+      }),
+      findOne: jest.fn(async ({ _id }) => {
+        const doc = docs.get(_id);
+        return doc && !doc.revokedAt ? { ...doc } : null;
+      }),
+      updateOne: jest.fn(async ({ _id }, update) => {
+        const doc = docs.get(_id);
+        if (!doc || doc.revokedAt) {
+          return { modifiedCount: 0 };
+        }
+        Object.assign(doc, update.$set);
+        return { modifiedCount: 1 };
+      })
+    };
+  });
+
+  describe('createKey', () => {
+    it('should return the plaintext key once and store only its hash', async () => {
+      const key = await apiKeyStore.createKey({ name: 'erp' });
+      const stored = docs.get(key.keyId);
+
+      expect(key.apiKey).toMatch(/^p2c_[A-Za-z0-9_-]{12}_[A-Za-z0-9_-]{32}$/);
+      expect(stored.keyHash).toMatch(/^[a-f0-9]{64}$/);
+      expect(JSON.stringify(stored)).not.toContain(key.apiKey);
+      expect(stored.role).toBe('client');
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve a valid key to its client', async () => {
+      const key = await apiKeyStore.createKey({ name: 'erp' });
+
+      const client = await apiKeyStore.authenticate(key.apiKey);
+
+      expect(client).toEqual({ keyId: key.keyId, name: 'erp', isAdmin: false });
+    });
+
+    it('should flag admin keys', async () => {
+      const key = await apiKeyStore.createKey({ name: 'ops', role: 'admin' });
+      expect((await apiKeyStore.authenticate(key.apiKey)).isAdmin).toBe(true);
+    });
+
+    it('should reject unknown, malformed and tampered keys', async () => {
+      const key = await apiKeyStore.createKey({ name: 'erp' });
+      const tampered = key.apiKey.slice(0, -1) + (key.apiKey.endsWith('A') ? 'B' : 'A');
+
+      expect(await apiKeyStore.authenticate(undefined)).toBeNull();
+      expect(await apiKeyStore.authenticate('not-a-key')).toBeNull();
+      expect(await apiKeyStore.authenticate(tampered)).toBeNull();
+    });
+
+    it('should reject revoked keys', async () => {
+      const key = await apiKeyStore.createKey({ name: 'erp' });
+
+      expect(await apiKeyStore.revokeKey(key.keyId)).toBe(true);
+      expect(await apiKeyStore.authenticate(key.apiKey)).toBeNull();
+      expect(await apiKeyStore.revokeKey(key.keyId)).toBe(false);
+    });
+
+    it('should accept ADMIN_API_KEY as a bootstrap admin key', async () => {
+      process.env.ADMIN_API_KEY = 'bootstrap-admin-secret';
+
+      const client = await apiKeyStore.authenticate('bootstrap-admin-secret');
+
+      expect(client).toEqual({ keyId: 'admin', name: 'bootstrap-admin', isAdmin: true });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const nonceStore = require('../src/services/nonceStore');
+const { authenticateCallback, verifyCallbackContent } = require('../src/middleware/callbackAuth');
+const { computeCallbackSignature, sha256Hex } = require('../src/utils/callbackSignature');
+
+jest.mock('../src/services/nonceStore', () => ({
+  remember: jest.fn()
+}));
+
+describe('callbackAuth', () => {
+  const secret = 'test-callback-secret';
+  const body = Buffer.from('{"status":"processing"}');
+
+  const signedRequest = () => {
+    const params = {
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      nonce: 'nonce-123',
+      jobId: 'abcdefghijkl',
+      contentSha256: sha256Hex(body)
+    };
+    return {
+      headers: {
+        'x-job-id': params.jobId,
+        'x-callback-timestamp': params.timestamp,
+        'x-callback-nonce': params.nonce,
+        'x-content-sha256': params.contentSha256,
+        'x-callback-signature': computeCallbackSignature(params, secret)
+      },
+      rawBody: body
+    };
+  };
+
+  // asyncHandler passes errors to next
+  const run = (middleware, req) => new Promise((resolve) => {
+    middleware(req, {}, resolve);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.CALLBACK_SECRET = secret;
+    delete process.env.CALLBACK_AUTH_MODE;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use up the nonce from the headers and then check the body', async () => {
+    nonceStore.remember.mockResolvedValue(true);
+    const req = signedRequest();
+
+    expect(await run(authenticateCallback, req)).toBeUndefined();
+    expect(nonceStore.remember).toHaveBeenCalledWith('nonce-123', expect.any(Number));
+    expect(await run(verifyCallbackContent, req)).toBeUndefined();
+  });
+
+  it('should refuse a replayed request before its body is read', async () => {
+    nonceStore.remember.mockResolvedValue(false);
+
+    const error = await run(authenticateCallback, signedRequest());
+
+    expect(error.code).toBe('REPLAYED_CALLBACK');
+  });
+
+  it('should refuse a body that does not match the signed digest', async () => {
+    nonceStore.remember.mockResolvedValue(true);
+    const req = signedRequest();
+    await run(authenticateCallback, req);
+    req.rawBody = Buffer.from('{"status":"done"}');
+
+    expect((await run(verifyCallbackContent, req)).code).toBe('INVALID_SIGNATURE');
+  });
+});
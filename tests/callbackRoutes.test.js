@@ -0,0 +1,180 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const FormData = require('form-data');
+const jobStore = require('../src/services/jobStore');
+const storage = require('../src/services/storage');
+const quotaService = require('../src/services/quotaService');
+const { normalizeTemplate } = require('../src/utils/csvMapping');
+const callbackRouter = require('../src/routes/callback');
+const { errorHandler } = require('../src/middleware/errors');
+
+jest.mock('../src/services/jobStore', () => ({
+  getJob: jest.fn(),
+  failJob: jest.fn(),
+  completeJob: jest.fn()
+}));
+jest.mock('../src/services/storage', () => ({
+  name: 'memory',
+  store: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../src/services/sourceStore', () => ({
+  archive: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/services/quotaService', () => ({
+  check: jest.fn()
+}));
+jest.mock('../src/services/n8nClient', () => ({}));
+// Signatures are covered by callbackAuth.test.js
+jest.mock('../src/middleware/callbackAuth', () => ({
+  authenticateCallback: (req, res, next) => next(),
+  verifyCallbackContent: (req, res, next) => next()
+}));
+
+const TMP_DIR = path.join(__dirname, '../tmp');
+const jobId = 'mappedjob001';
+const { template } = normalizeTemplate({
+  name: 'erp',
+  columns: [
+    { name: 'invoice_number', from: ['Invoice No'] },
+    { name: 'total', from: ['Amount'], type: 'amount' }
+  ]
+});
+const processingJob = {
+  status: 'processing',
+  attempt: 1,
+  filenamePdf: 'invoice.pdf',
+  ownerKeyId: 'client-key-1',
+  mappingTemplate: { templateId: 'tpl_1', ...template }
+};
+
+let server;
+let baseUrl;
+let tmpBefore;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/n8n', callbackRouter);
+  app.use(errorHandler);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/n8n`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  process.env.BASE_URL = 'http://localhost:8080';
+  delete process.env.CSV_REQUIRED_COLUMNS;
+  tmpBefore = fs.readdirSync(TMP_DIR);
+
+  jobStore.getJob.mockResolvedValue(processingJob);
+  jobStore.completeJob.mockImplementation(async () => ({ ...processingJob, status: 'done' }));
+  quotaService.check.mockResolvedValue({ keyFound: true, exceeded: false });
+  let stored = 0;
+  storage.store.mockImplementation(async () => `${++stored}`.padStart(24, 'a'));
+  storage.delete.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function postCsv(csv) {
+  const form = new FormData();
+  form.append('csv', Buffer.from(csv), { filename: 'invoice.csv', contentType: 'text/csv' });
+
+  return new Promise((resolve, reject) => {
+    const headers = { 'x-job-id': jobId, ...form.getHeaders() };
+    const req = http.request(`${baseUrl}/callback`, { method: 'POST', headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        body: JSON.parse(Buffer.concat(chunks))
+      }));
+    }).on('error', reject);
+    form.pipe(req);
+  });
+}
+
+// The route removes its temp CSV without waiting, so give it a moment
+const tmpLeftovers = () => new Promise(resolve => setTimeout(() => {
+  resolve(fs.readdirSync(TMP_DIR).filter(name => !tmpBefore.includes(name)));
+}, 10));
+
+describe('POST /api/n8n/callback with a mapping template', () => {
+  const rawCsv = 'Invoice No,Amount,Note\nA-1,"1.234,50",paid\n';
+
+  it('stores the mapped CSV and the raw CSV next to it', async () => {
+    const { status, body } = await postCsv(rawCsv);
+
+    expect(status).toBe(200);
+    expect(quotaService.check).toHaveBeenCalledWith('client-key-1', {
+      files: 2,
+      bytes: expect.any(Number)
+    });
+
+    const [mappedCall, rawCall] = storage.store.mock.calls;
+    const [, mappedCsv, filename, mappedMetadata] = mappedCall;
+    const [, raw, rawFilename, rawMetadata] = rawCall;
+    expect(mappedCsv.toString()).toBe('invoice_number,total\r\nA-1,1234.50\r\n');
+    expect(filename).toBe('invoice.csv');
+    expect(mappedMetadata).toMatchObject({
+      template: { templateId: 'tpl_1', name: 'erp' },
+      csvProfile: { rowCount: 1, columnCount: 2 }
+    });
+    expect(raw.toString()).toBe(rawCsv);
+    expect(rawFilename).toBe('invoice.raw.csv');
+    expect(rawMetadata).toMatchObject({ variant: 'raw', mappedFileId: body.fileId });
+
+    expect(jobStore.completeJob).toHaveBeenCalledWith(jobId, body.fileId, body.downloadUrl, {
+      rawFileId: expect.any(String),
+      mapping: { unmatchedColumns: [], unparsedValues: {} }
+    });
+    expect(await tmpLeftovers()).toEqual([]);
+  });
+
+  it('fails the job when the mapped CSV misses a required column', async () => {
+    process.env.CSV_REQUIRED_COLUMNS = 'currency';
+
+    const { status, body } = await postCsv(rawCsv);
+
+    expect(status).toBe(422);
+    expect(body.validation.errors).toEqual([
+      expect.objectContaining({ code: 'MISSING_REQUIRED_COLUMNS', columns: ['currency'] })
+    ]);
+    expect(jobStore.failJob).toHaveBeenCalledWith(
+      jobId,
+      expect.stringContaining('currency'),
+      'CSV_VALIDATION_FAILED',
+      expect.any(Object)
+    );
+    expect(storage.store).not.toHaveBeenCalled();
+    expect(await tmpLeftovers()).toEqual([]);
+  });
+
+  it('removes both stored CSVs when the job finished in the meantime', async () => {
+    jobStore.completeJob.mockResolvedValue(null);
+    jobStore.getJob
+      .mockResolvedValueOnce(processingJob)
+      .mockResolvedValueOnce({ ...processingJob, status: 'cancelled' });
+
+    const { status, body } = await postCsv(rawCsv);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ ignored: true, status: 'cancelled' });
+    const storedIds = await Promise.all(storage.store.mock.results.map(result => result.value));
+    expect(storedIds).toHaveLength(2);
+    expect(storage.delete.mock.calls.map(([id]) => id)).toEqual(storedIds);
+    expect(await tmpLeftovers()).toEqual([]);
+  });
+});
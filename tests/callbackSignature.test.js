@@ -0,0 +1,94 @@
+const {
+  computeCallbackSignature,
+  verifyCallbackHeaders,
+  sha256Hex
+} = require('../src/utils/callbackSignature');
+
+describe('Callback signatures', () => {
+  const secret = 'test-callback-secret';
+  const jobId = 'abcdefghijkl';
+  const body = Buffer.from('name,amount\nACME,10');
+
+  const signedHeaders = (overrides = {}) => {
+    const params = {
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      nonce: 'nonce-123',
+      jobId,
+      contentSha256: sha256Hex(body),
+      ...overrides
+    };
+    return {
+      'x-job-id': params.jobId,
+      'x-callback-timestamp': params.timestamp,
+      'x-callback-nonce': params.nonce,
+      'x-content-sha256': params.contentSha256,
+      'x-callback-signature': computeCallbackSignature(params, secret)
+    };
+  };
+
+  beforeEach(() => {
+    process.env.CALLBACK_SECRET = secret;
+    delete process.env.CALLBACK_AUTH_MODE;
+    delete process.env.CALLBACK_WINDOW_SECONDS;
+  });
+
+  it('should accept correctly signed headers', () => {
+    const result = verifyCallbackHeaders(signedHeaders());
+
+    expect(result.valid).toBe(true);
+    expect(result.nonce).toBe('nonce-123');
+    expect(result.contentSha256).toBe(sha256Hex(body));
+  });
+
+  it('should reject a signature bound to another job', () => {
+    const headers = { ...signedHeaders(), 'x-job-id': 'otherjob1234' };
+    expect(verifyCallbackHeaders(headers).reason).toBe('INVALID_SIGNATURE');
+  });
+
+  it('should accept a signed attempt', () => {
+    const headers = { ...signedHeaders({ attempt: '2' }), 'x-job-attempt': '2' };
+    expect(verifyCallbackHeaders(headers).valid).toBe(true);
+  });
+
+  it('should reject a changed or stripped attempt', () => {
+    const headers = { ...signedHeaders({ attempt: '2' }), 'x-job-attempt': '3' };
+    expect(verifyCallbackHeaders(headers).reason).toBe('INVALID_SIGNATURE');
+
+    const stripped = signedHeaders({ attempt: '2' });
+    expect(verifyCallbackHeaders(stripped).reason).toBe('INVALID_SIGNATURE');
+  });
+
+  it('should reject a signature over different content', () => {
+    const headers = { ...signedHeaders(), 'x-content-sha256': sha256Hex('tampered') };
+    expect(verifyCallbackHeaders(headers).reason).toBe('INVALID_SIGNATURE');
+  });
+
+  it('should reject timestamps outside the configured window', () => {
+    process.env.CALLBACK_WINDOW_SECONDS = '60';
+    const stale = String(Math.floor(Date.now() / 1000) - 61);
+
+    expect(verifyCallbackHeaders(signedHeaders({ timestamp: stale })).reason).toBe('STALE_TIMESTAMP');
+  });
+
+  it('should fail closed when CALLBACK_SECRET is not configured', () => {
+    const headers = signedHeaders();
+    delete process.env.CALLBACK_SECRET;
+
+    expect(verifyCallbackHeaders(headers).reason).toBe('NOT_CONFIGURED');
+  });
+
+  describe('legacy x-callback-secret header', () => {
+    it('should be rejected in strict mode', () => {
+      const result = verifyCallbackHeaders({ 'x-callback-secret': secret, 'x-job-id': jobId });
+      expect(result.reason).toBe('MISSING_SIGNATURE');
+    });
+
+    it('should be accepted only in compat mode', () => {
+      process.env.CALLBACK_AUTH_MODE = 'compat';
+
+      expect(verifyCallbackHeaders({ 'x-callback-secret': secret }))
+        .toEqual({ valid: true, legacy: true });
+      expect(verifyCallbackHeaders({ 'x-callback-secret': 'wrong' }).valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, hashJobOptions } = require('../src/utils/contentHash');
+const { matchesFilter } = require('../src/utils/fileQuery');
+
+describe('contentHash', () => {
+  it('should hash file contents with SHA-256', async () => {
+    const filePath = path.join(os.tmpdir(), `pdf2csv-hash-${Date.now()}.pdf`);
+    fs.writeFileSync(filePath, 'hello');
+    try {
+      expect(await hashFile(filePath))
+        .toBe('2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should only distinguish options that change the CSV', () => {
+    const columns = [{ name: 'amount', from: ['Total'], type: 'amount' }];
+    const template = { templateId: 't1', name: 'invoices', columns, keepUnmapped: false };
+    const renamed = { ...template, templateId: 't2', name: 'renamed' };
+
+    expect(hashJobOptions({})).toBe(hashJobOptions({ mappingTemplate: undefined }));
+    expect(hashJobOptions({ mappingTemplate: template }))
+      .toBe(hashJobOptions({ mappingTemplate: renamed }));
+    expect(hashJobOptions({ mappingTemplate: template })).not.toBe(hashJobOptions({}));
+    expect(hashJobOptions({ mappingTemplate: { ...template, keepUnmapped: true } }))
+      .not.toBe(hashJobOptions({ mappingTemplate: template }));
+  });
+
+  it('should find stored CSVs by upload and options hash', () => {
+    const file = {
+      id: 'a',
+      filename: 'a.csv',
+      size: 1,
+      uploadDate: new Date(),
+      metadata: { contentHash: 'c1', optionsHash: 'o1' }
+    };
+
+    expect(matchesFilter(file, { contentHash: 'c1', optionsHash: 'o1' })).toBe(true);
+    expect(matchesFilter(file, { contentHash: 'c1', optionsHash: 'o2' })).toBe(false);
+    expect(matchesFilter({ ...file, metadata: {} }, { contentHash: 'c1' })).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+const { Readable } = require('stream');
+const { readCsvPage } = require('../src/utils/csv');
+
+describe('readCsvPage', () => {
+  const text = 'Invoice,Total\r\nA-1,10\r\n\r\nA-2,"1,5"\r\nA-3,7\r\nA-4,9\r\n';
+  // Split mid-record and inside a quoted field
+  const chunks = () => Readable.from([
+    Buffer.from(`\uFEFF${text.slice(0, 20)}`),
+    Buffer.from(text.slice(20, 33)),
+    Buffer.from(text.slice(33))
+  ]);
+
+  it('should return one page and count every data row', async () => {
+    const page = await readCsvPage(chunks(), { offset: 1, limit: 2 });
+
+    expect(page).toEqual({
+      headers: ['Invoice', 'Total'],
+      rows: [['A-2', '1,5'], ['A-3', '7']],
+      totalRows: 4,
+      delimiter: ','
+    });
+  });
+
+  it('should stop reading once the page is full if the row count is known', async () => {
+    let pulled = 0;
+    let closed = false;
+    async function* invoices() {
+      try {
+        yield 'Invoice,Total\n';
+        for (let i = 1; i <= 10000; i++) {
+          pulled++;
+          yield `A-${i},${i}\n`;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+    const stream = Readable.from(invoices());
+
+    const page = await readCsvPage(stream, { offset: 2, limit: 3, totalRows: 10000 });
+
+    expect(page.rows).toEqual([['A-3', '3'], ['A-4', '4'], ['A-5', '5']]);
+    expect(page.totalRows).toBe(10000);
+    expect(stream.destroyed).toBe(true);
+    expect(closed).toBe(true);
+    // Only what the page needed, plus what the stream buffered ahead
+    expect(pulled).toBeLessThan(100);
+  });
+
+  it('should read the whole stream to count rows otherwise', async () => {
+    const page = await readCsvPage(chunks(), { offset: 0, limit: 1 });
+
+    expect(page.rows).toEqual([['A-1', '10']]);
+    expect(page.totalRows).toBe(4);
+  });
+
+  it('should return no rows past the end', async () => {
+    const page = await readCsvPage(chunks(), { offset: 10, limit: 5 });
+
+    expect(page.rows).toEqual([]);
+    expect(page.totalRows).toBe(4);
+  });
+});
@@ -0,0 +1,61 @@
+const { diffCsv } = require('../src/utils/csvDiff');
+
+describe('diffCsv', () => {
+  const csv = text => Buffer.from(text);
+
+  it('should report nothing for identical CSVs', () => {
+    const diff = diffCsv(csv('a,b\n1,2\n3,4\n'), csv('a,b\r\n1,2\r\n3,4\r\n'));
+
+    expect(diff.rows).toEqual([]);
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+  });
+
+  it('should report corrected cells by column', () => {
+    const diff = diffCsv(
+      csv('invoice,amount,date\nA-1,1O.00,2024-01-01\nA-2,5.00,2024-01-02\n'),
+      csv('invoice,amount,date\nA-1,10.00,2024-01-01\nA-2,5.00,2024-01-03\n')
+    );
+
+    expect(diff.rows).toEqual([
+      {
+        type: 'changed', fromRow: 1, toRow: 1, cells: [{ column: 'amount', from: '1O.00', to: '10.00' }]
+      },
+      {
+        type: 'changed', fromRow: 2, toRow: 2, cells: [{ column: 'date', from: '2024-01-02', to: '2024-01-03' }]
+      }
+    ]);
+  });
+
+  it('should align rows around insertions and deletions', () => {
+    const diff = diffCsv(
+      csv('id,name\n1,a\n2,b\n3,c\n4,d\n'),
+      csv('id,name\n1,a\n3,c\n3b,x\n4,d\n5,e\n')
+    );
+
+    expect(diff.rows).toEqual([
+      { type: 'removed', fromRow: 2, values: ['2', 'b'] },
+      { type: 'added', toRow: 3, values: ['3b', 'x'] },
+      { type: 'added', toRow: 5, values: ['5', 'e'] }
+    ]);
+    expect(diff.summary).toEqual({ added: 2, removed: 1, changed: 0, unchanged: 3 });
+  });
+
+  it('should report column changes once instead of on every row', () => {
+    const diff = diffCsv(
+      csv('id;name;note\n1;a;x\n2;b;y\n'),
+      csv('id,name,currency\n1,a,EUR\n2,B,EUR\n'),
+      { fromDelimiter: ';' }
+    );
+
+    expect(diff.headers.added).toEqual(['currency']);
+    expect(diff.headers.removed).toEqual(['note']);
+    expect(diff.rows).toEqual([
+      { type: 'changed', fromRow: 2, toRow: 2, cells: [{ column: 'name', from: 'b', to: 'B' }] }
+    ]);
+  });
+
+  it('should reject CSVs that are not UTF-8', () => {
+    expect(() => diffCsv(Buffer.from([0xff, 0xfe, 0x41]), csv('a\n1\n')))
+      .toThrow('not valid UTF-8');
+  });
+});
@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+const { resolveFormat, formatFilename, convertCsv } = require('../src/utils/csvFormats');
+
+const text = '\uFEFFInvoice;Total;\r\nA-1;10;"x\ty"\r\n\r\n"A;2";007;\r\n';
+const source = () => Readable.from([Buffer.from(text.slice(0, 18)), Buffer.from(text.slice(18))]);
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const request = (query, accept) => ({
+  query,
+  headers: accept ? { accept } : {},
+  accepts: types => (accept === '*/*' ? types[0] : types.find(type => accept.includes(type)) || false)
+});
+
+describe('resolveFormat', () => {
+  it('should prefer the format query parameter', () => {
+    expect(resolveFormat(request({ format: 'XLSX' }, 'application/json'))).toBe('xlsx');
+    expect(resolveFormat(request({ format: 'pdf' }))).toBeNull();
+  });
+
+  it('should negotiate from the Accept header and default to csv', () => {
+    expect(resolveFormat(request({}))).toBe('csv');
+    expect(resolveFormat(request({}, '*/*'))).toBe('csv');
+    expect(resolveFormat(request({}, 'application/x-ndjson'))).toBe('ndjson');
+    expect(resolveFormat(request({}, 'image/png'))).toBeNull();
+  });
+
+  it('should swap the extension in the download filename', () => {
+    expect(formatFilename('invoice_2024.csv', 'xlsx')).toBe('invoice_2024.xlsx');
+  });
+});
+
+describe('convertCsv', () => {
+  it('should convert to a JSON array keyed by header', async () => {
+    const output = await collect(convertCsv(source(), 'json'));
+
+    expect(JSON.parse(output.toString())).toEqual([
+      { Invoice: 'A-1', Total: '10', column_3: 'x\ty' },
+      { Invoice: 'A;2', Total: '007', column_3: '' }
+    ]);
+  });
+
+  it('should convert to NDJSON and TSV', async () => {
+    const ndjson = (await collect(convertCsv(source(), 'ndjson'))).toString();
+    const tsv = (await collect(convertCsv(source(), 'tsv', { delimiter: ';' }))).toString();
+
+    expect(ndjson.trim().split('\n').map(line => JSON.parse(line).Invoice)).toEqual(['A-1', 'A;2']);
+    expect(tsv).toBe('Invoice\tTotal\t\nA-1\t10\tx y\nA;2\t007\t\n');
+  });
+
+  it('should write an empty JSON array for a CSV with only a header', async () => {
+    const output = await collect(convertCsv(Readable.from([Buffer.from('a,b\n')]), 'json'));
+    expect(JSON.parse(output.toString())).toEqual([]);
+  });
+
+  it('should produce a zipped workbook for xlsx', async () => {
+    const output = await collect(convertCsv(source(), 'xlsx'));
+
+    expect(output.subarray(0, 2).toString()).toBe('PK');
+    expect(output.includes('xl/worksheets/sheet1.xml')).toBe(true);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => convertCsv(source(), 'pdf')).toThrow('Unsupported format');
+  });
+});
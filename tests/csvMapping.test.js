@@ -0,0 +1,97 @@
+const { normalizeTemplate, parseDate, parseAmount, mapCsv } = require('../src/utils/csvMapping');
+
+const csv = text => Buffer.from(text, 'utf8');
+
+describe('normalizeTemplate', () => {
+  it('should fill in defaults for aliases, type and date formats', () => {
+    const { template, errors } = normalizeTemplate({
+      name: ' invoices ',
+      columns: [{ name: 'invoice_number' }, { name: 'date', from: 'Datum', type: 'date' }]
+    });
+
+    expect(errors).toEqual([]);
+    expect(template.name).toBe('invoices');
+    expect(template.keepUnmapped).toBe(false);
+    expect(template.columns[0]).toEqual({ name: 'invoice_number', from: ['invoice_number'], type: 'text' });
+    expect(template.columns[1].from).toEqual(['Datum']);
+    expect(template.columns[1].dateFormats).toContain('DD.MM.YYYY');
+  });
+
+  it('should report every problem in the definition', () => {
+    const { template, errors } = normalizeTemplate({
+      name: '',
+      columns: [
+        { name: 'total', type: 'currency' },
+        { name: 'Total', decimalSeparator: ';' },
+        { name: 'date', type: 'date', dateFormats: ['MM/YYYY'] }
+      ]
+    });
+
+    expect(template).toBeUndefined();
+    expect(errors).toHaveLength(5);
+  });
+});
+
+describe('parseDate', () => {
+  it('should convert the first matching format to ISO and reject impossible dates', () => {
+    expect(parseDate('31.12.2024')).toBe('2024-12-31');
+    expect(parseDate('1.2.24', ['D.M.YY'])).toBe('2024-02-01');
+    expect(parseDate('30.02.2024')).toBeNull();
+    expect(parseDate('soon')).toBeNull();
+  });
+});
+
+describe('parseAmount', () => {
+  it('should strip currency and thousands separators', () => {
+    expect(parseAmount('1.234,50 €')).toBe('1234.50');
+    expect(parseAmount('$1,234.50')).toBe('1234.50');
+    expect(parseAmount('1,234')).toBe('1234');
+    expect(parseAmount('12,5')).toBe('12.5');
+    expect(parseAmount('(12.00)')).toBe('-12.00');
+  });
+
+  it('should honour an explicit decimal separator', () => {
+    expect(parseAmount('1,234', ',')).toBe('1.234');
+    expect(parseAmount('1.234.567', '.')).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('mapCsv', () => {
+  const template = normalizeTemplate({
+    name: 'invoices',
+    columns: [
+      { name: 'invoice_number', from: ['Inv No', 'Invoice #'] },
+      { name: 'invoice_date', from: ['Date'], type: 'date' },
+      { name: 'amount', from: ['Total'], type: 'amount' },
+      { name: 'currency', default: 'EUR' }
+    ]
+  }).template;
+
+  it('should rename, reorder, drop, add defaults and normalize values', () => {
+    const source = 'Total;Notes;Date;INVOICE  #\n"1.234,50";x;31.12.2024;A-1\n7;y;someday;A-2\n';
+
+    const { csv: output, report } = mapCsv(csv(source), template);
+
+    expect(output.toString()).toBe([
+      'invoice_number,invoice_date,amount,currency',
+      'A-1,2024-12-31,1234.50,EUR',
+      'A-2,someday,7,EUR',
+      ''
+    ].join('\r\n'));
+    expect(report).toEqual({
+      unmatchedColumns: ['currency'],
+      unparsedValues: { invoice_date: 1 }
+    });
+  });
+
+  it('should append unclaimed columns when keepUnmapped is set', () => {
+    const { csv: output } = mapCsv(csv('Inv No,Notes\nA-1,"says ""hi"""\n'), { ...template, keepUnmapped: true });
+
+    expect(output.toString().split('\r\n')).toEqual([
+      'invoice_number,invoice_date,amount,currency,Notes',
+      'A-1,,,EUR,"says ""hi"""',
+      ''
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const { parseCsv, decodeCsv, detectDelimiter } = require('../src/utils/csv');
+const { validateCsv, getRequiredColumns, storedProfile } = require('../src/utils/csvValidation');
+
+const csv = text => Buffer.from(text, 'utf8');
+const codes = report => report.errors.map(error => error.code);
+
+describe('parseCsv', () => {
+  it('should handle quoted fields, escaped quotes and line breaks inside quotes', () => {
+    const { rows, lines } = parseCsv('name,note\r\n"Acme, Inc.","said ""hi""\nagain"\r\nBeta,\n');
+
+    expect(rows).toEqual([
+      ['name', 'note'],
+      ['Acme, Inc.', 'said "hi"\nagain'],
+      ['Beta', '']
+    ]);
+    expect(lines).toEqual([1, 2, 4]);
+  });
+
+  it('should detect semicolon and tab delimiters from the header', () => {
+    expect(detectDelimiter('a;b;c\n1,5;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('"a;b",c\n')).toBe(',');
+  });
+
+  it('should strip a UTF-8 BOM and reject invalid UTF-8', () => {
+    expect(decodeCsv(Buffer.from([0xef, 0xbb, 0xbf, 0x61])))
+      .toEqual({ text: 'a', encoding: 'utf-8', bom: true });
+    expect(decodeCsv(Buffer.from([0x61, 0xff, 0x62]))).toBeNull();
+  });
+});
+
+describe('validateCsv', () => {
+  afterEach(() => {
+    delete process.env.CSV_REQUIRED_COLUMNS;
+  });
+
+  it('should profile a valid CSV, ignoring blank lines', () => {
+    const report = validateCsv(csv('Invoice,Total\nA-1,10.00\n\nA-2,12.50\n\n'));
+
+    expect(report.valid).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.profile).toEqual({
+      rowCount: 2,
+      columnCount: 2,
+      headers: ['Invoice', 'Total'],
+      delimiter: ',',
+      encoding: 'utf-8'
+    });
+  });
+
+  it('should reject empty and header-only files', () => {
+    expect(codes(validateCsv(csv('')))).toEqual(['EMPTY_FILE']);
+    expect(codes(validateCsv(csv('\n\n')))).toEqual(['EMPTY_FILE']);
+    expect(codes(validateCsv(csv('Invoice,Total\n')))).toEqual(['NO_DATA_ROWS']);
+  });
+
+  it('should reject invalid encodings', () => {
+    const invalid = Buffer.from([0x61, 0x2c, 0xc3, 0x28, 0x0a]);
+    expect(codes(validateCsv(invalid))).toEqual(['INVALID_ENCODING']);
+  });
+
+  it('should report blank headers and rows with the wrong column count', () => {
+    const report = validateCsv(csv('Invoice,,Total\nA-1,x,10\nA-2,12\nA-3,y,1,extra\n'));
+
+    expect(report.valid).toBe(false);
+    expect(report.errors).toEqual([
+      expect.objectContaining({ code: 'EMPTY_HEADER', columns: [2] }),
+      expect.objectContaining({
+        code: 'COLUMN_COUNT_MISMATCH',
+        count: 2,
+        rows: [{ line: 3, columns: 2 }, { line: 4, columns: 4 }]
+      })
+    ]);
+  });
+
+  it('should flag a file truncated inside a quoted field', () => {
+    const report = validateCsv(csv('Invoice,Note\nA-1,"unfinished'));
+
+    expect(codes(report)).toEqual(['UNTERMINATED_QUOTE']);
+  });
+
+  it('should require the configured columns, case-insensitively', () => {
+    process.env.CSV_REQUIRED_COLUMNS = 'invoice, total ,currency';
+
+    expect(getRequiredColumns()).toEqual(['invoice', 'total', 'currency']);
+    const report = validateCsv(csv('Invoice,TOTAL\nA-1,10\n'));
+    expect(report.errors).toEqual([
+      expect.objectContaining({ code: 'MISSING_REQUIRED_COLUMNS', columns: ['currency'] })
+    ]);
+  });
+
+  it('should keep headers out of the stored profile', () => {
+    const columns = Array.from({ length: 200 }, (_, index) => `Column ${index + 1}`);
+    const row = columns.map(() => 'x');
+    const { profile } = validateCsv(csv(`${columns.join(';')}\n${row.join(';')}\n`));
+
+    expect(storedProfile(profile)).toEqual({
+      rowCount: 1, columnCount: 200, delimiter: ';', encoding: 'utf-8'
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { encodeCursor, decodeCursor, queryFileList } = require('../src/utils/fileQuery');
+
+const id = n => `file${String(n).padStart(20, '0')}`;
+const file = (n, filename, size, uploadDate, ownerKeyId) => ({
+  id: id(n),
+  filename,
+  size,
+  uploadDate: new Date(uploadDate),
+  jobId: `job${n}`,
+  ownerKeyId
+});
+const files = [
+  file(1, 'invoice-a.csv', 100, '2024-01-01', 'k1'),
+  file(2, 'Invoice-B.csv', 300, '2024-02-01', 'k1'),
+  file(3, 'receipt.csv', 200, '2024-02-01', 'k2'),
+  file(4, 'invoice-c.csv', 50, '2024-03-01', 'k1')
+];
+const newestFirst = { field: 'uploadDate', order: 'desc' };
+
+describe('queryFileList', () => {
+  it('should page through every file exactly once, ties broken by ID', () => {
+    const first = queryFileList(files, { sort: newestFirst, limit: 2 });
+    const second = queryFileList(files, {
+      sort: newestFirst,
+      limit: 2,
+      after: decodeCursor(first.nextCursor, newestFirst)
+    });
+
+    expect(first.files.map(file => file.id)).toEqual([id(4), id(3)]);
+    expect(second.files.map(file => file.id)).toEqual([id(2), id(1)]);
+    expect(second.nextCursor).toBeNull();
+    expect(first.totalFiles).toBe(4);
+    expect(first.totalSize).toBe(650);
+  });
+
+  it('should combine filters and compute totals over the whole match', () => {
+    const page = queryFileList(files, {
+      filter: { ownerKeyId: 'k1', filename: 'INVOICE', from: new Date('2024-01-15'), minSize: 60 },
+      sort: { field: 'size', order: 'asc' },
+      limit: 10
+    });
+
+    expect(page.files.map(file => file.id)).toEqual([id(2)]);
+    expect(page.totalFiles).toBe(1);
+    expect(page.totalSize).toBe(300);
+  });
+
+  it('should select by file and job IDs', () => {
+    const select = filter => queryFileList(files, { filter, sort: newestFirst, limit: 10 });
+    const byId = select({ ids: [id(3), id(1)] });
+    const byJob = select({ jobIds: ['job2', 'job4'] });
+
+    expect(byId.files.map(file => file.id)).toEqual([id(3), id(1)]);
+    expect(byJob.files.map(file => file.jobId)).toEqual(['job4', 'job2']);
+  });
+});
+
+describe('decodeCursor', () => {
+  it('should reject cursors made for another sort or tampered with', () => {
+    const cursor = encodeCursor(files[0], newestFirst);
+
+    expect(decodeCursor(cursor, newestFirst)).toEqual({ value: files[0].uploadDate, id: id(1) });
+    expect(decodeCursor(cursor, { field: 'size', order: 'desc' })).toBeNull();
+    expect(decodeCursor('not-a-cursor', newestFirst)).toBeNull();
+  });
+});
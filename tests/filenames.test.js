@@ -0,0 +1,19 @@
+const { uniqueFilename } = require('../src/utils/filenames');
+
+describe('uniqueFilename', () => {
+  it('should keep the first occurrence of a name unchanged', () => {
+    expect(uniqueFilename('invoice.csv', new Set())).toBe('invoice.csv');
+  });
+
+  it('should number duplicate names before the extension', () => {
+    const used = new Set();
+
+    expect(uniqueFilename('invoice.csv', used)).toBe('invoice.csv');
+    expect(uniqueFilename('invoice.csv', used)).toBe('invoice (2).csv');
+    expect(uniqueFilename('Invoice.csv', used)).toBe('Invoice (3).csv');
+  });
+
+  it('should strip directory components', () => {
+    expect(uniqueFilename('../../etc/passwd', new Set())).toBe('passwd');
+  });
+});
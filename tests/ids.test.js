@@ -1,4 +1,4 @@
-const { generateJobId, isValidJobId } = require('../src/utils/ids');
+const { generateJobId, isValidJobId, generateFileId, isValidFileId } = require('../src/utils/ids');
 
 describe('ID Utilities', () => {
   describe('generateJobId', () => {
@@ -69,4 +69,17 @@ describe('ID Utilities', () => {
       }
     });
   });
+
+  describe('isValidFileId', () => {
+    it('should accept generated file IDs and GridFS ObjectIds', () => {
+      expect(isValidFileId(generateFileId())).toBe(true);
+      expect(isValidFileId('65a1f0c2e4b0a1b2c3d4e5f6')).toBe(true);
+    });
+
+    it('should reject path traversal and malformed IDs', () => {
+      expect(isValidFileId('../../etc/passwd')).toBe(false);
+      expect(isValidFileId('short')).toBe(false);
+      expect(isValidFileId(null)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,77 @@
+const jobStore = require('../src/services/jobStore');
+const n8nClient = require('../src/services/n8nClient');
+const { dispatchJob } = require('../src/services/jobRunner');
+const jobQueue = require('../src/services/jobQueue');
+
+jest.mock('../src/services/jobStore', () => ({
+  countJobs: jest.fn(),
+  claimNextJob: jest.fn()
+}));
+jest.mock('../src/services/jobRunner', () => ({
+  dispatchJob: jest.fn()
+}));
+jest.mock('../src/services/n8nClient', () => ({
+  breaker: { isOpen: jest.fn() }
+}));
+
+describe('jobQueue.pump', () => {
+  const control = { paused: false };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    control.paused = false;
+    jobQueue.collection = { findOne: jest.fn(async () => control) };
+    n8nClient.breaker.isOpen.mockReturnValue(false);
+    dispatchJob.mockResolvedValue({});
+    process.env.QUEUE_CONCURRENCY = '3';
+  });
+
+  afterEach(() => {
+    delete process.env.QUEUE_CONCURRENCY;
+  });
+
+  it('should only fill the free processing slots', async () => {
+    jobStore.countJobs.mockResolvedValue(1);
+    jobStore.claimNextJob
+      .mockResolvedValueOnce(['job-a', { attempt: 1 }])
+      .mockResolvedValueOnce(['job-b', { attempt: 1 }])
+      .mockResolvedValueOnce(['job-c', { attempt: 1 }]);
+
+    expect(await jobQueue.pump()).toBe(2);
+    expect(jobStore.countJobs).toHaveBeenCalledWith({ status: 'processing' });
+    expect(dispatchJob).toHaveBeenCalledWith('job-a', { attempt: 1 });
+    expect(dispatchJob).toHaveBeenCalledWith('job-b', { attempt: 1 });
+  });
+
+  it('should stop claiming when the queue is empty', async () => {
+    jobStore.countJobs.mockResolvedValue(0);
+    jobStore.claimNextJob.mockResolvedValueOnce(['job-a', { attempt: 1 }]).mockResolvedValue(null);
+
+    expect(await jobQueue.pump()).toBe(1);
+    expect(jobStore.claimNextJob).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not dispatch while paused', async () => {
+    control.paused = true;
+
+    expect(await jobQueue.pump()).toBe(0);
+    expect(jobStore.claimNextJob).not.toHaveBeenCalled();
+  });
+
+  it('should not dispatch while the n8n circuit is open', async () => {
+    n8nClient.breaker.isOpen.mockReturnValue(true);
+
+    expect(await jobQueue.pump()).toBe(0);
+    expect(jobStore.claimNextJob).not.toHaveBeenCalled();
+  });
+
+  it('should run again once when kicked during a run', async () => {
+    jobStore.countJobs.mockResolvedValue(3);
+
+    const first = jobQueue.pump();
+    expect(await jobQueue.pump()).toBe(0);
+    await first;
+
+    expect(jobStore.countJobs).toHaveBeenCalledTimes(2);
+  });
+});
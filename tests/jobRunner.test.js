@@ -0,0 +1,200 @@
+const fs = require('fs');
+const jobStore = require('../src/services/jobStore');
+const sourceStore = require('../src/services/sourceStore');
+const n8nClient = require('../src/services/n8nClient');
+const { startJob, dispatchJob, retryJob, cancelJob } = require('../src/services/jobRunner');
+
+jest.mock('../src/services/jobStore', () => ({
+  getExpiryDate: jest.fn(),
+  enqueueJob: jest.fn(),
+  requeueJob: jest.fn(),
+  retryJob: jest.fn(),
+  cancelJob: jest.fn(),
+  failJob: jest.fn(),
+  updateExecutionDetails: jest.fn()
+}));
+jest.mock('../src/services/sourceStore', () => ({
+  save: jest.fn(),
+  find: jest.fn(),
+  remove: jest.fn(),
+  extendExpiry: jest.fn(),
+  downloadToFile: jest.fn()
+}));
+jest.mock('../src/services/n8nClient', () => ({
+  forwardToN8n: jest.fn(),
+  assertAvailable: jest.fn(),
+  stopExecution: jest.fn()
+}));
+
+const jobId = 'abcdefghijkl';
+const failedJob = { status: 'error', attempt: 1, error: 'n8n timed out', filenamePdf: 'invoice.pdf' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(fs, 'unlinkSync').mockImplementation(() => {});
+  jest.spyOn(fs, 'unlink').mockImplementation((filePath, cb) => cb());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('jobRunner.startJob', () => {
+  const upload = { filePath: '/tmp/upload', originalName: 'invoice.pdf', mimetype: 'application/pdf' };
+
+  beforeEach(() => {
+    sourceStore.save.mockResolvedValue('source-1');
+    jobStore.enqueueJob.mockImplementation(async (id, filename, fields, priority) => ({
+      ...fields, status: 'queued', filenamePdf: filename, priority
+    }));
+  });
+
+  it('should archive the upload and queue a job without contacting n8n', async () => {
+    const result = await startJob({ ...upload, fields: { ownerKeyId: 'key-1' }, priority: 'high' });
+
+    expect(result.job.status).toBe('queued');
+    expect(jobStore.enqueueJob).toHaveBeenCalledWith(
+      result.jobId,
+      'invoice.pdf',
+      { ownerKeyId: 'key-1', sourceFileId: 'source-1' },
+      'high'
+    );
+    expect(sourceStore.save).toHaveBeenCalledWith(
+      result.jobId,
+      '/tmp/upload',
+      expect.objectContaining({ ownerKeyId: 'key-1' })
+    );
+    expect(n8nClient.forwardToN8n).not.toHaveBeenCalled();
+    expect(fs.unlinkSync).toHaveBeenCalledWith('/tmp/upload');
+  });
+
+  it('should refuse uploads while n8n is unavailable', async () => {
+    n8nClient.assertAvailable.mockImplementationOnce(() => {
+      throw Object.assign(new Error('unavailable'), { status: 503, code: 'SERVICE_UNAVAILABLE' });
+    });
+
+    await expect(startJob(upload)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+    expect(sourceStore.save).not.toHaveBeenCalled();
+    expect(fs.unlinkSync).toHaveBeenCalledWith('/tmp/upload');
+  });
+});
+
+describe('jobRunner.dispatchJob', () => {
+  const claimedJob = { status: 'processing', attempt: 2, filenamePdf: 'invoice.pdf' };
+
+  beforeEach(() => {
+    sourceStore.downloadToFile.mockResolvedValue({ filename: 'invoice.pdf', mimetype: 'application/pdf' });
+    n8nClient.forwardToN8n.mockResolvedValue({ success: true });
+  });
+
+  it('should forward the retained source with the job\'s attempt', async () => {
+    const result = await dispatchJob(jobId, claimedJob);
+
+    expect(result).toEqual({ jobId, filename: 'invoice.pdf' });
+    expect(n8nClient.forwardToN8n).toHaveBeenCalledWith(expect.objectContaining({
+      jobId,
+      originalName: 'invoice.pdf',
+      mimetype: 'application/pdf',
+      attempt: 2
+    }));
+    expect(fs.unlink).toHaveBeenCalled();
+  });
+
+  it('should fail the job if forwarding fails', async () => {
+    n8nClient.forwardToN8n.mockRejectedValue(new Error('n8n forwarding failed: ECONNREFUSED'));
+
+    expect(await dispatchJob(jobId, claimedJob)).toBeNull();
+    expect(jobStore.failJob).toHaveBeenCalledWith(jobId, 'n8n forwarding failed: ECONNREFUSED');
+  });
+
+  it('should put the job back in the queue if the circuit opened in the meantime', async () => {
+    n8nClient.forwardToN8n.mockRejectedValue(Object.assign(new Error('unavailable'), { code: 'SERVICE_UNAVAILABLE' }));
+
+    expect(await dispatchJob(jobId, claimedJob)).toBeNull();
+    expect(jobStore.requeueJob).toHaveBeenCalledWith(jobId);
+    expect(jobStore.failJob).not.toHaveBeenCalled();
+  });
+
+  it('should stop the execution if the job was cancelled while forwarding', async () => {
+    n8nClient.forwardToN8n.mockResolvedValue({ success: true, executionId: 'exec-9' });
+    jobStore.updateExecutionDetails.mockResolvedValue({ status: 'cancelled' });
+
+    await dispatchJob(jobId, claimedJob);
+
+    expect(n8nClient.stopExecution).toHaveBeenCalledWith('exec-9');
+  });
+
+  it('should fail the job if its source is gone', async () => {
+    sourceStore.downloadToFile.mockResolvedValue(null);
+
+    expect(await dispatchJob(jobId, claimedJob)).toBeNull();
+    expect(jobStore.failJob).toHaveBeenCalledWith(jobId, expect.any(String), 'SOURCE_NOT_AVAILABLE');
+    expect(n8nClient.forwardToN8n).not.toHaveBeenCalled();
+  });
+});
+
+describe('jobRunner.retryJob', () => {
+  beforeEach(() => {
+    sourceStore.find.mockResolvedValue({ _id: 'source-1' });
+    jobStore.retryJob.mockResolvedValue({ ...failedJob, status: 'queued', attempt: 2 });
+  });
+
+  it('should queue the job again under the same job ID with the next attempt', async () => {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    jobStore.getExpiryDate.mockReturnValue(expiresAt);
+
+    const result = await retryJob(jobId, failedJob);
+
+    expect(result).toMatchObject({ jobId, attempt: 2, job: { status: 'queued' } });
+    expect(jobStore.retryJob).toHaveBeenCalledWith(jobId, failedJob);
+    expect(sourceStore.extendExpiry).toHaveBeenCalledWith(jobId, expiresAt);
+    expect(n8nClient.forwardToN8n).not.toHaveBeenCalled();
+  });
+
+  it('should refuse jobs that have not failed', async () => {
+    await expect(retryJob(jobId, { ...failedJob, status: 'done' }))
+      .rejects.toMatchObject({ status: 409, code: 'JOB_NOT_RETRYABLE' });
+    expect(jobStore.retryJob).not.toHaveBeenCalled();
+  });
+
+  it('should report when the source is no longer retained', async () => {
+    sourceStore.find.mockResolvedValue(null);
+
+    await expect(retryJob(jobId, failedJob))
+      .rejects.toMatchObject({ status: 410, code: 'SOURCE_NOT_AVAILABLE' });
+    expect(jobStore.retryJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('jobRunner.cancelJob', () => {
+  const processingJob = { status: 'processing', attempt: 1, filenamePdf: 'invoice.pdf' };
+
+  it('should cancel the job and try to stop its n8n execution', async () => {
+    jobStore.cancelJob.mockResolvedValue({ ...processingJob, status: 'cancelled', executionId: 'exec-1' });
+    n8nClient.stopExecution.mockResolvedValue({ stopped: true });
+
+    const result = await cancelJob(jobId, processingJob, 'key-1');
+
+    expect(jobStore.cancelJob).toHaveBeenCalledWith(jobId, 'key-1');
+    expect(result.job.status).toBe('cancelled');
+    expect(result.execution).toEqual({ id: 'exec-1', stopped: true });
+  });
+
+  it('should not contact n8n for jobs that were never dispatched', async () => {
+    jobStore.cancelJob.mockResolvedValue({ status: 'cancelled' });
+
+    const result = await cancelJob(jobId, { status: 'queued' });
+
+    expect(result.execution).toBeUndefined();
+    expect(n8nClient.stopExecution).not.toHaveBeenCalled();
+  });
+
+  it('should refuse jobs that already finished', async () => {
+    await expect(cancelJob(jobId, { status: 'done' }))
+      .rejects.toMatchObject({ status: 409, code: 'JOB_NOT_CANCELLABLE' });
+
+    jobStore.cancelJob.mockResolvedValue(null);
+    await expect(cancelJob(jobId, processingJob))
+      .rejects.toMatchObject({ status: 409, code: 'JOB_NOT_CANCELLABLE' });
+  });
+});
@@ -1,35 +1,143 @@
 const jobStore = require('../src/services/jobStore');
+const jobEvents = require('../src/services/jobEvents');
+
+// Mock MongoDB client to avoid requiring actual database in tests
+jest.mock('../src/services/mongoClient', () => ({
+  connect: jest.fn(),
+  db: null
+}));
+
+/**
+ * Minimal in-memory stand-in for the jobs collection
+ */
+function createMockCollection() {
+  const docs = new Map();
+  const strip = (doc) => {
+    if (!doc) {
+      return null;
+    }
+    const copy = { ...doc };
+    delete copy._id;
+    return copy;
+  };
+  const matchesValue = (actual, expected) => {
+    if (expected && expected.$lt !== undefined) {
+      return actual < expected.$lt;
+    }
+    if (expected && expected.$in) {
+      return expected.$in.includes(actual);
+    }
+    return actual === expected;
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+    key === '$or' ? value.some(branch => matches(doc, branch)) : matchesValue(doc[key], value)
+  ));
+  // First match in sort order, for updates that claim "the next" document
+  const findFirst = (filter, sort = {}) => Array.from(docs.values())
+    .filter(doc => matches(doc, filter))
+    .sort((a, b) => {
+      for (const [key, direction] of Object.entries(sort)) {
+        if (a[key] !== b[key]) {
+          return a[key] < b[key] ? -direction : direction;
+        }
+      }
+      return 0;
+    })[0];
+
+  return {
+    docs,
+    createIndex: jest.fn(),
+    insertOne: jest.fn(async (doc) => {
+      docs.set(doc._id, { ...doc });
+      return { insertedId: doc._id };
+    }),
+    findOne: jest.fn(async (filter) => strip(docs.get(filter._id))),
+    findOneAndUpdate: jest.fn(async (filter, update, options = {}) => {
+      const doc = filter._id === undefined ? findFirst(filter, options.sort) : docs.get(filter._id);
+      if (!doc || !matches(doc, filter)) {
+        return null;
+      }
+      Object.assign(doc, update.$set);
+      Object.keys(update.$unset || {}).forEach(key => delete doc[key]);
+      Object.entries(update.$push || {}).forEach(([key, value]) => {
+        doc[key] = [...(doc[key] || []), value];
+      });
+      return filter._id === undefined ? { ...doc } : strip(doc);
+    }),
+    countDocuments: jest.fn(async filter => Array.from(docs.values()).filter(doc => matches(doc, filter)).length),
+    find: jest.fn(() => {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        toArray: async () => Array.from(docs.values()).map(doc => ({ ...doc }))
+      };
+      return cursor;
+    }),
+    aggregate: jest.fn(() => ({
+      toArray: async () => {
+        const counts = {};
+        for (const doc of docs.values()) {
+          counts[doc.status] = (counts[doc.status] || 0) + 1;
+        }
+        return Object.entries(counts).map(([_id, count]) => ({ _id, count }));
+      }
+    }))
+  };
+}
 
 describe('JobStore', () => {
+  let collection;
+
   beforeEach(() => {
-    // Clear all jobs before each test
-    const allJobs = jobStore.getAllJobs();
-    allJobs.forEach(([jobId]) => {
-      jobStore.jobs.delete(jobId);
+    collection = createMockCollection();
+    jobStore.collection = collection;
+  });
+
+  describe('getCollection', () => {
+    it('should create a TTL index on expiresAt on first use', async () => {
+      const mongoClient = require('../src/services/mongoClient');
+      const fresh = createMockCollection();
+      mongoClient.db = { collection: jest.fn().mockReturnValue(fresh) };
+      jobStore.collection = null;
+
+      const result = await jobStore.getCollection();
+
+      expect(result).toBe(fresh);
+      expect(mongoClient.connect).toHaveBeenCalled();
+      expect(mongoClient.db.collection).toHaveBeenCalledWith('jobs');
+      expect(fresh.createIndex).toHaveBeenCalledWith(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+      );
     });
   });
 
   describe('createJob', () => {
-    it('should create a new job with processing status', () => {
+    it('should create a new job with processing status', async () => {
       const jobId = 'test-job-123';
       const filename = 'test.pdf';
-      
-      const job = jobStore.createJob(jobId, filename);
-      
+
+      const job = await jobStore.createJob(jobId, filename);
+
       expect(job).toBeDefined();
       expect(job.status).toBe('processing');
       expect(job.filenamePdf).toBe(filename);
       expect(job.createdAt).toBeInstanceOf(Date);
       expect(job.updatedAt).toBeInstanceOf(Date);
+      expect(job.expiresAt.getTime() - job.createdAt.getTime())
+        .toBe(jobStore.TTL_HOURS * 60 * 60 * 1000);
     });
 
-    it('should store the job and make it retrievable', () => {
+    it('should store the job and make it retrievable', async () => {
       const jobId = 'test-job-456';
       const filename = 'another.pdf';
-      
-      jobStore.createJob(jobId, filename);
-      const retrieved = jobStore.getJob(jobId);
-      
+
+      await jobStore.createJob(jobId, filename);
+      const retrieved = await jobStore.getJob(jobId);
+
+      expect(collection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: jobId })
+      );
       expect(retrieved).toBeDefined();
       expect(retrieved.filenamePdf).toBe(filename);
       expect(retrieved.status).toBe('processing');
@@ -37,18 +145,18 @@ describe('JobStore', () => {
   });
 
   describe('getJob', () => {
-    it('should return null for non-existent job', () => {
-      const job = jobStore.getJob('non-existent-job');
+    it('should return null for non-existent job', async () => {
+      const job = await jobStore.getJob('non-existent-job');
       expect(job).toBeNull();
     });
 
-    it('should return the correct job when it exists', () => {
+    it('should return the correct job when it exists', async () => {
       const jobId = 'existing-job';
       const filename = 'exists.pdf';
-      
-      jobStore.createJob(jobId, filename);
-      const job = jobStore.getJob(jobId);
-      
+
+      await jobStore.createJob(jobId, filename);
+      const job = await jobStore.getJob(jobId);
+
       expect(job).toBeDefined();
       expect(job.filenamePdf).toBe(filename);
     });
@@ -58,16 +166,16 @@ describe('JobStore', () => {
     it('should update job fields and updatedAt timestamp', async () => {
       const jobId = 'update-test-job';
       const filename = 'update.pdf';
-      
-      jobStore.createJob(jobId, filename);
-      const originalJob = jobStore.getJob(jobId);
-      
+
+      await jobStore.createJob(jobId, filename);
+      const originalJob = await jobStore.getJob(jobId);
+
       // Wait a bit to ensure timestamp difference
       await new Promise(resolve => setTimeout(resolve, 10));
-      
+
       const updates = { status: 'done', r2Key: 'test-key' };
-      const updatedJob = jobStore.updateJob(jobId, updates);
-      
+      const updatedJob = await jobStore.updateJob(jobId, updates);
+
       expect(updatedJob).toBeDefined();
       expect(updatedJob.status).toBe('done');
       expect(updatedJob.r2Key).toBe('test-key');
@@ -77,69 +185,264 @@ describe('JobStore', () => {
       );
     });
 
-    it('should return null for non-existent job', () => {
-      const result = jobStore.updateJob('non-existent', { status: 'done' });
+    it('should use a single atomic $set update', async () => {
+      await jobStore.createJob('atomic-job', 'atomic.pdf');
+      await jobStore.updateJob('atomic-job', { executionId: 'exec-1' });
+
+      expect(collection.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'atomic-job' },
+        { $set: expect.objectContaining({ executionId: 'exec-1', updatedAt: expect.any(Date) }) },
+        expect.objectContaining({ returnDocument: 'after' })
+      );
+    });
+
+    it('should return null for non-existent job', async () => {
+      const result = await jobStore.updateJob('non-existent', { status: 'done' });
       expect(result).toBeNull();
     });
+
+    it('should publish successful updates to job event subscribers', async () => {
+      const listener = jest.fn();
+      await jobStore.createJob('event-job', 'event.pdf');
+      const unsubscribe = jobEvents.subscribe('event-job', listener);
+
+      await jobStore.updateJob('event-job', { executionStatus: 'running' });
+      await jobStore.updateJob('event-job', { status: 'done' }, { status: 'error' });
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ executionStatus: 'running' }));
+      expect(jobEvents.listenerCount('event-job')).toBe(0);
+    });
   });
 
   describe('completeJob', () => {
-    it('should mark job as done with R2 details', () => {
+    it('should mark job as done with storage details', async () => {
       const jobId = 'complete-test-job';
       const filename = 'complete.pdf';
       const r2Key = 'jobs/complete-test-job/123456.csv';
       const presignedUrl = 'https://r2.example.com/signed-url';
-      
-      jobStore.createJob(jobId, filename);
-      const completedJob = jobStore.completeJob(jobId, r2Key, presignedUrl);
-      
+
+      await jobStore.createJob(jobId, filename);
+      const completedJob = await jobStore.completeJob(jobId, r2Key, presignedUrl);
+
       expect(completedJob).toBeDefined();
       expect(completedJob.status).toBe('done');
       expect(completedJob.r2Key).toBe(r2Key);
       expect(completedJob.presignedUrl).toBe(presignedUrl);
     });
+
+    it('should not overwrite a job that already failed', async () => {
+      const jobId = 'late-complete-job';
+
+      await jobStore.createJob(jobId, 'late.pdf');
+      await jobStore.failJob(jobId, 'n8n workflow failed');
+      const result = await jobStore.completeJob(jobId, 'key', 'url');
+
+      expect(result).toBeNull();
+      expect((await jobStore.getJob(jobId)).status).toBe('error');
+    });
+  });
+
+  describe('createCompletedJob', () => {
+    it('should create a done job reusing an existing CSV and announce it', async () => {
+      const listener = jest.fn();
+      const unsubscribe = jobEvents.onFinished(listener);
+
+      await jobStore.createCompletedJob('dedupe-job', 'invoice.pdf', {
+        r2Key: 'file-1',
+        presignedUrl: 'https://example.com/signed-url',
+        dedupedFrom: { jobId: 'first-job', fileId: 'file-1' }
+      });
+      unsubscribe();
+
+      const job = await jobStore.getJob('dedupe-job');
+      expect(job.status).toBe('done');
+      expect(job.r2Key).toBe('file-1');
+      expect(job.dedupedFrom.jobId).toBe('first-job');
+      expect(listener).toHaveBeenCalledWith('dedupe-job', expect.objectContaining({ status: 'done' }));
+    });
   });
 
   describe('failJob', () => {
-    it('should mark job as error with error message', () => {
+    it('should mark job as error with error message', async () => {
       const jobId = 'fail-test-job';
       const filename = 'fail.pdf';
       const errorMessage = 'Processing failed';
-      
-      jobStore.createJob(jobId, filename);
-      const failedJob = jobStore.failJob(jobId, errorMessage);
-      
+
+      await jobStore.createJob(jobId, filename);
+      const failedJob = await jobStore.failJob(jobId, errorMessage);
+
       expect(failedJob).toBeDefined();
       expect(failedJob.status).toBe('error');
       expect(failedJob.error).toBe(errorMessage);
     });
+
+    it('should not overwrite a job that already completed', async () => {
+      const jobId = 'late-fail-job';
+
+      await jobStore.createJob(jobId, 'done.pdf');
+      await jobStore.completeJob(jobId, 'key', 'url');
+      const result = await jobStore.failJob(jobId, 'Late error');
+
+      expect(result).toBeNull();
+      expect((await jobStore.getJob(jobId)).status).toBe('done');
+    });
+  });
+
+  describe('timeOutJob', () => {
+    it('should fail a processing job with a TIMEOUT code', async () => {
+      const job = await jobStore.createJob('slow-job', 'slow.pdf');
+
+      const timedOut = await jobStore.timeOutJob('slow-job', job.deadlineAt);
+
+      expect(timedOut.status).toBe('error');
+      expect(timedOut.errorCode).toBe('TIMEOUT');
+      expect(timedOut.timedOutAt).toBeInstanceOf(Date);
+    });
+
+    it('should leave a job alone once its deadline has moved', async () => {
+      const job = await jobStore.createJob('moved-job', 'moved.pdf');
+      await jobStore.updateJob('moved-job', { deadlineAt: new Date(job.deadlineAt.getTime() + 60000) });
+
+      expect(await jobStore.timeOutJob('moved-job', job.deadlineAt)).toBeNull();
+      expect((await jobStore.getJob('moved-job')).status).toBe('processing');
+    });
+  });
+
+  describe('queue', () => {
+    it('should queue jobs without a processing deadline', async () => {
+      const job = await jobStore.enqueueJob('queued-job', 'queued.pdf', { sourceFileId: 'src-1' }, 'low');
+
+      expect(job.status).toBe('queued');
+      expect(job.priority).toBe('low');
+      expect(job.lane).toBe(jobStore.PRIORITY_LANES.low);
+      expect(job.sourceFileId).toBe('src-1');
+      expect(job.deadlineAt).toBeUndefined();
+    });
+
+    it('should claim higher lanes first, then the oldest job, and start its deadline', async () => {
+      await jobStore.enqueueJob('normal-1', 'a.pdf');
+      await jobStore.enqueueJob('normal-2', 'b.pdf');
+      await jobStore.enqueueJob('high-1', 'c.pdf', {}, 'high');
+      collection.docs.get('normal-1').queuedAt = new Date(Date.now() - 1000);
+
+      const [first, claimed] = await jobStore.claimNextJob();
+      const [second] = await jobStore.claimNextJob();
+
+      expect(first).toBe('high-1');
+      expect(claimed.status).toBe('processing');
+      expect(claimed.deadlineAt).toBeInstanceOf(Date);
+      expect(second).toBe('normal-1');
+    });
+
+    it('should return null when nothing is queued', async () => {
+      await jobStore.createJob('busy-job', 'busy.pdf');
+
+      expect(await jobStore.claimNextJob()).toBeNull();
+    });
+
+    it('should count queued jobs ahead across lanes', async () => {
+      await jobStore.enqueueJob('pos-1', 'a.pdf');
+      collection.docs.get('pos-1').queuedAt = new Date(Date.now() - 1000);
+      await jobStore.enqueueJob('pos-high', 'b.pdf', {}, 'high');
+      const job = await jobStore.enqueueJob('pos-2', 'c.pdf');
+      const low = await jobStore.enqueueJob('pos-low', 'd.pdf', {}, 'low');
+
+      expect(await jobStore.getQueuePosition(job)).toBe(3);
+      expect(await jobStore.getQueuePosition(low)).toBe(4);
+    });
+
+    it('should put a claimed job back in the queue', async () => {
+      await jobStore.enqueueJob('requeue-job', 'requeue.pdf');
+      await jobStore.claimNextJob();
+
+      const requeued = await jobStore.requeueJob('requeue-job');
+
+      expect(requeued.status).toBe('queued');
+      expect(requeued.deadlineAt).toBeUndefined();
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel a queued job and announce it as finished', async () => {
+      const finished = jest.fn();
+      const unsubscribe = jobEvents.onFinished(finished);
+      await jobStore.enqueueJob('cancel-job', 'cancel.pdf');
+
+      const cancelled = await jobStore.cancelJob('cancel-job', 'key-1');
+      unsubscribe();
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.cancelledBy).toBe('key-1');
+      expect(finished).toHaveBeenCalledWith('cancel-job', cancelled);
+    });
+
+    it('should not cancel a job that already finished', async () => {
+      await jobStore.createJob('done-cancel', 'done.pdf');
+      await jobStore.completeJob('done-cancel', 'key', 'url');
+
+      expect(await jobStore.cancelJob('done-cancel')).toBeNull();
+      expect((await jobStore.getJob('done-cancel')).status).toBe('done');
+    });
+  });
+
+  describe('retryJob', () => {
+    it('should move a failed job back to the queue and keep the error history', async () => {
+      await jobStore.createJob('retry-job', 'retry.pdf');
+      await jobStore.updateExecutionDetails('retry-job', { executionId: 'exec-1' });
+      // About to expire
+      await jobStore.updateJob('retry-job', { expiresAt: new Date(Date.now() + 60 * 1000) });
+      const failed = await jobStore.failJob('retry-job', 'n8n timed out');
+
+      const retried = await jobStore.retryJob('retry-job', failed);
+
+      expect(retried.status).toBe('queued');
+      expect(retried.priority).toBe('normal');
+      expect(retried.deadlineAt).toBeUndefined();
+      expect(retried.attempt).toBe(2);
+      expect(retried.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+      expect(retried.error).toBeUndefined();
+      expect(retried.executionId).toBeUndefined();
+      expect(retried.errorHistory).toEqual([
+        { attempt: 1, error: 'n8n timed out', failedAt: failed.updatedAt, executionId: 'exec-1' }
+      ]);
+    });
+
+    it('should not start a second retry from the same failed attempt', async () => {
+      await jobStore.createJob('retry-race', 'race.pdf');
+      const failed = await jobStore.failJob('retry-race', 'boom');
+
+      expect(await jobStore.retryJob('retry-race', failed)).not.toBeNull();
+      expect(await jobStore.retryJob('retry-race', failed)).toBeNull();
+    });
   });
 
   describe('getStats', () => {
-    it('should return correct statistics', () => {
+    it('should return correct statistics', async () => {
       // Create jobs with different statuses
-      jobStore.createJob('processing-1', 'proc1.pdf');
-      jobStore.createJob('processing-2', 'proc2.pdf');
-      
+      await jobStore.createJob('processing-1', 'proc1.pdf');
+      await jobStore.createJob('processing-2', 'proc2.pdf');
+
       const doneJobId = 'done-job';
-      jobStore.createJob(doneJobId, 'done.pdf');
-      jobStore.completeJob(doneJobId, 'key', 'url');
-      
+      await jobStore.createJob(doneJobId, 'done.pdf');
+      await jobStore.completeJob(doneJobId, 'key', 'url');
+
       const errorJobId = 'error-job';
-      jobStore.createJob(errorJobId, 'error.pdf');
-      jobStore.failJob(errorJobId, 'Test error');
-      
-      const stats = jobStore.getStats();
-      
+      await jobStore.createJob(errorJobId, 'error.pdf');
+      await jobStore.failJob(errorJobId, 'Test error');
+
+      const stats = await jobStore.getStats();
+
       expect(stats.total).toBe(4);
       expect(stats.processing).toBe(2);
       expect(stats.done).toBe(1);
       expect(stats.error).toBe(1);
     });
 
-    it('should return zero stats when no jobs exist', () => {
-      const stats = jobStore.getStats();
-      
+    it('should return zero stats when no jobs exist', async () => {
+      const stats = await jobStore.getStats();
+
       expect(stats.total).toBe(0);
       expect(stats.processing).toBe(0);
       expect(stats.done).toBe(0);
@@ -148,15 +451,15 @@ describe('JobStore', () => {
   });
 
   describe('getAllJobs', () => {
-    it('should return all jobs as [jobId, job] pairs', () => {
+    it('should return all jobs as [jobId, job] pairs', async () => {
       const job1Id = 'job1';
       const job2Id = 'job2';
-      
-      jobStore.createJob(job1Id, 'file1.pdf');
-      jobStore.createJob(job2Id, 'file2.pdf');
-      
-      const allJobs = jobStore.getAllJobs();
-      
+
+      await jobStore.createJob(job1Id, 'file1.pdf');
+      await jobStore.createJob(job2Id, 'file2.pdf');
+
+      const allJobs = await jobStore.getAllJobs();
+
       expect(allJobs).toHaveLength(2);
       expect(allJobs).toEqual(
         expect.arrayContaining([
@@ -0,0 +1,60 @@
+const jobStore = require('../src/services/jobStore');
+const jobWatchdog = require('../src/services/jobWatchdog');
+const { getProcessingTimeoutSeconds, computeDeadline } = require('../src/utils/processingTimeout');
+
+jest.mock('../src/services/jobStore', () => ({
+  findOverdueJobs: jest.fn(),
+  timeOutJob: jest.fn()
+}));
+
+describe('jobWatchdog.tick', () => {
+  const deadlineAt = new Date(Date.now() - 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should time out every overdue job with the deadline it was read with', async () => {
+    jobStore.findOverdueJobs.mockResolvedValue([
+      ['job-a', { status: 'processing', deadlineAt }],
+      ['job-b', { status: 'processing', deadlineAt }]
+    ]);
+    // job-b was retried or finished between the query and the update
+    jobStore.timeOutJob.mockResolvedValueOnce({ status: 'error' }).mockResolvedValueOnce(null);
+
+    expect(await jobWatchdog.tick()).toBe(1);
+    expect(jobStore.timeOutJob).toHaveBeenCalledWith('job-a', deadlineAt);
+    expect(jobStore.timeOutJob).toHaveBeenCalledWith('job-b', deadlineAt);
+  });
+
+  it('should survive database errors', async () => {
+    jobStore.findOverdueJobs.mockRejectedValue(new Error('connection lost'));
+
+    expect(await jobWatchdog.tick()).toBe(0);
+  });
+});
+
+describe('processingTimeout', () => {
+  afterEach(() => {
+    delete process.env.PROCESSING_TIMEOUT_SECONDS;
+    delete process.env.PROCESSING_TIMEOUT_OVERRIDES;
+  });
+
+  it('should default to 15 minutes', () => {
+    expect(getProcessingTimeoutSeconds()).toBe(900);
+  });
+
+  it('should apply per-workflow overrides over the global timeout', () => {
+    process.env.PROCESSING_TIMEOUT_SECONDS = '300';
+    process.env.PROCESSING_TIMEOUT_OVERRIDES = 'wf-scans:1800, bad-entry, wf-zero:0';
+
+    expect(getProcessingTimeoutSeconds('wf-scans')).toBe(1800);
+    expect(getProcessingTimeoutSeconds('wf-zero')).toBe(300);
+    expect(getProcessingTimeoutSeconds('wf-other')).toBe(300);
+  });
+
+  it('should compute the deadline from when processing started', () => {
+    const startedAt = new Date('2024-01-01T12:00:00Z');
+    expect(computeDeadline(startedAt)).toEqual(new Date('2024-01-01T12:15:00Z'));
+  });
+});
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const FormData = require('form-data');
+const { Readable } = require('stream');
+const jobStore = require('../src/services/jobStore');
+const storage = require('../src/services/storage');
+const revisionStore = require('../src/services/revisionStore');
+const apiKeyStore = require('../src/services/apiKeyStore');
+const quotaService = require('../src/services/quotaService');
+const templateStore = require('../src/services/templateStore');
+const { startJob } = require('../src/services/jobRunner');
+const jobsRouter = require('../src/routes/jobs');
+const { errorHandler } = require('../src/middleware/errors');
+
+jest.mock('../src/services/jobStore', () => ({
+  PRIORITY_LANES: { high: 0, normal: 1, low: 2 },
+  getJob: jest.fn(),
+  getJobsByBatch: jest.fn(),
+  updateJob: jest.fn()
+}));
+jest.mock('../src/services/storage', () => ({
+  getStream: jest.fn()
+}));
+jest.mock('../src/services/revisionStore', () => ({
+  resolveRevision: jest.fn()
+}));
+jest.mock('../src/services/apiKeyStore', () => ({
+  authenticate: jest.fn()
+}));
+jest.mock('../src/services/quotaService', () => ({
+  check: jest.fn()
+}));
+jest.mock('../src/services/jobRunner', () => ({
+  startJob: jest.fn()
+}));
+jest.mock('../src/services/jobQueue', () => ({
+  kick: jest.fn()
+}));
+jest.mock('../src/services/templateStore', () => ({
+  findTemplate: jest.fn()
+}));
+
+const client = { keyId: 'client-key-1', name: 'client', isAdmin: false };
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/jobs', jobsRouter);
+  app.use(errorHandler);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/jobs`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  process.env.BASE_URL = 'http://localhost:8080';
+  apiKeyStore.authenticate.mockResolvedValue(client);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function send(method, path, form) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'x-api-key': 'test-key', ...(form && form.getHeaders()) };
+    const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const isJson = (res.headers['content-type'] || '').includes('application/json');
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: isJson ? JSON.parse(body) : body
+        });
+      });
+    }).on('error', reject);
+
+    if (form) {
+      form.pipe(req);
+    } else {
+      req.end();
+    }
+  });
+}
+
+const get = path => send('GET', path);
+const post = (path, form) => send('POST', path, form);
+
+describe('GET /api/jobs/:jobId/download-url', () => {
+  it('signs a URL for the CSV of a deduplicated job', async () => {
+    const fileId = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+    jobStore.getJob.mockResolvedValue({
+      status: 'done',
+      filenamePdf: 'invoice.pdf',
+      ownerKeyId: client.keyId,
+      r2Key: fileId,
+      dedupedFrom: 'originaljob1'
+    });
+
+    const { status, body } = await get('/dedupedjob01/download-url');
+
+    expect(status).toBe(200);
+    expect(body.url).toMatch(
+      new RegExp(`^http://localhost:8080/api/files/download/${fileId}\\?expires=\\d+&kid=[\\w-]+&sig=[\\w-]+$`)
+    );
+    expect(body.filename).toBe('invoice.csv');
+    expect(jobStore.updateJob).toHaveBeenCalledWith('dedupedjob01', { presignedUrl: body.url });
+  });
+
+  it('rejects jobs that are not done', async () => {
+    jobStore.getJob.mockResolvedValue({ status: 'processing', ownerKeyId: client.keyId });
+
+    const { status, body } = await get('/pendingjob01/download-url');
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('JOB_NOT_READY');
+  });
+});
+
+describe('GET /api/jobs/batches/:batchId/download', () => {
+  const batchId = 'batch0000001';
+
+  function batchJob(status, fields = {}) {
+    return { status, ownerKeyId: client.keyId, filenamePdf: 'invoice.pdf', ...fields };
+  }
+
+  beforeEach(() => {
+    revisionStore.resolveRevision.mockImplementation(async fileId => fileId);
+    storage.getStream.mockImplementation(async () => ({
+      stream: Readable.from(['a,b\n1,2\n']),
+      filename: 'invoice.csv'
+    }));
+  });
+
+  it('serves a batch whose other jobs were cancelled', async () => {
+    jobStore.getJobsByBatch.mockResolvedValue([
+      ['job000000001', batchJob('done', { r2Key: 'aaaaaaaaaaaaaaaaaaaaaaaa' })],
+      ['job000000002', batchJob('cancelled')],
+      ['job000000003', batchJob('error', { error: 'n8n timed out' })]
+    ]);
+
+    const { status, headers } = await get(`/batches/${batchId}/download`);
+
+    expect(status).toBe(200);
+    expect(headers['content-type']).toBe('application/zip');
+    expect(storage.getStream).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses while a job is still in flight', async () => {
+    jobStore.getJobsByBatch.mockResolvedValue([
+      ['job000000001', batchJob('done', { r2Key: 'aaaaaaaaaaaaaaaaaaaaaaaa' })],
+      ['job000000002', batchJob('queued')]
+    ]);
+
+    const { status, body } = await get(`/batches/${batchId}/download`);
+
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('BATCH_NOT_READY');
+  });
+});
+
+// One CSV of room left
+const oneSlotLeft = async (keyId, { files = 1 } = {}) => ({
+  keyId,
+  keyFound: true,
+  usage: { files: 9, bytes: 0 },
+  limits: { maxBytes: null, maxFiles: 10 },
+  remaining: { files: 1, bytes: null },
+  exceeded: 9 + files > 10
+});
+
+function invoices(count, field = 'files') {
+  const form = new FormData();
+  for (let i = 1; i <= count; i++) {
+    form.append(field, Buffer.from('%PDF-1.4'), {
+      filename: `invoice-${i}.pdf`,
+      contentType: 'application/pdf'
+    });
+  }
+  return form;
+}
+
+describe('POST /api/jobs', () => {
+  beforeEach(() => {
+    quotaService.check.mockImplementation(oneSlotLeft);
+    templateStore.findTemplate.mockResolvedValue({
+      templateId: 'tpl_1',
+      name: 'erp',
+      ownerKeyId: client.keyId,
+      columns: []
+    });
+  });
+
+  it('refuses a templated upload without room for the raw CSV as well', async () => {
+    const form = invoices(1, 'file');
+    form.append('template', 'erp');
+
+    const { status, body } = await post('', form);
+
+    expect(status).toBe(413);
+    expect(body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(quotaService.check).toHaveBeenLastCalledWith(client.keyId, { files: 2, bytes: 8 });
+    expect(startJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/jobs/batch', () => {
+  beforeEach(() => {
+    quotaService.check.mockImplementation(oneSlotLeft);
+    // Like the real startJob, take over the uploaded file
+    startJob.mockImplementation(async ({ filePath, originalName }) => {
+      fs.unlinkSync(filePath);
+      return { jobId: 'job000000001', filename: originalName };
+    });
+  });
+
+  it('refuses the whole upload when the quota has no room for every file', async () => {
+    const { status, body } = await post('/batch', invoices(3));
+
+    expect(status).toBe(413);
+    expect(body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(quotaService.check).toHaveBeenLastCalledWith(client.keyId, { files: 3, bytes: 24 });
+    expect(startJob).not.toHaveBeenCalled();
+  });
+
+  it('refuses documents that would go over the byte limit', async () => {
+    // Room for any number of CSVs, but only 10 more bytes
+    quotaService.check.mockImplementation(async (keyId, { files = 1, bytes = 0 } = {}) => ({
+      keyId,
+      keyFound: true,
+      usage: { files: 0, bytes: 90 },
+      limits: { maxBytes: 100, maxFiles: null },
+      remaining: { files: null, bytes: 10 },
+      exceeded: 90 + bytes > 100
+    }));
+
+    const { status, body } = await post('/batch', invoices(2));
+
+    expect(status).toBe(413);
+    expect(body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(startJob).not.toHaveBeenCalled();
+  });
+
+  it('accepts an upload that fits', async () => {
+    const { status, body } = await post('/batch', invoices(1));
+
+    expect(status).toBe(202);
+    expect(body.jobs).toHaveLength(1);
+    expect(startJob).toHaveBeenCalledTimes(1);
+  });
+});
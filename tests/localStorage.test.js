@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../src/services/storage/localStorage');
+
+describe('LocalStorage', () => {
+  let storage;
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf2csv-storage-'));
+    process.env.STORAGE_LOCAL_DIR = baseDir;
+    process.env.BASE_URL = 'http://localhost:8080';
+    storage = new LocalStorage();
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+    delete process.env.STORAGE_LOCAL_DIR;
+  });
+
+  const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+
+  describe('store and getStream', () => {
+    it('should round-trip CSV content with metadata', async () => {
+      const fileId = await storage.store('test-job-123', Buffer.from('name,age\nJohn,30'), 'test.csv');
+      const file = await storage.getStream(fileId);
+
+      expect(file.filename).toBe('test.csv');
+      expect(file.contentType).toBe('text/csv');
+      expect(file.size).toBe(16);
+      expect(file.metadata.jobId).toBe('test-job-123');
+      expect(await readStream(file.stream)).toBe('name,age\nJohn,30');
+    });
+
+    it('should throw not found for unknown or malformed IDs', async () => {
+      await expect(storage.getStream('a'.repeat(24))).rejects.toThrow('not found');
+      await expect(storage.getStream('../../etc/passwd')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('list and getStats', () => {
+    it('should list stored files newest first with totals', async () => {
+      await storage.store('job-a', Buffer.from('a,b\n1,2'), 'a.csv');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await storage.store('job-b', Buffer.from('c\n3'), 'b.csv');
+
+      const stats = await storage.getStats();
+
+      expect(stats.totalFiles).toBe(2);
+      expect(stats.totalSize).toBe(10);
+      expect(stats.files.map(f => f.filename)).toEqual(['b.csv', 'a.csv']);
+    });
+
+    it('should return an empty list when the directory does not exist', async () => {
+      fs.rmSync(baseDir, { recursive: true, force: true });
+      expect(await storage.list()).toEqual([]);
+    });
+  });
+
+  describe('delete', () => {
+    it('should remove the file and report whether it existed', async () => {
+      const fileId = await storage.store('job-a', Buffer.from('a\n1'), 'a.csv');
+
+      expect(await storage.delete(fileId)).toBe(true);
+      expect(await storage.delete(fileId)).toBe(false);
+      expect(await storage.list()).toEqual([]);
+    });
+  });
+
+  describe('retention', () => {
+    afterEach(() => {
+      delete process.env.CSV_RETENTION_DAYS;
+    });
+
+    it('should update and remove metadata fields', async () => {
+      const fileId = await storage.store('job-a', Buffer.from('a\n1'), 'a.csv');
+
+      expect(await storage.updateMetadata(fileId, { legalHold: true, expiresAt: null })).toBe(true);
+      expect(await storage.updateMetadata(fileId, { expiresAt: undefined })).toBe(true);
+      expect(await storage.updateMetadata('0123456789ab0123456789ab', { legalHold: true })).toBe(false);
+
+      const [file] = await storage.list();
+      expect(file.metadata.legalHold).toBe(true);
+      expect(file.metadata).not.toHaveProperty('expiresAt');
+    });
+
+    it('should delete expired files except those on legal hold', async () => {
+      process.env.CSV_RETENTION_DAYS = '30';
+      const expired = await storage.store('job-a', Buffer.from('a\n1'), 'a.csv');
+      const held = await storage.store('job-b', Buffer.from('b\n2'), 'b.csv');
+      const kept = await storage.store('job-c', Buffer.from('c\n3'), 'c.csv');
+      await storage.updateMetadata(held, { legalHold: true });
+      await storage.updateMetadata(kept, { expiresAt: null });
+
+      const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      expect(await storage.deleteExpired(later)).toEqual([expired]);
+
+      const ids = (await storage.list()).map(file => file.id);
+      expect(ids).not.toContain(expired);
+      expect(ids).toEqual(expect.arrayContaining([held, kept]));
+    });
+
+    it('should delete raw copies with their expired mapped CSV', async () => {
+      process.env.CSV_RETENTION_DAYS = '30';
+      const mapped = await storage.store('job-a', Buffer.from('a\n1'), 'a.csv');
+      await storage.store('job-a', Buffer.from('A\n1'), 'a.raw.csv', {
+        variant: 'raw',
+        mappedFileId: mapped,
+        expiresAt: null
+      });
+
+      const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+      expect(await storage.deleteExpired(later)).toEqual([mapped]);
+      expect(await storage.list()).toEqual([]);
+    });
+  });
+});
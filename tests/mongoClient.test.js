@@ -34,39 +34,6 @@ describe('MongoClient', () => {
     jest.clearAllMocks();
   });
 
-  describe('generateDownloadUrl', () => {
-    it('should generate download URL with correct format', async () => {
-      // Mock the find method to return a file
-      const mockFile = { _id: 'mock-file-id-123' };
-      mongoClient.bucket = {
-        find: jest.fn().mockReturnValue({
-          toArray: jest.fn().mockResolvedValue([mockFile])
-        })
-      };
-      mongoClient.isConnected = true;
-
-      const jobId = 'test-job-123';
-      const downloadUrl = await mongoClient.generateDownloadUrl(jobId);
-
-      expect(downloadUrl).toBe('http://localhost:8080/api/files/download/mock-file-id-123');
-    });
-
-    it('should throw error if file not found', async () => {
-      mongoClient.bucket = {
-        find: jest.fn().mockReturnValue({
-          toArray: jest.fn().mockResolvedValue([])
-        })
-      };
-      mongoClient.isConnected = true;
-
-      const jobId = 'non-existent-job';
-      
-      await expect(mongoClient.generateDownloadUrl(jobId))
-        .rejects
-        .toThrow('CSV file not found for job: non-existent-job');
-    });
-  });
-
   describe('healthCheck', () => {
     it('should return true when MongoDB is accessible', async () => {
       mongoClient.db = {
@@ -131,4 +98,21 @@ describe('MongoClient', () => {
       );
     });
   });
+
+  describe('deleteCSV', () => {
+    it('should delete every file stored for the job', async () => {
+      mongoClient.bucket = {
+        find: jest.fn().mockReturnValue({
+          toArray: jest.fn()
+            .mockResolvedValue([{ _id: 'csv' }, { _id: 'raw' }, { _id: 'revision' }])
+        }),
+        delete: jest.fn()
+      };
+      mongoClient.isConnected = true;
+
+      expect(await mongoClient.deleteCSV('test-job')).toBe(true);
+      expect(mongoClient.bucket.find).toHaveBeenCalledWith({ 'metadata.jobId': 'test-job' });
+      expect(mongoClient.bucket.delete.mock.calls).toEqual([['csv'], ['raw'], ['revision']]);
+    });
+  });
 });
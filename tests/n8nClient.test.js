@@ -0,0 +1,108 @@
+const axios = require('axios');
+const n8nClient = require('../src/services/n8nClient');
+const CircuitBreaker = require('../src/services/circuitBreaker');
+
+jest.mock('axios');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+const networkError = (code) => Object.assign(new Error(`connect ${code}`), { code });
+
+describe('n8nClient.forwardToN8n', () => {
+  const params = {
+    filePath: __filename,
+    originalName: 'invoice.pdf',
+    jobId: 'abcdefghijkl',
+    mimetype: 'application/pdf'
+  };
+
+  beforeEach(() => {
+    process.env.N8N_WEBHOOK_URL = 'https://n8n.example.com/webhook/pdf-to-csv';
+    process.env.N8N_RETRY_BASE_MS = '1';
+    process.env.N8N_RETRY_MAX_DELAY_MS = '50';
+    n8nClient.breaker = new CircuitBreaker({ name: 'n8n', failureThreshold: 2, resetTimeoutMs: 60000 });
+    axios.post.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.N8N_RETRY_BASE_MS;
+    delete process.env.N8N_RETRY_MAX_DELAY_MS;
+  });
+
+  it('should retry transient failures and succeed', async () => {
+    axios.post
+      .mockRejectedValueOnce(networkError('ECONNREFUSED'))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ status: 200, data: [{ executionId: 'exec-1', status: 'running' }] });
+
+    const result = await n8nClient.forwardToN8n(params);
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(result.executionId).toBe('exec-1');
+    expect(n8nClient.getCircuitState().state).toBe('closed');
+  });
+
+  it('should not retry client errors', async () => {
+    axios.post.mockRejectedValue(httpError(400));
+
+    await expect(n8nClient.forwardToN8n(params)).rejects.toThrow('n8n forwarding failed');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(n8nClient.getCircuitState().failures).toBe(0);
+  });
+
+  it('should give up on 429 when Retry-After is longer than the max delay', async () => {
+    axios.post.mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+    await expect(n8nClient.forwardToN8n(params)).rejects.toThrow('429');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should open the circuit after repeated failures and fail fast', async () => {
+    axios.post.mockRejectedValue(networkError('ETIMEDOUT'));
+
+    await expect(n8nClient.forwardToN8n(params)).rejects.toThrow('n8n forwarding failed');
+    await expect(n8nClient.forwardToN8n(params)).rejects.toThrow('n8n forwarding failed');
+    axios.post.mockClear();
+
+    await expect(n8nClient.forwardToN8n(params)).rejects.toMatchObject({
+      status: 503,
+      code: 'SERVICE_UNAVAILABLE'
+    });
+    expect(() => n8nClient.assertAvailable()).toThrow('temporarily unavailable');
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(n8nClient.getCircuitState()).toMatchObject({ state: 'open', failures: 2 });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should allow a single trial request once the reset timeout passes', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    breaker.recordFailure(new Error('down'));
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.getRetryAfterSeconds()).toBe(1);
+
+    now.mockReturnValue(11000);
+    expect(breaker.isOpen()).toBe(false);
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState().state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+    now.mockRestore();
+  });
+
+  it('should reopen when the trial request fails', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, resetTimeoutMs: 0 });
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure(new Error('still down'));
+
+    expect(breaker.getState().state).toBe('open');
+  });
+});
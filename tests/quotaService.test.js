@@ -0,0 +1,109 @@
+const storage = require('../src/services/storage');
+const sourceStore = require('../src/services/sourceStore');
+const apiKeyStore = require('../src/services/apiKeyStore');
+const quotaService = require('../src/services/quotaService');
+
+jest.mock('../src/services/storage', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../src/services/sourceStore', () => ({
+  getUsage: jest.fn()
+}));
+
+jest.mock('../src/services/apiKeyStore', () => ({
+  getKey: jest.fn()
+}));
+
+describe('quotaService', () => {
+  const usage = (totalFiles, totalSize) => {
+    storage.query.mockResolvedValue({ files: [], nextCursor: null, totalFiles, totalSize });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourceStore.getUsage.mockResolvedValue(0);
+    process.env.QUOTA_MAX_BYTES = '1000';
+    process.env.QUOTA_MAX_FILES = '10';
+  });
+
+  afterEach(() => {
+    delete process.env.QUOTA_MAX_BYTES;
+    delete process.env.QUOTA_MAX_FILES;
+  });
+
+  it('should measure usage over the key\'s own files', async () => {
+    usage(3, 600);
+    apiKeyStore.getKey.mockResolvedValue({ keyId: 'key-a', role: 'client' });
+
+    const status = await quotaService.check('key-a');
+
+    expect(storage.query).toHaveBeenCalledWith(expect.objectContaining({
+      filter: { ownerKeyId: 'key-a' }
+    }));
+    expect(status.usage).toEqual({ files: 3, bytes: 600, sourceBytes: 0 });
+    expect(status.limits).toEqual({ maxBytes: 1000, maxFiles: 10 });
+    expect(status.remaining).toEqual({ files: 7, bytes: 400 });
+    expect(status.exceeded).toBe(false);
+  });
+
+  it('should refuse uploads once a limit is reached', async () => {
+    apiKeyStore.getKey.mockResolvedValue({ keyId: 'key-a', role: 'client' });
+
+    usage(10, 100);
+    expect((await quotaService.check('key-a')).exceeded).toBe(true);
+
+    usage(3, 1000);
+    expect((await quotaService.check('key-a')).exceeded).toBe(true);
+  });
+
+  it('should count source documents towards bytes but not files', async () => {
+    apiKeyStore.getKey.mockResolvedValue({ keyId: 'key-a', role: 'client' });
+    usage(3, 600);
+    sourceStore.getUsage.mockResolvedValue(400);
+
+    const status = await quotaService.check('key-a');
+
+    expect(sourceStore.getUsage).toHaveBeenCalledWith('key-a');
+    expect(status.usage).toEqual({ files: 3, bytes: 1000, sourceBytes: 400 });
+    expect(status.exceeded).toBe(true);
+  });
+
+  it('should refuse a CSV that would go over the byte limit', async () => {
+    apiKeyStore.getKey.mockResolvedValue({ keyId: 'key-a', role: 'client' });
+    usage(3, 900);
+
+    expect((await quotaService.check('key-a', { files: 1, bytes: 100 })).exceeded).toBe(false);
+    expect((await quotaService.check('key-a', { files: 2, bytes: 101 })).exceeded).toBe(true);
+  });
+
+  it('should let a key\'s own quota override the defaults', async () => {
+    apiKeyStore.getKey.mockResolvedValue({
+      keyId: 'key-a',
+      role: 'client',
+      quota: { maxBytes: 5000, maxFiles: null }
+    });
+
+    expect(await quotaService.getLimits('key-a')).toEqual({ maxBytes: 5000, maxFiles: null });
+  });
+
+  it('should leave admin keys unlimited unless given a quota', async () => {
+    apiKeyStore.getKey.mockResolvedValue({ keyId: 'key-b', role: 'admin' });
+
+    expect(await quotaService.getLimits('key-b')).toEqual({ maxBytes: null, maxFiles: null });
+    expect(await quotaService.getLimits('admin')).toEqual({ maxBytes: null, maxFiles: null });
+    expect(apiKeyStore.getKey).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail closed for unknown and revoked keys', async () => {
+    apiKeyStore.getKey.mockResolvedValue(null);
+    usage(0, 0);
+
+    expect(await quotaService.getLimits('revoked-key')).toBeNull();
+
+    const status = await quotaService.check('revoked-key');
+    expect(status.keyFound).toBe(false);
+    expect(status.limits).toEqual({ maxBytes: 0, maxFiles: 0 });
+    expect(status.exceeded).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+const storage = require('../src/services/storage');
+const sourceStore = require('../src/services/sourceStore');
+const retentionSweeper = require('../src/services/retentionSweeper');
+const { getRetentionDays, getExpiry, isExpired } = require('../src/utils/retention');
+
+jest.mock('../src/services/storage', () => ({
+  deleteExpired: jest.fn()
+}));
+jest.mock('../src/services/sourceStore', () => ({
+  removeForCsvFiles: jest.fn()
+}));
+
+describe('retention', () => {
+  const uploadDate = new Date('2024-01-01T00:00:00Z');
+
+  afterEach(() => {
+    delete process.env.CSV_RETENTION_DAYS;
+  });
+
+  it('should keep files forever unless a positive period is configured', () => {
+    expect(getRetentionDays()).toBeNull();
+    process.env.CSV_RETENTION_DAYS = '0';
+    expect(getRetentionDays()).toBeNull();
+    process.env.CSV_RETENTION_DAYS = '30';
+    expect(getRetentionDays()).toBe(30);
+  });
+
+  it('should expire files the global period after upload', () => {
+    process.env.CSV_RETENTION_DAYS = '30';
+    const file = { uploadDate, metadata: {} };
+
+    expect(getExpiry(file)).toEqual(new Date('2024-01-31T00:00:00Z'));
+    expect(isExpired(file, new Date('2024-01-30T23:59:59Z'))).toBe(false);
+    expect(isExpired(file, new Date('2024-01-31T00:00:00Z'))).toBe(true);
+  });
+
+  it('should let a per-file expiry override the global period', () => {
+    process.env.CSV_RETENTION_DAYS = '30';
+
+    expect(getExpiry({ uploadDate, metadata: { expiresAt: '2025-01-01T00:00:00.000Z' } }))
+      .toEqual(new Date('2025-01-01T00:00:00Z'));
+    expect(getExpiry({ uploadDate, metadata: { expiresAt: null } })).toBeNull();
+  });
+
+  it('should never expire files on legal hold', () => {
+    const file = { uploadDate, metadata: { legalHold: true, expiresAt: '2024-01-02T00:00:00Z' } };
+
+    expect(getExpiry(file)).toBeNull();
+    expect(isExpired(file, new Date('2030-01-01T00:00:00Z'))).toBe(false);
+  });
+});
+
+describe('retentionSweeper.tick', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should delete expired files and their sources', async () => {
+    storage.deleteExpired.mockResolvedValue(['csv-1', 'csv-2', 'csv-3']);
+    sourceStore.removeForCsvFiles.mockResolvedValue(2);
+
+    expect(await retentionSweeper.tick()).toBe(3);
+    expect(storage.deleteExpired).toHaveBeenCalledWith(expect.any(Date));
+    expect(sourceStore.removeForCsvFiles).toHaveBeenCalledWith(['csv-1', 'csv-2', 'csv-3']);
+  });
+
+  it('should survive storage errors', async () => {
+    storage.deleteExpired.mockRejectedValue(new Error('connection lost'));
+
+    expect(await retentionSweeper.tick()).toBe(0);
+  });
+});
@@ -0,0 +1,135 @@
+const storage = require('../src/services/storage');
+const revisionStore = require('../src/services/revisionStore');
+const { queryFileList } = require('../src/utils/fileQuery');
+
+jest.mock('../src/services/storage', () => ({
+  store: jest.fn(),
+  delete: jest.fn(),
+  query: jest.fn()
+}));
+
+// In-memory stand-in for the revisionCounters collection
+const mockCounters = new Map();
+jest.mock('../src/services/mongoClient', () => ({
+  connect: jest.fn(),
+  db: {
+    collection: () => ({
+      updateOne: async ({ _id }, { $max }) => {
+        mockCounters.set(_id, Math.max(mockCounters.get(_id) || 0, $max.last));
+      },
+      findOneAndUpdate: async ({ _id }, { $inc }) => {
+        mockCounters.set(_id, mockCounters.get(_id) + $inc.last);
+        return { _id, last: mockCounters.get(_id) };
+      },
+      deleteOne: async ({ _id }) => {
+        mockCounters.delete(_id);
+      }
+    })
+  }
+}));
+
+describe('revisionStore', () => {
+  let files;
+  const original = {
+    id: 'aaaaaaaaaaaaaaaaaaaaaaaa',
+    filename: 'invoice.csv',
+    size: 10,
+    uploadDate: new Date('2024-01-01T00:00:00Z'),
+    jobId: 'job-a',
+    ownerKeyId: 'key-a',
+    metadata: { ownerKeyId: 'key-a' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCounters.clear();
+    files = [original];
+    let nextId = 1;
+    storage.query.mockImplementation(async options => queryFileList(files, options));
+    storage.store.mockImplementation(async (jobId, buffer, filename, metadata) => {
+      const id = String(nextId++).padStart(24, 'b');
+      files.push({
+        id,
+        filename,
+        size: buffer.length,
+        uploadDate: new Date(Date.UTC(2024, 0, 1, 0, nextId)),
+        jobId,
+        ownerKeyId: metadata.ownerKeyId,
+        metadata
+      });
+      return id;
+    });
+    storage.delete.mockImplementation(async (fileId) => {
+      const before = files.length;
+      files = files.filter(file => file.id !== fileId);
+      return files.length < before;
+    });
+  });
+
+  it('should number revisions after the original', async () => {
+    const uploadedBy = 'key-a';
+    const second = await revisionStore.addRevision(original, Buffer.from('a\n1'), { uploadedBy });
+    const third = await revisionStore.addRevision(original, Buffer.from('a\n2'), {
+      uploadedBy: 'key-b',
+      comment: 'fixed total'
+    });
+
+    expect(second.revision).toBe(2);
+    expect(third.revision).toBe(3);
+    const metadata = storage.store.mock.calls[1][3];
+    expect(storage.store).toHaveBeenLastCalledWith('job-a', expect.any(Buffer), 'invoice.csv', metadata);
+    expect(metadata).toEqual(expect.objectContaining({
+      ownerKeyId: 'key-a',
+      variant: 'revision',
+      revisionOf: original.id,
+      revision: 3,
+      comment: 'fixed total'
+    }));
+
+    const revisions = await revisionStore.listRevisions(original);
+    expect(revisions.map(revision => [revision.revision, revision.uploadedBy])).toEqual([
+      [1, 'key-a'], [2, 'key-a'], [3, 'key-b']
+    ]);
+  });
+
+  it('should give concurrent uploads distinct revision numbers', async () => {
+    const uploads = [1, 2, 3].map(n => (
+      revisionStore.addRevision(original, Buffer.from(`a\n${n}`), { uploadedBy: 'key-a' })
+    ));
+
+    const numbers = (await Promise.all(uploads)).map(revision => revision.revision);
+    expect(numbers.sort()).toEqual([2, 3, 4]);
+  });
+
+  it('should continue numbering revisions stored before the counter existed', async () => {
+    files.push({
+      ...original,
+      id: 'cccccccccccccccccccccccc',
+      metadata: { ownerKeyId: 'key-a', variant: 'revision', revisionOf: original.id, revision: 4 }
+    });
+
+    const uploadedBy = 'key-a';
+    const next = await revisionStore.addRevision(original, Buffer.from('a\n1'), { uploadedBy });
+    expect(next.revision).toBe(5);
+  });
+
+  it('should resolve the latest revision by default', async () => {
+    expect(await revisionStore.resolveRevision(original.id)).toBe(original.id);
+
+    const uploadedBy = 'key-a';
+    const second = await revisionStore.addRevision(original, Buffer.from('a\n1'), { uploadedBy });
+
+    expect(await revisionStore.resolveRevision(original.id)).toBe(second.fileId);
+    expect(await revisionStore.resolveRevision(original.id, 1)).toBe(original.id);
+    expect(await revisionStore.resolveRevision(original.id, 5)).toBeNull();
+  });
+
+  it('should delete revisions but not the original', async () => {
+    await revisionStore.addRevision(original, Buffer.from('a\n1'), { uploadedBy: 'key-a' });
+    await revisionStore.addRevision(original, Buffer.from('a\n2'), { uploadedBy: 'key-a' });
+
+    expect(await revisionStore.deleteRevisions(original.id)).toBe(2);
+    expect(files).toEqual([original]);
+    expect(mockCounters.has(original.id)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3Storage = require('../src/services/storage/s3Storage');
+const { isValidFileId } = require('../src/utils/ids');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('S3Storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.R2_BUCKET = 'csv-bucket';
+    storage = new S3Storage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.R2_BUCKET;
+  });
+
+  const send = () => S3Client.mock.instances[0].send;
+
+  it('should store CSVs with their metadata', async () => {
+    send().mockResolvedValue({});
+
+    const fileId = await storage.store('job-a', Buffer.from('a\n1'), 'a.csv', { ownerKeyId: 'key-1' });
+
+    expect(isValidFileId(fileId)).toBe(true);
+    expect(send()).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse metadata over the S3 limit before uploading', async () => {
+    const metadata = { note: 'x'.repeat(3000) };
+
+    await expect(storage.store('job-a', Buffer.from('a\n1'), 'a.csv', metadata))
+      .rejects.toThrow(/2048-byte S3 limit/);
+    expect(send()).not.toHaveBeenCalled();
+  });
+});
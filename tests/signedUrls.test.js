@@ -0,0 +1,98 @@
+const { URL } = require('url');
+const {
+  signDownloadPath,
+  verifyDownloadSignature,
+  getDownloadUrlTtl
+} = require('../src/utils/signedUrls');
+const { buildDownloadUrl } = require('../src/services/storage/storageDriver');
+
+const queryOf = (path) => Object.fromEntries(new URL(path, 'http://localhost').searchParams);
+
+describe('Signed download URLs', () => {
+  const fileId = '65a1f0c2e4b0a1b2c3d4e5f6';
+
+  beforeEach(() => {
+    process.env.DOWNLOAD_URL_KEYS = 'k2:new-secret,k1:old-secret';
+    delete process.env.DOWNLOAD_URL_EXPIRES_SECONDS;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('signDownloadPath', () => {
+    it('should sign with the first configured key', () => {
+      const path = signDownloadPath(fileId);
+      const query = queryOf(path);
+
+      expect(path.startsWith(`/api/files/download/${fileId}?`)).toBe(true);
+      expect(query.kid).toBe('k2');
+      expect(Number(query.expires)).toBeGreaterThan(Date.now() / 1000);
+    });
+
+    it('should honour DOWNLOAD_URL_EXPIRES_SECONDS', () => {
+      process.env.DOWNLOAD_URL_EXPIRES_SECONDS = '600';
+      expect(getDownloadUrlTtl()).toBe(600);
+
+      const query = queryOf(signDownloadPath(fileId));
+      expect(Number(query.expires) - Math.floor(Date.now() / 1000)).toBeLessThanOrEqual(600);
+    });
+  });
+
+  describe('buildDownloadUrl', () => {
+    afterEach(() => {
+      delete process.env.BASE_URL;
+    });
+
+    it('should point at the download route on BASE_URL', () => {
+      process.env.BASE_URL = 'http://localhost:8080';
+
+      expect(buildDownloadUrl(fileId)).toMatch(
+        new RegExp(`^http://localhost:8080/api/files/download/${fileId}\\?expires=\\d+&kid=k2&sig=[\\w-]+$`)
+      );
+    });
+  });
+
+  describe('verifyDownloadSignature', () => {
+    it('should accept a freshly signed link', () => {
+      const query = queryOf(signDownloadPath(fileId));
+      expect(verifyDownloadSignature(fileId, query)).toEqual({ valid: true });
+    });
+
+    it('should reject unsigned requests', () => {
+      expect(verifyDownloadSignature(fileId, {}).reason).toBe('MISSING_SIGNATURE');
+    });
+
+    it('should reject expired links', () => {
+      jest.useFakeTimers();
+      const query = queryOf(signDownloadPath(fileId, { expiresInSeconds: 60 }));
+
+      jest.setSystemTime(Date.now() + 61 * 1000);
+
+      expect(verifyDownloadSignature(fileId, query).reason).toBe('LINK_EXPIRED');
+    });
+
+    it('should reject tampered signatures, expiries and file IDs', () => {
+      const query = queryOf(signDownloadPath(fileId));
+      const tamperedSig = query.sig.slice(0, -1) + (query.sig.endsWith('A') ? 'B' : 'A');
+
+      expect(verifyDownloadSignature(fileId, { ...query, sig: tamperedSig }).reason)
+        .toBe('INVALID_SIGNATURE');
+      expect(verifyDownloadSignature(fileId, { ...query, expires: String(Number(query.expires) + 1) }).reason)
+        .toBe('INVALID_SIGNATURE');
+      expect(verifyDownloadSignature('65a1f0c2e4b0a1b2c3d4e5f7', query).reason)
+        .toBe('INVALID_SIGNATURE');
+    });
+
+    it('should keep links signed with a rotated-out signing key valid while it is listed', () => {
+      process.env.DOWNLOAD_URL_KEYS = 'k1:old-secret';
+      const query = queryOf(signDownloadPath(fileId));
+
+      process.env.DOWNLOAD_URL_KEYS = 'k2:new-secret,k1:old-secret';
+      expect(verifyDownloadSignature(fileId, query).valid).toBe(true);
+
+      process.env.DOWNLOAD_URL_KEYS = 'k2:new-secret';
+      expect(verifyDownloadSignature(fileId, query).reason).toBe('UNKNOWN_KEY');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const sourceStore = require('../src/services/sourceStore');
+const mongoClient = require('../src/services/mongoClient');
+
+// Mock MongoDB client to avoid requiring actual database in tests
+jest.mock('../src/services/mongoClient', () => ({
+  connect: jest.fn(),
+  db: null
+}));
+
+describe('SourceStore', () => {
+  let filesCollection;
+  let files;
+
+  beforeEach(() => {
+    files = [
+      {
+        _id: 'file-1',
+        length: 2048,
+        uploadDate: new Date(),
+        metadata: { jobId: 'job-a', originalName: 'a.pdf', contentType: 'application/pdf' }
+      },
+      {
+        _id: 'file-2',
+        length: 512,
+        uploadDate: new Date(),
+        metadata: { jobId: 'job-b', originalName: 'b.jpg', contentType: 'image/jpeg' }
+      }
+    ];
+    filesCollection = { updateMany: jest.fn() };
+    mongoClient.db = { collection: jest.fn().mockReturnValue(filesCollection) };
+
+    const cursor = (result) => {
+      const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        toArray: async () => result
+      };
+      return chain;
+    };
+    sourceStore.bucket = {
+      find: jest.fn((filter) => {
+        const jobIds = filter['metadata.jobId'].$in || [filter['metadata.jobId']];
+        return cursor(files.filter(file => jobIds.includes(file.metadata.jobId)));
+      }),
+      openDownloadStream: jest.fn(id => `stream:${id}`),
+      delete: jest.fn()
+    };
+  });
+
+  it('should open a stream for a job\'s source with its original name and type', async () => {
+    const source = await sourceStore.openStream('job-a');
+
+    expect(source).toEqual({
+      stream: 'stream:file-1',
+      filename: 'a.pdf',
+      contentType: 'application/pdf',
+      size: 2048
+    });
+    expect(await sourceStore.openStream('job-missing')).toBeNull();
+  });
+
+  it('should map several jobs to their sources', async () => {
+    const sources = await sourceStore.findByJobIds(['job-a', 'job-b', 'job-c']);
+
+    expect([...sources.keys()]).toEqual(['job-a', 'job-b']);
+    expect(sources.get('job-b')._id).toBe('file-2');
+  });
+
+  it('should archive a source permanently and link it to the CSV', async () => {
+    await sourceStore.archive('job-a', { csvFileId: 'csv-123' });
+
+    expect(mongoClient.db.collection).toHaveBeenCalledWith('sourceFiles.files');
+    expect(filesCollection.updateMany).toHaveBeenCalledWith(
+      { 'metadata.jobId': 'job-a' },
+      {
+        $set: { 'metadata.csvFileId': 'csv-123', 'metadata.archivedAt': expect.any(Date) },
+        $unset: { 'metadata.expiresAt': '' }
+      }
+    );
+  });
+
+  it('should push back the expiry of a source that is not archived', async () => {
+    const expiresAt = new Date();
+
+    await sourceStore.extendExpiry('job-a', expiresAt);
+
+    expect(filesCollection.updateMany).toHaveBeenCalledWith(
+      { 'metadata.jobId': 'job-a', 'metadata.expiresAt': { $exists: true } },
+      { $set: { 'metadata.expiresAt': expiresAt } }
+    );
+  });
+
+  it('should remove the sources of deleted CSVs unless on legal hold', async () => {
+    files[0].metadata.csvFileId = 'csv-1';
+    files[1].metadata.csvFileId = 'csv-2';
+    files[1].metadata.legalHold = true;
+    sourceStore.bucket.find.mockImplementation(filter => ({
+      toArray: async () => files.filter(file => (
+        filter['metadata.csvFileId'].$in.includes(file.metadata.csvFileId)
+        && file.metadata.legalHold !== true
+      ))
+    }));
+
+    expect(await sourceStore.removeForCsvFiles(['csv-1', 'csv-2'])).toBe(1);
+    expect(sourceStore.bucket.delete).toHaveBeenCalledWith('file-1');
+    expect(sourceStore.bucket.find).toHaveBeenCalledWith(expect.objectContaining({
+      'metadata.legalHold': { $ne: true }
+    }));
+  });
+
+  it('should copy a CSV\'s legal hold to its sources', async () => {
+    await sourceStore.setLegalHold('csv-1', true);
+    await sourceStore.setLegalHold('csv-1', false);
+
+    expect(filesCollection.updateMany).toHaveBeenNthCalledWith(
+      1,
+      { 'metadata.csvFileId': 'csv-1' },
+      { $set: { 'metadata.legalHold': true } }
+    );
+    expect(filesCollection.updateMany).toHaveBeenNthCalledWith(
+      2,
+      { 'metadata.csvFileId': 'csv-1' },
+      { $unset: { 'metadata.legalHold': '' } }
+    );
+  });
+});
@@ -0,0 +1,57 @@
+const archiver = require('archiver');
+const { PassThrough, Readable } = require('stream');
+const { appendEntries } = require('../src/utils/zipArchive');
+
+describe('appendEntries', () => {
+  let archive;
+  let res;
+  let open;
+  let maxOpen;
+
+  beforeEach(() => {
+    archive = archiver('zip');
+    res = new PassThrough();
+    res.resume();
+    archive.pipe(res);
+
+    let current = 0;
+    maxOpen = 0;
+    open = jest.fn(async (name) => {
+      current++;
+      maxOpen = Math.max(maxOpen, current);
+      const stream = Readable.from(['a,b\n', '1,2\n']);
+      stream.on('close', () => current--);
+      return { stream, name };
+    });
+  });
+
+  it('should open each entry only once the previous one is written', async () => {
+    const names = Array.from({ length: 20 }, (_, index) => `file-${index}.csv`);
+
+    expect(await appendEntries(archive, res, names, open)).toBe(true);
+    await archive.finalize();
+
+    expect(open).toHaveBeenCalledTimes(20);
+    expect(maxOpen).toBe(1);
+    expect(archive.pointer()).toBeGreaterThan(0);
+  });
+
+  it('should skip items that cannot be opened', async () => {
+    open.mockResolvedValueOnce(null);
+
+    expect(await appendEntries(archive, res, ['gone.csv', 'kept.csv'], open)).toBe(true);
+    await archive.finalize();
+
+    expect(open).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop opening entries once the client is gone', async () => {
+    open.mockImplementationOnce(async (name) => {
+      res.destroy();
+      return { stream: Readable.from(['a\n']), name };
+    });
+
+    expect(await appendEntries(archive, res, ['a.csv', 'b.csv', 'c.csv'], open)).toBe(false);
+    expect(open).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const { extractInvoices } = require('../src/services/zipExtractor');
+
+const PDF = Buffer.from('%PDF-1.4\n%test invoice\n');
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(32)]);
+
+describe('zipExtractor', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf2csv-zip-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.ZIP_MAX_ENTRIES;
+    delete process.env.ZIP_MAX_ENTRY_BYTES;
+  });
+
+  const buildZip = (entries) => new Promise((resolve, reject) => {
+    const zipPath = path.join(workDir, 'upload.zip');
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip');
+
+    output.on('close', () => resolve(zipPath));
+    archive.on('error', reject);
+    archive.pipe(output);
+    entries.forEach(([name, content]) => archive.append(content, { name }));
+    archive.finalize();
+  });
+
+  it('should extract PDFs and JPEGs under their base names', async () => {
+    const zipPath = await buildZip([
+      ['invoices/march.pdf', PDF],
+      ['scan.JPG', JPEG]
+    ]);
+
+    const { files, skipped } = await extractInvoices(zipPath, workDir);
+
+    expect(skipped).toEqual([]);
+    expect(files.map(file => [file.originalName, file.mimetype])).toEqual([
+      ['march.pdf', 'application/pdf'],
+      ['scan.JPG', 'image/jpeg']
+    ]);
+    expect(fs.readFileSync(files[0].path)).toEqual(PDF);
+    expect(path.dirname(files[0].path)).toBe(workDir);
+  });
+
+  it('should skip unsupported, hidden and mislabelled entries with a reason', async () => {
+    const zipPath = await buildZip([
+      ['notes.txt', 'hello'],
+      ['__MACOSX/._invoice.pdf', PDF],
+      ['.hidden.pdf', PDF],
+      ['fake.pdf', 'not really a pdf'],
+      ['real.pdf', PDF]
+    ]);
+
+    const { files, skipped } = await extractInvoices(zipPath, workDir);
+
+    expect(files.map(file => file.originalName)).toEqual(['real.pdf']);
+    expect(skipped).toEqual([
+      { entry: 'notes.txt', reason: 'UNSUPPORTED_TYPE' },
+      { entry: '__MACOSX/._invoice.pdf', reason: 'HIDDEN_FILE' },
+      { entry: '.hidden.pdf', reason: 'HIDDEN_FILE' },
+      { entry: 'fake.pdf', reason: 'CONTENT_MISMATCH' }
+    ]);
+  });
+
+  it('should skip entries over the size limit', async () => {
+    process.env.ZIP_MAX_ENTRY_BYTES = '1024';
+    const zipPath = await buildZip([
+      ['big.pdf', Buffer.concat([PDF, Buffer.alloc(4096, 'x')])],
+      ['small.pdf', PDF]
+    ]);
+
+    const { files, skipped } = await extractInvoices(zipPath, workDir);
+
+    expect(files.map(file => file.originalName)).toEqual(['small.pdf']);
+    expect(skipped[0].entry).toBe('big.pdf');
+    expect(['ENTRY_TOO_LARGE', 'COMPRESSION_RATIO']).toContain(skipped[0].reason);
+  });
+
+  it('should stop after the entry limit', async () => {
+    process.env.ZIP_MAX_ENTRIES = '2';
+    const zipPath = await buildZip([
+      ['a.pdf', PDF],
+      ['b.pdf', PDF],
+      ['c.pdf', PDF],
+      ['d.pdf', PDF]
+    ]);
+
+    const { files, skipped } = await extractInvoices(zipPath, workDir);
+
+    expect(files).toHaveLength(2);
+    expect(skipped).toEqual([{ entry: '2 more entries', reason: 'ENTRY_LIMIT' }]);
+  });
+
+  it('should fail and clean up when an entry cannot be written', async () => {
+    const zipPath = await buildZip([
+      ['march.pdf', PDF],
+      ['april.pdf', PDF]
+    ]);
+    const destDir = path.join(workDir, 'missing');
+
+    await expect(extractInvoices(zipPath, destDir)).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(fs.readdirSync(workDir)).toEqual(['upload.zip']);
+  });
+
+  it('should reject a file that is not a ZIP archive', async () => {
+    const zipPath = path.join(workDir, 'broken.zip');
+    fs.writeFileSync(zipPath, 'definitely not a zip');
+
+    await expect(extractInvoices(zipPath, workDir)).rejects.toThrow();
+  });
+});